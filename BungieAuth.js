@@ -3,80 +3,127 @@
  * 
  * Handles:
  * - OAuth authorization flow
- * - Token storage and refresh
- * - API calls with authentication
+ * - Session state, the tokens themselves live in an httpOnly cookie set by the auth backend (server/bungieAuth.js)
+ * - API calls with authentication, proxied by the backend
  */
 
 // OAuth Configuration from environment variables (see .env.example)
+// The client secret is server only, the backend exchanges codes and refreshes tokens
 const OAUTH_CONFIG = {
     clientId: import.meta.env.VITE_BUNGIE_CLIENT_ID,
-    clientSecret: import.meta.env.VITE_BUNGIE_CLIENT_SECRET,
     authorizationUrl: 'https://www.bungie.net/es/OAuth/Authorize',
-    tokenUrl: 'https://www.bungie.net/Platform/App/OAuth/token/',
     redirectUri: import.meta.env.VITE_BUNGIE_REDIRECT_URI || 'https://localhost:55555/callback',
     apiKey: import.meta.env.VITE_BUNGIE_API_KEY
 };
 
+// Auth backend mount point (server/bungieAuth.js)
+const AUTH_BACKEND = '/auth';
 
-// Token storage keys
-const TOKEN_STORAGE_KEY = 'bungie_oauth_tokens';
-const MEMBERSHIP_STORAGE_KEY = 'bungie_membership';
+// Storage keys
+const SESSION_STORAGE_KEY = 'bungie_session';
+const MEMBERSHIP_STORAGE_KEY = 'bungie_membership_choice';
+// Tokens kept in the browser before the backend, and the membership picked automatically before the picker
+const LEGACY_STORAGE_KEYS = ['bungie_oauth_tokens', 'bungie_membership'];
 
 /**
- * Get stored tokens from localStorage
+ * Thrown when the session can't be recovered without logging in again (refresh token expired or revoked)
  */
-export function getStoredTokens() {
-    const stored = localStorage.getItem(TOKEN_STORAGE_KEY);
+export class AuthExpiredError extends Error {
+    constructor(message = 'Authentication expired') {
+        super(message);
+        this.name = 'AuthExpiredError';
+    }
+}
+
+/**
+ * Thrown when a profile's equipment isn't public
+ */
+export class ProfilePrivateError extends Error {
+    constructor(message = 'Profile equipment is private') {
+        super(message);
+        this.name = 'ProfilePrivateError';
+    }
+}
+
+/**
+ * Session hint from localStorage: {membershipId, expiresAt}, no tokens
+ * The httpOnly cookie is the real session, the backend answers 401 once it is gone.
+ */
+export function getSession() {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
     if (!stored) return null;
 
     try {
-        const tokens = JSON.parse(stored);
+        const session = JSON.parse(stored);
 
-        // Check if access token is expired
-        if (tokens.expiresAt && Date.now() > tokens.expiresAt) {
-            console.log('[Auth] Access token expired, needs refresh');
-            // Could implement refresh here, but for now just clear
+        // expiresAt is the refresh token's expiry, past it the backend can't renew the session
+        if (session.expiresAt && Date.now() > session.expiresAt) {
+            console.log('[Auth] Session expired, login required');
+            clearTokens();
             return null;
         }
 
-        return tokens;
+        return session;
     } catch (e) {
-        console.error('[Auth] Failed to parse stored tokens:', e);
+        console.error('[Auth] Failed to parse stored session:', e);
         return null;
     }
 }
 
 /**
- * Store tokens in localStorage
+ * Bring the session hint up to date with the backend
+ * The backend renews the session cookie on its own (refresh tokens rotate, each with a new expiry),
+ * so the hint's expiresAt goes stale; call this before trusting isAuthenticated() on page load.
+ * @returns {Promise<Object|null>} The session hint, null without a session
  */
-export function storeTokens(tokenResponse) {
-    const tokens = {
-        accessToken: tokenResponse.access_token,
-        refreshToken: tokenResponse.refresh_token,
-        expiresAt: Date.now() + (tokenResponse.expires_in * 1000),
-        membershipId: tokenResponse.membership_id
-    };
-
-    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
-    console.log('[Auth] Tokens stored, expires at:', new Date(tokens.expiresAt));
+export async function syncSession() {
+    let response;
+    try {
+        response = await fetch(`${AUTH_BACKEND}/session`, { credentials: 'same-origin' });
+    } catch (e) {
+        console.warn('[Auth] Session check failed:', e);
+        return getSession();
+    }
 
-    return tokens;
+    if (response.ok) {
+        const { membershipId, expiresAt } = await response.json();
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ membershipId, expiresAt }));
+    } else if (response.status === 401 && localStorage.getItem(SESSION_STORAGE_KEY)) {
+        console.log('[Auth] Session ended on the backend');
+        clearTokens();
+    }
+    // Other statuses (backend not configured...) leave the hint as it is
+    return getSession();
 }
 
 /**
- * Clear stored tokens (logout)
+ * Clear the local session state
+ * Use logout() to also drop the backend session cookie
  */
 export function clearTokens() {
-    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    localStorage.removeItem(SESSION_STORAGE_KEY);
     localStorage.removeItem(MEMBERSHIP_STORAGE_KEY);
+    LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
     console.log('[Auth] Tokens cleared');
 }
 
+/**
+ * Log out: drop the backend session cookie and the local state
+ */
+export async function logout() {
+    try {
+        await fetch(`${AUTH_BACKEND}/logout`, { method: 'POST', credentials: 'same-origin' });
+    } catch (e) {
+        console.warn('[Auth] Logout request failed:', e);
+    }
+    clearTokens();
+}
+
 /**
  * Check if user is authenticated
  */
 export function isAuthenticated() {
-    return getStoredTokens() !== null;
+    return getSession() !== null;
 }
 
 /**
@@ -128,19 +175,12 @@ export async function handleOAuthCallback() {
 
     console.log('[Auth] Exchanging code for tokens...');
 
-    // Exchange code for tokens
-    const tokenResponse = await fetch('/bungie/Platform/App/OAuth/token/', {
+    // The backend exchanges the code with the client secret and answers with the session cookie
+    const tokenResponse = await fetch(`${AUTH_BACKEND}/token`, {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'X-API-Key': OAUTH_CONFIG.apiKey
-        },
-        body: new URLSearchParams({
-            grant_type: 'authorization_code',
-            code: code,
-            client_id: OAUTH_CONFIG.clientId,
-            client_secret: OAUTH_CONFIG.clientSecret
-        })
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
     });
 
     if (!tokenResponse.ok) {
@@ -149,58 +189,116 @@ export async function handleOAuthCallback() {
         throw new Error(`Token exchange failed: ${tokenResponse.status}`);
     }
 
-    const tokenData = await tokenResponse.json();
+    const session = await tokenResponse.json();
     console.log('[Auth] Token exchange successful');
 
-    // Store tokens
-    const tokens = storeTokens(tokenData);
+    clearTokens(); // A previous account's cached membership must not carry over
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
 
     // Clear the URL of OAuth params
     window.history.replaceState({}, document.title, window.location.pathname);
 
-    return tokens;
+    return session;
 }
 
 /**
- * Make an authenticated API request to Bungie
+ * Make an authenticated API request to Bungie through the auth backend
+ * The backend adds the API key and access token, refreshing it ahead of expiry or after a 401.
+ * @throws {AuthExpiredError} When the session can't be renewed, the caller should ask for a new login
  */
 export async function fetchWithAuth(endpoint, options = {}) {
-    const tokens = getStoredTokens();
-
-    if (!tokens) {
-        throw new Error('Not authenticated');
+    if (!isAuthenticated()) {
+        throw new AuthExpiredError('Not authenticated');
     }
 
-    const headers = {
-        'X-API-Key': OAUTH_CONFIG.apiKey,
-        'Authorization': `Bearer ${tokens.accessToken}`,
-        ...options.headers
-    };
-
-    const response = await fetch(`/bungie${endpoint}`, {
+    const response = await fetch(`${AUTH_BACKEND}${endpoint}`, {
         ...options,
-        headers
+        credentials: 'same-origin'
     });
 
     if (response.status === 401) {
-        console.log('[Auth] Token expired, clearing tokens');
+        console.log('[Auth] Session expired, clearing tokens');
         clearTokens();
-        throw new Error('Authentication expired');
+        throw new AuthExpiredError();
     }
 
     return response;
 }
 
+// BungieMembershipType values of Destiny platforms
+export const PLATFORM_NAMES = {
+    1: 'Xbox',
+    2: 'PlayStation',
+    3: 'Steam',
+    4: 'Battle.net',
+    5: 'Stadia',
+    6: 'Epic Games',
+    10: 'Demon',
+    254: 'Bungie.net'
+};
+
 /**
- * Get current user's Destiny 2 membership info
+ * Public API request through the /bungie proxy, with only the API key
  */
-export async function getCurrentUserMembership() {
-    // Check cache first
-    const cached = localStorage.getItem(MEMBERSHIP_STORAGE_KEY);
-    if (cached) {
-        return JSON.parse(cached);
+export async function fetchPublic(endpoint, options = {}) {
+    return fetch(`/bungie${endpoint}`, {
+        ...options,
+        headers: {
+            'X-API-Key': OAUTH_CONFIG.apiKey,
+            ...options.headers
+        }
+    });
+}
+
+/**
+ * Split a Bungie Name ("Guardian#0042") into its display name and numeric code
+ * @returns {{displayName: string, displayNameCode: number}|null} null when it isn't name#code
+ */
+export function parseBungieName(bungieName) {
+    const match = /^(.+)#(\d{1,4})$/.exec((bungieName || '').trim());
+    if (!match) return null;
+    return { displayName: match[1].trim(), displayNameCode: parseInt(match[2], 10) };
+}
+
+/**
+ * Find the Destiny memberships of a Bungie Name, no login needed
+ * @param {string} bungieName - "name#code"
+ * @returns {Promise<Array>} Memberships shaped like getDestinyMemberships(), empty when nobody has that name
+ */
+export async function searchBungieName(bungieName) {
+    const parsed = parseBungieName(bungieName);
+    if (!parsed) {
+        throw new Error(`Invalid Bungie Name: ${bungieName}`);
+    }
+
+    // -1: every platform
+    const response = await fetchPublic('/Platform/Destiny2/SearchDestinyPlayerByBungieName/-1/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(parsed)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to search player: ${response.status}`);
     }
 
+    const data = await response.json();
+
+    if (data.ErrorCode !== 1) {
+        throw new Error(`Bungie API error: ${data.Message}`);
+    }
+
+    return (data.Response || []).map(card => toMembership(card, null));
+}
+
+/**
+ * List the current user's Destiny memberships
+ * With cross save on, only the account the others are overridden to has characters: the rest are kept in the
+ * list (so the picker can explain where they went) but flagged `crossSaveInactive`.
+ * @returns {Promise<Array<{membershipType: number, membershipId: string, displayName: string, iconPath: string,
+ *   platformName: string, isPrimary: boolean, crossSaveActive: boolean, crossSaveInactive: boolean}>>}
+ */
+export async function getDestinyMemberships() {
     const response = await fetchWithAuth('/Platform/User/GetMembershipsForCurrentUser/');
 
     if (!response.ok) {
@@ -213,42 +311,89 @@ export async function getCurrentUserMembership() {
         throw new Error(`Bungie API error: ${data.Message}`);
     }
 
-    // Find Destiny 2 membership (prefer primary)
-    const memberships = data.Response.destinyMemberships;
-    const primaryMembershipId = data.Response.primaryMembershipId;
+    const { destinyMemberships = [], primaryMembershipId } = data.Response;
+
+    return destinyMemberships.map(m => toMembership(m, primaryMembershipId));
+}
 
-    let membership = memberships.find(m => m.membershipId === primaryMembershipId);
-    if (!membership && memberships.length > 0) {
-        membership = memberships[0];
+// UserInfoCard from the API as the membership shape used by the pickers
+function toMembership(card, primaryMembershipId) {
+    return {
+        membershipType: card.membershipType,
+        membershipId: card.membershipId,
+        displayName: card.bungieGlobalDisplayName || card.displayName,
+        iconPath: card.iconPath,
+        platformName: PLATFORM_NAMES[card.membershipType] || `Plataforma ${card.membershipType}`,
+        isPrimary: card.membershipId === primaryMembershipId,
+        crossSaveActive: card.crossSaveOverride !== 0 && card.crossSaveOverride === card.membershipType,
+        crossSaveInactive: card.crossSaveOverride !== 0 && card.crossSaveOverride !== card.membershipType
+    };
+}
+
+/**
+ * Remember the membership to load characters from
+ */
+export function setSelectedMembership(membership) {
+    localStorage.setItem(MEMBERSHIP_STORAGE_KEY, JSON.stringify(membership));
+    console.log('[Auth] Membership selected:', membership);
+}
+
+/**
+ * The membership chosen with setSelectedMembership, if it is still one of the user's active ones
+ * @param {Array} [memberships] From getDestinyMemberships, checks the stored choice against it
+ */
+export function getSelectedMembership(memberships) {
+    const stored = localStorage.getItem(MEMBERSHIP_STORAGE_KEY);
+    if (!stored) return null;
+
+    try {
+        const selected = JSON.parse(stored);
+        if (!memberships) return selected;
+
+        // Cross save may have been enabled since, or the account unlinked
+        const current = memberships.find(m => m.membershipId === selected.membershipId);
+        return current && !current.crossSaveInactive ? current : null;
+    } catch (e) {
+        console.error('[Auth] Failed to parse stored membership:', e);
+        return null;
     }
+}
+
+/**
+ * Membership to use when the user hasn't chosen: the cross save account, else the primary, else the first active
+ */
+export function getDefaultMembership(memberships) {
+    const active = memberships.filter(m => !m.crossSaveInactive);
+    return active.find(m => m.crossSaveActive) || active.find(m => m.isPrimary) || active[0] || null;
+}
+
+/**
+ * Get current user's Destiny 2 membership info
+ * The persisted choice when there is one, otherwise the default membership (not persisted, so a picker can still ask)
+ */
+export async function getCurrentUserMembership() {
+    const memberships = await getDestinyMemberships();
+    const membership = getSelectedMembership(memberships) || getDefaultMembership(memberships);
 
     if (!membership) {
         throw new Error('No Destiny 2 membership found');
     }
 
-    const membershipInfo = {
-        membershipType: membership.membershipType,
-        membershipId: membership.membershipId,
-        displayName: membership.bungieGlobalDisplayName || membership.displayName,
-        iconPath: membership.iconPath
-    };
-
-    localStorage.setItem(MEMBERSHIP_STORAGE_KEY, JSON.stringify(membershipInfo));
-    console.log('[Auth] Membership info:', membershipInfo);
-
-    return membershipInfo;
+    console.log('[Auth] Membership info:', membership);
+    return membership;
 }
 
 /**
  * Get user's character data with equipment
+ * @param {Object} [options]
+ * @param {boolean} [options.authenticated=true] false reads another player's public profile with only the API key
  */
-export async function getCharacterEquipment(membershipType, membershipId) {
+export async function getCharacterEquipment(membershipType, membershipId, { authenticated = true } = {}) {
     // Components: 200=Characters, 203=CharacterRenderData (customDyes), 205=CharacterEquipment, 305=ItemSockets
     const components = '200,203,205,305';
+    const endpoint = `/Platform/Destiny2/${membershipType}/Profile/${membershipId}/?components=${components}`;
 
-    const response = await fetchWithAuth(
-        `/Platform/Destiny2/${membershipType}/Profile/${membershipId}/?components=${components}`
-    );
+    const response = authenticated ? await fetchWithAuth(endpoint) : await fetchPublic(endpoint);
 
     if (!response.ok) {
         throw new Error(`Failed to get profile: ${response.status}`);
@@ -260,14 +405,63 @@ export async function getCharacterEquipment(membershipType, membershipId) {
         throw new Error(`Bungie API error: ${data.Message}`);
     }
 
+    // Components the player keeps private come back without data
+    if (!data.Response.characterEquipment?.data) {
+        throw new ProfilePrivateError();
+    }
+
     return data.Response;
 }
 
+// Socket categories holding an item's ornament and shader plugs
+const COSMETICS_SOCKET_CATEGORIES = [
+    1926152773, // Armor cosmetics
+    2048875504  // Weapon cosmetics
+];
+
+/**
+ * Find the ornament and shader plugged into an item's cosmetics sockets
+ * The socket indexes come from the item definition, the plug type from the plug definition
+ * @param {Object} itemDefinition - DestinyInventoryItemDefinition of the item
+ * @param {Array} sockets - Socket states from the ItemSockets component
+ * @param {Object} definitions - DestinyInventoryItemDefinitions by hash
+ * @returns {{ornamentHash: number, shaderHash: number}|null} null when the definition has no sockets
+ */
+export function findCosmeticPlugs(itemDefinition, sockets, definitions) {
+    const socketCategories = itemDefinition?.sockets?.socketCategories || [];
+    if (socketCategories.length === 0) return null;
+
+    // Ghosts, sparrows and ships keep their shader outside the armor/weapon cosmetics categories,
+    // the plug definitions tell what is plugged in
+    const cosmetics = socketCategories.filter(c => COSMETICS_SOCKET_CATEGORIES.includes(c.socketCategoryHash));
+    const socketIndexes = (cosmetics.length > 0 ? cosmetics : socketCategories).flatMap(c => c.socketIndexes);
+
+    const plugs = { ornamentHash: 0, shaderHash: 0 };
+    for (const socketIndex of socketIndexes) {
+        const socket = sockets[socketIndex];
+        if (!socket?.plugHash || socket.isEnabled === false) continue;
+
+        const plugDefinition = definitions[socket.plugHash];
+        const plugCategory = plugDefinition?.plug?.plugCategoryIdentifier || '';
+        if (plugCategory === 'shader') {
+            plugs.shaderHash = socket.plugHash;
+        } else if (plugDefinition?.translationBlock?.hasGeometry) {
+            // Default ornaments are plugs too, only ones with their own geometry change the visual
+            plugs.ornamentHash = socket.plugHash;
+        }
+    }
+    return plugs;
+}
+
 /**
  * Parse character equipment for 3D rendering
- * Returns item hashes and shader hashes for TGXLoader
+ * Returns item hashes, ornament hashes and shader hashes for TGXLoader (armor),
+ * plus the weapons and the ghost/sparrow/ship accessories of the loadout
+ * @param {Object} profileData - Profile response with components 200, 203, 205 and 305
+ * @param {string} characterId - Character to read the equipment of
+ * @param {Object} [definitions] - DestinyInventoryItemDefinitions of the equipped items and their plugs, by hash
  */
-export function parseEquipmentForLoader(profileData, characterId) {
+export function parseEquipmentForLoader(profileData, characterId, definitions = {}) {
     const characters = profileData.characters.data;
     const equipment = profileData.characterEquipment.data;
     const itemSockets = profileData.itemComponents?.sockets?.data || {};
@@ -305,34 +499,40 @@ export function parseEquipmentForLoader(profileData, characterId) {
         CLASS_ITEM: 1585787867
     };
 
-    // Find armor pieces
-    const armorItems = [];
-    const shaderHashes = [];
-    const itemDyes = [];  // Dyes per item from peerView
-
-    for (const bucketName in ARMOR_BUCKETS) {
-        const bucketHash = ARMOR_BUCKETS[bucketName];
-        const item = items.find(i => i.bucketHash === bucketHash);
+    const WEAPON_BUCKETS = {
+        KINETIC: 1498876634,
+        ENERGY: 2465295065,
+        POWER: 953998645
+    };
 
-        if (item) {
-            let itemHash = item.itemHash;
-            let shaderHash = 0;
-
-            // Check for ornament/shader in sockets
-            const itemInstanceId = item.itemInstanceId;
-            const sockets = itemSockets[itemInstanceId]?.sockets;
-
-            if (sockets) {
-                // Socket 0 or 1 might have ornament
-                for (let i = 0; i <= 1; i++) {
-                    if (sockets[i]?.plugHash && sockets[i]?.isEnabled) {
-                        // Check if this is a different visual (ornament)
-                        // In practice, ornaments change the base geometry
-                        // For now we keep the base item
-                    }
-                }
+    // Shown on display pedestals next to the character
+    const ACCESSORY_BUCKETS = {
+        GHOST: 4023194814,
+        VEHICLE: 2025709351,
+        SHIP: 284967655
+    };
 
-                // Socket 3 or 4 usually has shader (varies by item)
+    // Equipped item in a bucket with its ornament, shader and peerView dyes
+    const parseBucketItem = (bucketName, bucketHash) => {
+        const item = items.find(i => i.bucketHash === bucketHash);
+        if (!item) return null;
+
+        const itemHash = item.itemHash;
+        let shaderHash = 0;
+        let ornamentHash = 0;
+
+        // Check for ornament/shader in sockets
+        const itemInstanceId = item.itemInstanceId;
+        const sockets = itemSockets[itemInstanceId]?.sockets;
+
+        if (sockets) {
+            const plugs = findCosmeticPlugs(definitions[itemHash], sockets, definitions);
+            if (plugs) {
+                shaderHash = plugs.shaderHash;
+                ornamentHash = plugs.ornamentHash;
+            } else {
+                // No definition to read the socket layout from, sockets 3-5 usually hold the shader
+                console.warn(`[Equipment] ${bucketName}: no socket definition for ${itemHash}`);
                 for (let i = 3; i <= 5; i++) {
                     if (sockets[i]?.plugHash && sockets[i]?.isVisible) {
                         shaderHash = sockets[i].plugHash;
@@ -340,24 +540,31 @@ export function parseEquipmentForLoader(profileData, characterId) {
                     }
                 }
             }
+        }
 
-            // Find matching dyes from peerView.equipment
-            const peerItem = peerViewEquipment.find(pe => pe.itemHash === itemHash);
-            const dyesForItem = peerItem?.dyes || [];
-
-            if (dyesForItem.length > 0) {
-                console.log(`[Equipment] ${bucketName} dyes:`, dyesForItem);
-            }
+        // Find matching dyes from peerView.equipment
+        const peerItem = peerViewEquipment.find(pe => pe.itemHash === itemHash);
+        const dyes = peerItem?.dyes || [];
 
-            armorItems.push({
-                bucket: bucketName,
-                itemHash: itemHash,
-                instanceId: itemInstanceId
-            });
-            shaderHashes.push(shaderHash);
-            itemDyes.push(dyesForItem);
+        if (dyes.length > 0) {
+            console.log(`[Equipment] ${bucketName} dyes:`, dyes);
         }
-    }
+
+        return {
+            bucket: bucketName,
+            itemHash: itemHash,
+            ornamentHash: ornamentHash,
+            shaderHash: shaderHash,
+            dyes: dyes,
+            instanceId: itemInstanceId
+        };
+    };
+
+    const parseBuckets = (buckets) => Object.keys(buckets)
+        .map(bucketName => parseBucketItem(bucketName, buckets[bucketName]))
+        .filter(Boolean);
+
+    const armorItems = parseBuckets(ARMOR_BUCKETS);
 
     return {
         character: {
@@ -368,9 +575,12 @@ export function parseEquipmentForLoader(profileData, characterId) {
             emblemPath: character.emblemPath
         },
         itemHashes: armorItems.map(a => a.itemHash),
-        shaderHashes: shaderHashes,
+        ornamentHashes: armorItems.map(a => a.ornamentHash),
+        shaderHashes: armorItems.map(a => a.shaderHash),
         armorDetails: armorItems,
-        itemDyes: itemDyes, // Dyes array per armor piece from peerView
+        itemDyes: armorItems.map(a => a.dyes), // Dyes array per armor piece from peerView
+        weapons: parseBuckets(WEAPON_BUCKETS), // Same shape as armorDetails
+        accessories: parseBuckets(ACCESSORY_BUCKETS), // Ghost, sparrow and ship
         peerViewEquipment: peerViewEquipment // Full peerView equipment for reference
     };
 }
@@ -383,11 +593,21 @@ export default {
     isAuthenticated,
     startOAuthFlow,
     handleOAuthCallback,
-    getStoredTokens,
+    getSession,
+    syncSession,
     clearTokens,
+    logout,
     fetchWithAuth,
+    getDestinyMemberships,
+    getSelectedMembership,
+    setSelectedMembership,
+    getDefaultMembership,
     getCurrentUserMembership,
     getCharacterEquipment,
+    fetchPublic,
+    parseBungieName,
+    searchBungieName,
+    findCosmeticPlugs,
     parseEquipmentForLoader,
     API_KEY,
     CLIENT_ID
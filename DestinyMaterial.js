@@ -9,6 +9,106 @@
 
 import * as THREE from 'three';
 
+// Gearstack channel layout (Destiny 2):
+//   R = ambient occlusion, G = smoothness,
+//   B = alpha test (< 32) / emissive (> 40), A = metalness (< 32) / dye mask (>= 40) / wear mask (> 48)
+// TextureBake.js runs the same chunks in UV space, so baked textures match what the viewer shows
+export const DESTINY_SHADER_CHUNKS = {
+    vertexPars: /* glsl */`
+attribute vec2 detailUv;
+uniform vec4 detailDiffuseTransform;
+uniform vec4 detailNormalTransform;
+varying vec2 vDestinyUv;
+varying vec2 vDetailDiffuseUv;
+varying vec2 vDetailNormalUv;
+`,
+    vertex: /* glsl */`
+vDestinyUv = uv;
+vDetailDiffuseUv = detailUv * detailDiffuseTransform.xy + detailDiffuseTransform.zw;
+vDetailNormalUv = detailUv * detailNormalTransform.xy + detailNormalTransform.zw;
+`,
+    fragmentPars: /* glsl */`
+uniform sampler2D gearstackMap;
+uniform sampler2D detailMap;
+uniform sampler2D detailNormalMap;
+uniform vec3 primaryColor;
+uniform vec3 secondaryColor;
+uniform vec3 wornColor;
+uniform vec4 primaryParams;
+uniform vec4 secondaryParams;
+uniform vec4 wornParams;
+uniform float usePrimaryColor;
+varying vec2 vDestinyUv;
+varying vec2 vDetailDiffuseUv;
+varying vec2 vDetailNormalUv;
+
+vec3 destinyBlendOverlay(vec3 back, vec3 front) {
+    return front * saturate(back * 4.0) + saturate(back - 0.25);
+}
+`,
+    // After <map_fragment>: decode the gearstack and tint the albedo
+    map: /* glsl */`
+vec4 gearstack = vec4(1.0, 0.5, 1.0, 0.0);
+#ifdef DESTINY_GEARSTACK
+    gearstack = texture2D(gearstackMap, vDestinyUv);
+#endif
+float gearstackB = gearstack.b * 255.0;
+float gearstackA = gearstack.a * 255.0;
+float destinySmoothness = gearstack.g;
+float destinyDyeMask = step(40.0 / 255.0, gearstack.a);
+float destinyWearMask = saturate((gearstack.a - (48.0 / 255.0)) * (255.0 / (255.0 - 48.0)));
+float destinyEmissive = saturate((gearstack.b - (40.0 / 255.0)) * (255.0 / (255.0 - 40.0)));
+
+vec3 destinyTint = mix(secondaryColor, primaryColor, usePrimaryColor);
+vec4 destinyParams = mix(secondaryParams, primaryParams, usePrimaryColor);
+
+#ifdef DESTINY_DETAIL
+    vec4 detailDiffuse = texture2D(detailMap, vDetailDiffuseUv);
+    vec3 detailColor = detailDiffuse.rgb * detailDiffuse.a + (1.0 - detailDiffuse.a) * 0.5;
+    diffuseColor.rgb = mix(diffuseColor.rgb, destinyBlendOverlay(detailColor, diffuseColor.rgb), destinyDyeMask);
+#endif
+
+vec3 destinyDyed = mix(diffuseColor.rgb, destinyBlendOverlay(diffuseColor.rgb, destinyTint), destinyDyeMask);
+diffuseColor.rgb = mix(destinyDyed, destinyDyed * wornColor, destinyWearMask);
+
+#ifdef DESTINY_ALPHA_TEST
+    if (gearstackB < 32.0) diffuseColor.a *= mix(1.0, gearstackB / 32.0, destinyDyeMask);
+#endif
+`,
+    roughness: /* glsl */`
+#ifdef DESTINY_GEARSTACK
+    roughnessFactor = 1.0 - destinySmoothness;
+#endif
+`,
+    // Dye params keep metalness in w, worn areas take theirs from wornParams
+    metalness: /* glsl */`
+#ifdef DESTINY_GEARSTACK
+    metalnessFactor = gearstackA < 32.0 ? gearstackA / 32.0 : mix(destinyParams.w, wornParams.w, destinyWearMask);
+#endif
+`,
+    normal: /* glsl */`
+#if defined( DESTINY_DETAIL_NORMAL ) && defined( USE_NORMALMAP_TANGENTSPACE )
+    vec3 detailNormal = texture2D(detailNormalMap, vDetailNormalUv).xyz * 2.0 - 1.0;
+    normal = normalize(normal + tbn * vec3(detailNormal.xy * destinyDyeMask, 0.0));
+#endif
+`,
+    emissive: /* glsl */`
+#ifdef DESTINY_GEARSTACK
+    totalEmissiveRadiance *= destinyEmissive;
+#endif
+`
+};
+
+function toVector4(value, fallback) {
+    if (value && value.isVector4) return value.clone();
+    if (Array.isArray(value) && value.length >= 4) return new THREE.Vector4().fromArray(value);
+    return fallback.clone();
+}
+
+function insertAfter(shader, include, code) {
+    return shader.replace(include, `${include}\n${code}`);
+}
+
 /**
  * Creates a Destiny-compatible material using MeshStandardMaterial as base
  * with custom shader injection for Gearstack textures and dye system.
@@ -18,11 +118,15 @@ import * as THREE from 'three';
  * @param {THREE.Texture} params.normalMap - Normal map texture
  * @param {THREE.Texture} params.gearstackMap - Gearstack texture (AO, smoothness, alpha, dye mask)
  * @param {THREE.Texture} params.detailMap - Detail texture for dyes (optional)
- * @param {THREE.Texture} params.detailNormalMap - Detail normal map (optional)
+ * @param {THREE.Texture} params.detailNormalMap - Detail normal map (optional, needs normalMap)
+ * @param {THREE.Texture} params.emissiveMap - Emissive texture, masked by the gearstack blue channel (optional)
  * @param {THREE.Color|number} params.primaryColor - Primary dye color
  * @param {THREE.Color|number} params.secondaryColor - Secondary dye color
+ * @param {THREE.Color|number} params.wornColor - Albedo tint of worn areas
  * @param {boolean} params.usePrimaryColor - Whether to use primary or secondary color
+ * @param {boolean} params.useAlphaTest - Cut out pixels using the gearstack alpha test channel
  * @param {Object} params.dyeParams - Additional dye parameters from gear definition
+ *   (primaryParams, secondaryParams, wornParams, detailDiffuseTransform, detailNormalTransform)
  * @returns {THREE.MeshStandardMaterial} Material with Destiny shader injection
  */
 export function createDestinyMaterial(params = {}) {
@@ -32,19 +136,25 @@ export function createDestinyMaterial(params = {}) {
         gearstackMap = null,
         detailMap = null,
         detailNormalMap = null,
+        emissiveMap = null,
         primaryColor = 0x888888,
         secondaryColor = 0x444444,
+        wornColor = 0x666666,
         usePrimaryColor = true,
+        useAlphaTest = false,
         dyeParams = {},
         side = THREE.DoubleSide,
         transparent = false,
-        alphaTest = 0.0,
+        alphaTest = useAlphaTest ? 0.5 : 0.0,
     } = params;
 
     // Create base material
     const material = new THREE.MeshStandardMaterial({
         map: diffuseMap,
         normalMap: normalMap,
+        aoMap: gearstackMap, // AO lives in the red channel
+        emissiveMap: emissiveMap,
+        emissive: emissiveMap ? 0xffffff : 0x000000,
         side: side,
         transparent: transparent,
         alphaTest: alphaTest,
@@ -52,23 +162,66 @@ export function createDestinyMaterial(params = {}) {
         metalness: 0.0,
     });
 
-    // SIMPLIFIED: Disable custom shader injection (causing vertex shader errors)
-    // Just store the params for potential later use
+    if (diffuseMap && diffuseMap.colorSpace === THREE.NoColorSpace) {
+        diffuseMap.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    // Shared with the compiled program by reference, so updateDestinyDye never recompiles
+    const uniforms = {
+        gearstackMap: { value: gearstackMap },
+        detailMap: { value: detailMap },
+        detailNormalMap: { value: detailNormalMap },
+        primaryColor: { value: new THREE.Color(primaryColor) },
+        secondaryColor: { value: new THREE.Color(secondaryColor) },
+        wornColor: { value: new THREE.Color(wornColor) },
+        usePrimaryColor: { value: usePrimaryColor ? 1.0 : 0.0 },
+        primaryParams: { value: toVector4(dyeParams.primaryParams, new THREE.Vector4(0, 0, 0, 0)) },
+        secondaryParams: { value: toVector4(dyeParams.secondaryParams, new THREE.Vector4(0, 0, 0, 0)) },
+        wornParams: { value: toVector4(dyeParams.wornParams, new THREE.Vector4(0, 0, 0, 0)) },
+        detailDiffuseTransform: { value: toVector4(dyeParams.detailDiffuseTransform, new THREE.Vector4(1, 1, 0, 0)) },
+        detailNormalTransform: { value: toVector4(dyeParams.detailNormalTransform, new THREE.Vector4(1, 1, 0, 0)) },
+    };
+
+    if (gearstackMap) material.defines.DESTINY_GEARSTACK = '';
+    if (detailMap) material.defines.DESTINY_DETAIL = '';
+    if (detailNormalMap) material.defines.DESTINY_DETAIL_NORMAL = '';
+    if (useAlphaTest && gearstackMap) material.defines.DESTINY_ALPHA_TEST = '';
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = insertAfter(shader.vertexShader, '#include <uv_pars_vertex>', DESTINY_SHADER_CHUNKS.vertexPars);
+        shader.vertexShader = insertAfter(shader.vertexShader, '#include <uv_vertex>', DESTINY_SHADER_CHUNKS.vertex);
+
+        let fragmentShader = shader.fragmentShader;
+        fragmentShader = insertAfter(fragmentShader, '#include <map_pars_fragment>', DESTINY_SHADER_CHUNKS.fragmentPars);
+        fragmentShader = insertAfter(fragmentShader, '#include <map_fragment>', DESTINY_SHADER_CHUNKS.map);
+        fragmentShader = insertAfter(fragmentShader, '#include <roughnessmap_fragment>', DESTINY_SHADER_CHUNKS.roughness);
+        fragmentShader = insertAfter(fragmentShader, '#include <metalnessmap_fragment>', DESTINY_SHADER_CHUNKS.metalness);
+        fragmentShader = insertAfter(fragmentShader, '#include <normal_fragment_maps>', DESTINY_SHADER_CHUNKS.normal);
+        fragmentShader = insertAfter(fragmentShader, '#include <emissivemap_fragment>', DESTINY_SHADER_CHUNKS.emissive);
+        shader.fragmentShader = fragmentShader;
+
+        material.userData.shader = shader;
+    };
+
+    // Use primary color tint if no diffuse map
+    if (!diffuseMap && (gearstackMap || detailMap)) {
+        material.color = new THREE.Color(usePrimaryColor ? primaryColor : secondaryColor);
+    }
+
+    material.userData.destinyUniforms = uniforms;
     material.userData.destinyParams = {
         gearstackMap,
         detailMap,
         detailNormalMap,
         primaryColor,
         secondaryColor,
+        wornColor,
         usePrimaryColor,
         dyeParams,
     };
 
-    // Use primary color tint if no diffuse map
-    if (!diffuseMap && (gearstackMap || detailMap)) {
-        material.color = new THREE.Color(usePrimaryColor ? primaryColor : secondaryColor);
-    }
-
     return material;
 }
 
@@ -81,22 +234,21 @@ export function createDestinyMaterial(params = {}) {
  * @param {THREE.Color|number} primaryColor - New primary color
  * @param {THREE.Color|number} secondaryColor - New secondary color  
  * @param {boolean} usePrimary - Whether to use primary color
+ * @param {THREE.Color|number} [wornColor] - New worn tint, unchanged when omitted
  */
-export function updateDestinyDye(material, primaryColor, secondaryColor, usePrimary = true) {
-    if (!material.userData.destinyUniforms) {
+export function updateDestinyDye(material, primaryColor, secondaryColor, usePrimary = true, wornColor) {
+    const uniforms = material.userData.destinyUniforms;
+    if (!uniforms) {
         console.warn('updateDestinyDye: Material is not a Destiny material');
         return;
     }
 
-    material.userData.destinyUniforms.primaryColor.value = new THREE.Color(primaryColor);
-    material.userData.destinyUniforms.secondaryColor.value = new THREE.Color(secondaryColor);
-    material.userData.destinyUniforms.usePrimaryColor.value = usePrimary ? 1.0 : 0.0;
-
-    // Update shader uniforms if compiled
-    if (material.userData.shader) {
-        material.userData.shader.uniforms.primaryColor.value = material.userData.destinyUniforms.primaryColor.value;
-        material.userData.shader.uniforms.secondaryColor.value = material.userData.destinyUniforms.secondaryColor.value;
-        material.userData.shader.uniforms.usePrimaryColor.value = material.userData.destinyUniforms.usePrimaryColor.value;
+    // The program holds the same uniform objects, so this applies on the next frame
+    uniforms.primaryColor.value.set(primaryColor);
+    uniforms.secondaryColor.value.set(secondaryColor);
+    uniforms.usePrimaryColor.value = usePrimary ? 1.0 : 0.0;
+    if (wornColor !== undefined) {
+        uniforms.wornColor.value.set(wornColor);
     }
 }
 
@@ -116,7 +268,6 @@ export function convertTGXMaterials(tgxMaterials, textures = {}) {
     return tgxMaterials.map((mat, index) => {
         // Handle null/undefined materials
         if (!mat) {
-            console.log(`Material ${index}: null/undefined, creating default gray material`);
             return new THREE.MeshStandardMaterial({
                 color: 0x888888,
                 roughness: 0.5,
@@ -130,6 +281,10 @@ export function convertTGXMaterials(tgxMaterials, textures = {}) {
         let normalMap = null;
         let gearstackMap = null;
         let emissiveMap = null;
+        let detailMap = null;
+        let detailNormalMap = null;
+        let dyeParams = {};
+        let useAlphaTest = false;
         let primaryColor = new THREE.Color(0xffffff);
         let secondaryColor = new THREE.Color(0x888888);
         let wornColor = new THREE.Color(0x666666);
@@ -143,6 +298,16 @@ export function convertTGXMaterials(tgxMaterials, textures = {}) {
             normalMap = mat.normalMap || null;
             gearstackMap = mat.gearstackMap || null;
             emissiveMap = mat.emissiveMap || null;
+            detailMap = mat.detailMap || (mat.usePrimaryColor === false ? mat.secondaryDetailMap : mat.primaryDetailMap) || null;
+            detailNormalMap = mat.detailNormalMap || null;
+            useAlphaTest = !!mat.useAlphaTest;
+            dyeParams = {
+                primaryParams: mat.primaryParams,
+                secondaryParams: mat.secondaryParams,
+                wornParams: mat.wornParams,
+                detailDiffuseTransform: mat.detailDiffuseTransform,
+                detailNormalTransform: mat.detailNormalTransform,
+            };
 
             // Extract colors from TGXMaterial
             if (mat.primaryColor) {
@@ -171,79 +336,28 @@ export function convertTGXMaterials(tgxMaterials, textures = {}) {
             if (mat.roughness !== undefined) {
                 roughness = mat.roughness;
             }
-
-            // Log what we found
-            console.log(`Material ${index}: Extracting from ${mat.type || mat.constructor?.name || 'TGXMaterial'}`, {
-                hasDiffuse: !!diffuseMap,
-                hasNormal: !!normalMap,
-                hasGearstack: !!gearstackMap,
-                hasEmissive: !!emissiveMap,
-                primaryColor: '#' + primaryColor.getHexString(),
-                secondaryColor: '#' + secondaryColor.getHexString(),
-                usePrimaryColor,
-                metalness,
-                roughness,
-            });
         } catch (e) {
             console.warn(`Material ${index}: Error extracting textures:`, e);
         }
 
-        // Select the dye color based on usePrimaryColor flag
-        const dyeColor = usePrimaryColor ? primaryColor : secondaryColor;
-
-        // Create MeshStandardMaterial with extracted textures
-        const materialParams = {
-            side: THREE.DoubleSide,
-            roughness: roughness,
-            metalness: metalness,
-        };
-
-        // Add diffuse map if available
-        if (diffuseMap) {
-            materialParams.map = diffuseMap;
-            // Don't override color with white if we have a texture
-        } else {
-            // No diffuse map, use dye color as base
-            materialParams.color = dyeColor;
-        }
-
-        // Add normal map if available
-        if (normalMap) {
-            materialParams.normalMap = normalMap;
-            materialParams.normalScale = new THREE.Vector2(1, 1);
-        }
-
-        // Use gearstack map for AO (red channel contains AO in Destiny 2)
-        if (gearstackMap) {
-            materialParams.aoMap = gearstackMap;
-            materialParams.aoMapIntensity = 1.0;
-            // Note: For proper AO, mesh needs UV2, but we can try with UV1
-        }
-
-        // Add emissive if available
-        if (emissiveMap) {
-            materialParams.emissiveMap = emissiveMap;
-            materialParams.emissive = new THREE.Color(0xffffff);
-            materialParams.emissiveIntensity = 1.0;
-        }
-
-        const newMaterial = new THREE.MeshStandardMaterial(materialParams);
-
-        // NOTE: We're NOT tinting when there's a diffuse map because it makes the model too dark
-        // In Destiny, the dye system uses a complex overlay blend mode in the shader,
-        // which can't be replicated with just the color property (which multiplies)
-        // For now, let the textures show as-is - proper dye application would require
-        // custom shader modifications via onBeforeCompile
-
-        // Store extra data for potential future use (and for debugging)
-        newMaterial.userData.destinyParams = {
+        const newMaterial = createDestinyMaterial({
+            diffuseMap,
+            normalMap,
             gearstackMap,
+            detailMap,
+            detailNormalMap,
+            emissiveMap,
+            primaryColor,
+            secondaryColor,
+            wornColor,
             usePrimaryColor,
-            primaryColor: primaryColor.clone(),
-            secondaryColor: secondaryColor.clone(),
-            wornColor: wornColor.clone(),
-            originalMaterialType: mat.type || mat.constructor?.name,
-        };
+            useAlphaTest,
+            dyeParams,
+        });
+        newMaterial.roughness = roughness;
+        newMaterial.metalness = metalness;
+        newMaterial.name = mat.name || '';
+        newMaterial.userData.destinyParams.originalMaterialType = mat.type || mat.constructor?.name;
 
         return newMaterial;
     });
@@ -0,0 +1,228 @@
+/**
+ * GLBExport - Binary glTF export of a loaded character
+ *
+ * Exports the group built by loadModel/loadLoadout: geometry, skins sharing the player skeleton, weapons on their
+ * grip bones, pedestals, animation clips and the decoded mobile textures. The gear shader itself can't travel in
+ * glTF, so each material carries its resolved dye colors as extras (`destinyDye`) for rebuilding it in Blender.
+ * Given a renderer, materials are first baked (TextureBake.js) so the GLB's own textures already show the dyes.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { bakeGroup, toCanvas, toPNG, BAKE_TARGETS } from './TextureBake.js';
+
+function colorHex(value) {
+    return '#' + new THREE.Color(value).getHexString();
+}
+
+function vectorArray(value) {
+    if (!value) return null;
+    if (value.isVector4) return value.toArray();
+    return Array.isArray(value) ? value.slice(0, 4) : null;
+}
+
+/**
+ * Dye values of a createDestinyMaterial material as plain JSON, null for other materials
+ */
+export function getDyeExtras(material) {
+    const params = material.userData.destinyParams;
+    if (!params) return null;
+    const dyeParams = params.dyeParams || {};
+    return {
+        primaryColor: colorHex(params.primaryColor),
+        secondaryColor: colorHex(params.secondaryColor),
+        wornColor: colorHex(params.wornColor),
+        usePrimaryColor: !!params.usePrimaryColor,
+        tint: colorHex(params.usePrimaryColor ? params.primaryColor : params.secondaryColor),
+        primaryParams: vectorArray(dyeParams.primaryParams),
+        secondaryParams: vectorArray(dyeParams.secondaryParams),
+        wornParams: vectorArray(dyeParams.wornParams),
+        detailDiffuseTransform: vectorArray(dyeParams.detailDiffuseTransform),
+        detailNormalTransform: vectorArray(dyeParams.detailNormalTransform)
+    };
+}
+
+/**
+ * Plain MeshStandardMaterial with the same maps and factors, and JSON-safe userData
+ * Material.clone() would deep copy userData, which holds the live shader and uniforms
+ */
+function toExportMaterial(material, baked) {
+    if (!material.isMeshStandardMaterial) return material;
+    if (baked) return toBakedMaterial(material, baked);
+    const exported = new THREE.MeshStandardMaterial({
+        name: material.name,
+        color: material.color,
+        map: material.map,
+        normalMap: material.normalMap,
+        normalScale: material.normalScale,
+        aoMap: material.aoMap, // Gearstack, occlusion sits in the red channel like glTF expects
+        emissive: material.emissive,
+        emissiveMap: material.emissiveMap,
+        emissiveIntensity: material.emissiveIntensity,
+        roughness: material.roughness,
+        metalness: material.metalness,
+        roughnessMap: material.roughnessMap,
+        metalnessMap: material.metalnessMap,
+        side: material.side,
+        transparent: material.transparent,
+        opacity: material.opacity,
+        alphaTest: material.alphaTest,
+        vertexColors: material.vertexColors
+    });
+    const dye = getDyeExtras(material);
+    if (dye) exported.userData.destinyDye = dye;
+    return exported;
+}
+
+function bakedTexture(baked, name) {
+    const texture = new THREE.CanvasTexture(toCanvas(baked[name], baked.width, baked.height));
+    texture.flipY = false; // Bake rows start at v = 0, like the gear textures
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = name === 'albedo' ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+    return texture;
+}
+
+// Factors are 1 so the baked maps are used as they are, the ORM map serves occlusion, roughness and metalness
+function toBakedMaterial(material, baked) {
+    const orm = bakedTexture(baked, 'orm');
+    const exported = new THREE.MeshStandardMaterial({
+        name: material.name,
+        map: bakedTexture(baked, 'albedo'),
+        normalMap: bakedTexture(baked, 'normal'),
+        aoMap: orm,
+        roughnessMap: orm,
+        metalnessMap: orm,
+        roughness: 1,
+        metalness: 1,
+        emissive: material.emissive,
+        emissiveMap: material.emissiveMap,
+        emissiveIntensity: material.emissiveIntensity,
+        side: material.side,
+        transparent: material.transparent,
+        opacity: material.opacity,
+        alphaTest: material.alphaTest
+    });
+    const dye = getDyeExtras(material);
+    if (dye) exported.userData.destinyDye = dye;
+    return exported;
+}
+
+/**
+ * Export a character group as GLB
+ * @param {THREE.Object3D} group Group from loadLoadout/addGroupToScene, or a single item mesh
+ * @param {Object} [options]
+ * @param {THREE.AnimationClip[]} [options.animations] Defaults to group.animations
+ * @param {boolean} [options.resetTransform=true] Drop the viewer's framing scale and offset
+ * @param {number} [options.maxTextureSize=4096]
+ * @param {THREE.WebGLRenderer} [options.renderer] Bake dyed albedo/ORM/normal textures with this renderer
+ * @param {Object} [options.bake] bakeMaterial options (size, maxSize, dilation)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function exportGLB(group, options = {}) {
+    const {
+        animations = group.animations || [],
+        resetTransform = true,
+        maxTextureSize = 4096,
+        renderer = null,
+        bake = {}
+    } = options;
+
+    const baked = renderer ? bakeGroup(renderer, group, bake) : new Map();
+
+    // A copy with its own bones, so the viewer's materials and pose stay untouched while textures are encoded.
+    // Object3D.clone deep copies userData through JSON, loader results there are set aside meanwhile
+    const userData = new Map();
+    group.traverse(obj => {
+        userData.set(obj, obj.userData);
+        obj.userData = {};
+    });
+    let root;
+    try {
+        root = SkeletonUtils.clone(group);
+    } finally {
+        for (const [obj, data] of userData) obj.userData = data;
+    }
+    if (resetTransform) {
+        root.position.set(0, 0, 0);
+        root.quaternion.identity();
+        root.scale.set(1, 1, 1);
+    }
+
+    const exportMaterials = new Map();
+    root.traverse(obj => {
+        const itemHash = obj.name.startsWith('item_') ? parseInt(obj.name.slice(5), 10) : null;
+        if (itemHash) obj.userData.itemHash = itemHash;
+        if (!obj.isMesh) return;
+        const convert = material => {
+            if (!exportMaterials.has(material)) exportMaterials.set(material, toExportMaterial(material, baked.get(material)));
+            return exportMaterials.get(material);
+        };
+        obj.material = Array.isArray(obj.material) ? obj.material.map(convert) : convert(obj.material);
+    });
+
+    const exporter = new GLTFExporter();
+    try {
+        return await exporter.parseAsync(root, {
+            binary: true,
+            animations,
+            onlyVisible: true,
+            maxTextureSize
+        });
+    } finally {
+        for (const [source, exported] of exportMaterials) {
+            if (exported === source) continue;
+            if (baked.has(source)) [exported.map, exported.normalMap, exported.aoMap].forEach(texture => texture.dispose());
+            exported.dispose();
+        }
+    }
+}
+
+/**
+ * Hand a blob to the browser as a file download
+ */
+export function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export and hand the GLB to the browser as a download
+ * @param {THREE.Object3D} group
+ * @param {string} [filename]
+ * @param {Object} [options] exportGLB options
+ */
+export async function downloadGLB(group, filename = 'destiny-character.glb', options = {}) {
+    const glb = await exportGLB(group, options);
+    saveBlob(new Blob([glb], { type: 'model/gltf-binary' }), filename);
+    console.log(`[Export] ${filename}: ${(glb.byteLength / 1048576).toFixed(1)} MB`);
+}
+
+/**
+ * Bake every material and download the albedo/ORM/normal PNGs as one zip
+ * Files are named <index>_<material>_<target>.png, in the order materials appear in the group
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Object3D} group
+ * @param {string} [filename]
+ * @param {Object} [options] bakeMaterial options
+ */
+export async function downloadBakedTextures(renderer, group, filename = 'destiny-textures.zip', options = {}) {
+    const { ZipWriter, BlobWriter, BlobReader } = await import('@zip.js/zip.js');
+    const baked = bakeGroup(renderer, group, options);
+    const zipWriter = new ZipWriter(new BlobWriter('application/zip'), { level: 0, useWebWorkers: false }); // PNGs are already compressed
+    let index = 0;
+    for (const [material, result] of baked) {
+        const name = `${index++}_${(material.name || 'material').replace(/[^\w.-]+/g, '_')}`;
+        for (const target of BAKE_TARGETS) {
+            await zipWriter.add(`${name}_${target}.png`, new BlobReader(await toPNG(result[target], result.width, result.height)));
+        }
+    }
+    saveBlob(await zipWriter.close(), filename);
+    console.log(`[Export] ${filename}: ${baked.size} materials baked`);
+}
@@ -0,0 +1,236 @@
+/**
+ * PrintExport - STL/OBJ export of a loaded character for 3D printing
+ *
+ * Everything printable in the group is flattened into one mesh in the group's own space (Z up, meters).
+ * Stage parts are filtered with the loader's part metadata (geometry.userData.parts), vertices split only
+ * for UVs and normals are welded back together, and the result is scaled to millimeters and set on the build plate.
+ */
+
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { saveBlob } from './GLBExport.js';
+
+// lodCategory values checkRenderPart draws but a print can't use: 2 decals/stickers, 3 internal/hidden geometry
+export const PRINT_SKIPPED_LOD_CATEGORIES = [2, 3];
+
+const DEFAULT_PRINT_OPTIONS = {
+    skipLodCategories: PRINT_SKIPPED_LOD_CATEGORIES,
+    pose: false, // true: the current animation pose, false: the skeleton's bind pose
+    scale: 1000, // Millimeters per game unit (meters)
+    height: null, // Millimeters, overrides scale to fit the model to this height
+    merge: true, // One welded mesh instead of one object per piece
+    weldTolerance: 1e-4, // Game units
+    includeWeapons: true, // Weapons held on grip bones
+    includePedestals: false, // Ghost, sparrow, ship and unheld weapons
+    placeOnBuildPlate: true // Centered on X/Y with the lowest point at Z = 0
+};
+
+function isUnderPedestal(obj, root) {
+    for (let node = obj; node && node !== root; node = node.parent) {
+        if (node.name.startsWith('pedestal_')) return true;
+    }
+    return false;
+}
+
+function isUnderBone(obj, root) {
+    for (let node = obj.parent; node && node !== root; node = node.parent) {
+        if (node.isBone) return true;
+    }
+    return false;
+}
+
+// Index ranges of a geometry that belong in the print
+function printableRanges(geometry, skipLodCategories) {
+    const indexCount = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+    if (geometry.groups.length === 0) return [{ start: 0, count: indexCount }];
+    const parts = geometry.userData.parts || [];
+    return geometry.groups.filter((group, i) => {
+        const part = parts[i];
+        return !part || skipLodCategories.indexOf(part.lodCategory) === -1;
+    });
+}
+
+/**
+ * Posed or bind pose positions of a mesh, in `root`'s space, as a flat triangle list
+ */
+function collectTriangles(mesh, root, ranges, pose) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert().multiply(mesh.matrixWorld);
+    const vertex = new THREE.Vector3();
+
+    // Each vertex is transformed once even when many triangles share it
+    const transformed = new Float32Array(position.count * 3);
+    const done = new Uint8Array(position.count);
+    const transform = i => {
+        if (!done[i]) {
+            vertex.fromBufferAttribute(position, i);
+            if (pose && mesh.isSkinnedMesh) mesh.applyBoneTransform(i, vertex);
+            vertex.applyMatrix4(toRoot);
+            vertex.toArray(transformed, i * 3);
+            done[i] = 1;
+        }
+        return i * 3;
+    };
+
+    let triangleCount = 0;
+    for (const range of ranges) triangleCount += Math.floor(range.count / 3);
+    const triangles = new Float32Array(triangleCount * 9);
+    let offset = 0;
+    for (const range of ranges) {
+        const end = range.start + Math.floor(range.count / 3) * 3;
+        for (let i = range.start; i < end; i++) {
+            const source = transform(index ? index.getX(i) : i);
+            triangles[offset++] = transformed[source];
+            triangles[offset++] = transformed[source + 1];
+            triangles[offset++] = transformed[source + 2];
+        }
+    }
+    return triangles;
+}
+
+// Bones back in their bind pose, returns a function that restores the current pose
+function bindPose(skeletons) {
+    const saved = [];
+    for (const skeleton of skeletons) {
+        for (const bone of skeleton.bones) {
+            saved.push([bone, bone.position.clone(), bone.quaternion.clone(), bone.scale.clone()]);
+        }
+        skeleton.pose();
+    }
+    return () => {
+        for (const [bone, position, quaternion, scale] of saved) {
+            bone.position.copy(position);
+            bone.quaternion.copy(quaternion);
+            bone.scale.copy(scale);
+        }
+    };
+}
+
+/**
+ * Printable meshes of a character group
+ * @param {THREE.Object3D} group characterGroup from loadLoadout, or a single item mesh
+ * @param {Object} [options] See DEFAULT_PRINT_OPTIONS
+ * @returns {THREE.Mesh[]} One mesh when merging, else one per item, with position and normal only, in millimeters
+ */
+export function buildPrintMeshes(group, options = {}) {
+    options = { ...DEFAULT_PRINT_OPTIONS, ...options };
+
+    const sources = [];
+    const skeletons = new Set();
+    group.traverse(obj => {
+        if (!obj.isMesh || !obj.visible) return;
+        if (!options.includePedestals && isUnderPedestal(obj, group)) return;
+        if (!options.includeWeapons && isUnderBone(obj, group)) return;
+        sources.push(obj);
+        if (obj.isSkinnedMesh) skeletons.add(obj.skeleton);
+    });
+
+    const restorePose = options.pose ? null : bindPose(skeletons);
+    const pieces = [];
+    try {
+        group.updateMatrixWorld(true);
+        for (const skeleton of skeletons) skeleton.update();
+        for (const mesh of sources) {
+            const triangles = collectTriangles(mesh, group, printableRanges(mesh.geometry, options.skipLodCategories), options.pose);
+            if (triangles.length > 0) pieces.push({ name: mesh.name, triangles });
+        }
+    } finally {
+        if (restorePose) {
+            restorePose();
+            group.updateMatrixWorld(true);
+        }
+    }
+    if (pieces.length === 0) return [];
+
+    const toGeometry = triangles => {
+        let geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(triangles, 3));
+        geometry = mergeVertices(geometry, options.weldTolerance); // Closes seams opened by UV and normal splits
+        geometry.computeVertexNormals();
+        return geometry;
+    };
+
+    let geometries;
+    if (options.merge) {
+        const length = pieces.reduce((total, piece) => total + piece.triangles.length, 0);
+        const merged = new Float32Array(length);
+        let offset = 0;
+        for (const piece of pieces) {
+            merged.set(piece.triangles, offset);
+            offset += piece.triangles.length;
+        }
+        geometries = [{ name: group.name || 'character', geometry: toGeometry(merged) }];
+    } else {
+        geometries = pieces.map(piece => ({ name: piece.name, geometry: toGeometry(piece.triangles) }));
+    }
+
+    // Real world size and build plate placement, applied to every piece alike so they stay aligned
+    const box = new THREE.Box3();
+    for (const { geometry } of geometries) {
+        geometry.computeBoundingBox();
+        box.union(geometry.boundingBox);
+    }
+    const size = box.getSize(new THREE.Vector3());
+    const scale = options.height ? options.height / size.z : options.scale;
+    const center = box.getCenter(new THREE.Vector3());
+    const matrix = new THREE.Matrix4().makeScale(scale, scale, scale);
+    if (options.placeOnBuildPlate) {
+        matrix.multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -box.min.z));
+    }
+
+    return geometries.map(({ name, geometry }) => {
+        geometry.applyMatrix4(matrix);
+        const mesh = new THREE.Mesh(geometry);
+        mesh.name = name;
+        return mesh;
+    });
+}
+
+function exportRoot(meshes) {
+    const root = new THREE.Group();
+    meshes.forEach(mesh => root.add(mesh));
+    root.updateMatrixWorld(true);
+    return root;
+}
+
+/**
+ * Binary STL of the printable character
+ * @returns {ArrayBuffer|null} null when nothing printable is left
+ */
+export function exportSTL(group, options = {}) {
+    const meshes = buildPrintMeshes(group, options);
+    if (meshes.length === 0) return null;
+    const view = new STLExporter().parse(exportRoot(meshes), { binary: true });
+    meshes.forEach(mesh => mesh.geometry.dispose());
+    return view.buffer;
+}
+
+/**
+ * OBJ text of the printable character, one `o` object per piece when not merging
+ * @returns {string|null} null when nothing printable is left
+ */
+export function exportOBJ(group, options = {}) {
+    const meshes = buildPrintMeshes(group, options);
+    if (meshes.length === 0) return null;
+    const obj = new OBJExporter().parse(exportRoot(meshes));
+    meshes.forEach(mesh => mesh.geometry.dispose());
+    return obj;
+}
+
+/**
+ * Export and download the printable character
+ * @param {THREE.Object3D} group
+ * @param {'stl'|'obj'} format
+ * @param {string} [filename]
+ * @param {Object} [options] See DEFAULT_PRINT_OPTIONS
+ */
+export function downloadPrint(group, format, filename = `destiny-character.${format}`, options = {}) {
+    const data = format === 'obj' ? exportOBJ(group, options) : exportSTL(group, options);
+    if (data === null) throw new Error('Nothing printable in the model');
+    saveBlob(new Blob([data], { type: format === 'obj' ? 'text/plain' : 'model/stl' }), filename);
+    console.log(`[Export] ${filename} (${format.toUpperCase()}) exported`);
+}
@@ -0,0 +1,82 @@
+import { decodeTGXBin } from './TGXParser.js';
+
+/**
+ * Spreads TGX bin decoding over a few module workers (TGXDecodeWorker.js)
+ * Where workers aren't available (Node, old browsers) bins are decoded on the calling thread instead
+ */
+export class TGXDecodePool {
+    /**
+     * @param {number} [size] Worker count, defaults to the spare cores up to 4
+     */
+    constructor(size) {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        this.size = size || Math.max(1, Math.min(4, cores - 1));
+        this.workers = [];
+        this.requests = new Map();
+        this.requestId = 0;
+        this.supported = typeof Worker !== 'undefined';
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL('./TGXDecodeWorker.js', import.meta.url), { type: 'module' });
+        worker.pending = 0;
+        worker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            worker.pending--;
+            if (error !== undefined) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+        worker.onerror = (event) => { // The worker script itself failed, nothing it holds will be answered
+            const error = new Error(`[TGXDecodePool] Worker failed: ${event.message || 'TGXDecodeWorker.js'}`);
+            for (const [id, request] of this.requests) {
+                if (request.worker !== worker) continue;
+                this.requests.delete(id);
+                request.reject(error);
+            }
+            this.workers.splice(this.workers.indexOf(worker), 1);
+            worker.terminate();
+        };
+        this.workers.push(worker);
+        return worker;
+    }
+
+    // Least busy worker, a new one while the pool isn't full
+    nextWorker() {
+        let idle = null;
+        for (const worker of this.workers) {
+            if (!idle || worker.pending < idle.pending) idle = worker;
+        }
+        if ((!idle || idle.pending > 0) && this.workers.length < this.size) return this.createWorker();
+        return idle;
+    }
+
+    /**
+     * Decode a TGX bin, see decodeTGXBin in TGXParser.js for the result
+     * The bytes are copied to the worker rather than transferred, callers (and the content cache) keep using them
+     * @param {Uint8Array} data
+     * @param {{geometry?: boolean}} [options]
+     * @returns {Promise<Object>}
+     */
+    decode(data, options = {}) {
+        if (!this.supported) {
+            return new Promise(resolve => resolve(decodeTGXBin(data, options)));
+        }
+        return new Promise((resolve, reject) => {
+            const worker = this.nextWorker();
+            const id = ++this.requestId;
+            this.requests.set(id, { worker, resolve, reject });
+            worker.pending++;
+            worker.postMessage({ id, data, options });
+        });
+    }
+
+    terminate() {
+        for (const worker of this.workers) worker.terminate();
+        this.workers = [];
+        for (const request of this.requests.values()) request.reject(new Error('[TGXDecodePool] Terminated'));
+        this.requests.clear();
+    }
+}
@@ -0,0 +1,14 @@
+// Decode thread for TGXDecodePool
+// Splits TGX containers and decodes geometry vertex streams off the main thread.
+// Messages are {id, data, options}, replies are {id, result} or {id, error} with the result's buffers transferred.
+import { decodeTGXBin, getTransferables } from './TGXParser.js';
+
+self.onmessage = (event) => {
+    const { id, data, options } = event.data;
+    try {
+        const result = decodeTGXBin(data, options);
+        self.postMessage({ id, result }, getTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+    }
+};
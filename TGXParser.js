@@ -0,0 +1,413 @@
+/**
+ * TGX container and render_metadata parsing shared by the loader, its decode workers and the tgx-inspect CLI
+ * No DOM or three.js here: everything takes a Uint8Array and returns plain objects and typed arrays
+ */
+
+// Vertex element storage types, as in '_vertex_format_attribute_short4'
+export const STREAM_TYPES = {
+    ubyte: { size: 1, bits: 8, signed: false, ArrayType: Uint8Array, read: 'getUint8' },
+    byte: { size: 1, bits: 8, signed: true, ArrayType: Int8Array, read: 'getInt8' },
+    ushort: { size: 2, bits: 16, signed: false, ArrayType: Uint16Array, read: 'getUint16' },
+    short: { size: 2, bits: 16, signed: true, ArrayType: Int16Array, read: 'getInt16' },
+    uint: { size: 4, bits: 32, signed: false, ArrayType: Uint32Array, read: 'getUint32' },
+    int: { size: 4, bits: 32, signed: true, ArrayType: Int32Array, read: 'getInt32' },
+    float: { size: 4, bits: 32, signed: true, ArrayType: Float32Array, read: 'getFloat32', isFloat: true },
+    half: { size: 2, bits: 16, signed: true, ArrayType: Uint16Array, read: 'getUint16', isFloat: true, isHalf: true }
+};
+
+// Typed array views read in host byte order, TGX data is little endian
+const LITTLE_ENDIAN_HOST = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const KNOWN_SEMANTICS = ['position', 'normal', 'tangent', 'texcoord', 'blendweight', 'blendindices', 'color'];
+
+const FILE_HEADER_SIZE = 0x110;
+
+let halfTable = null;
+
+// IEEE 754 binary16 -> number
+export function halfToFloat(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1F;
+    const fraction = bits & 0x3FF;
+    if (exponent === 0) return sign * fraction * Math.pow(2, -24);
+    if (exponent === 0x1F) return fraction ? NaN : sign * Infinity;
+    return sign * (1 + fraction / 1024) * Math.pow(2, exponent - 15);
+}
+
+function getHalfTable() {
+    if (!halfTable) {
+        halfTable = new Float32Array(0x10000);
+        for (let i = 0; i < 0x10000; i++) halfTable[i] = halfToFloat(i);
+    }
+    return halfTable;
+}
+
+/**
+ * Read a strided vertex stream into a flat Float32Array, `components` values per vertex
+ * Aligned streams are read through a typed array view of the data, unaligned ones through a DataView
+ * @param {Uint8Array} bytes
+ * @param {string} type A STREAM_TYPES key
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] Byte offset of the first vertex's element
+ * @param {number} [options.stride] Bytes between vertices, defaults to tightly packed
+ * @param {number} [options.components=1] Values per vertex
+ * @param {number} [options.count] Vertex count, defaults to as many as fit
+ * @param {boolean} [options.normalized=false] Map integers to 0..1 (unsigned) or -1..1 (signed)
+ * @param {Float32Array} [options.target] Array to write into, at options.targetOffset
+ * @returns {Float32Array}
+ */
+export function readStream(bytes, type, options = {}) {
+    const typeInfo = STREAM_TYPES[type];
+    if (!typeInfo) throw new Error(`Unknown stream type ${type}`);
+    const size = typeInfo.size;
+    const components = options.components || 1;
+    const offset = options.offset || 0;
+    const stride = options.stride || components * size;
+    const elementSize = components * size;
+    const count = options.count !== undefined ? options.count
+        : bytes.byteLength < offset + elementSize ? 0 : Math.floor((bytes.byteLength - offset - elementSize) / stride) + 1;
+    const target = options.target || new Float32Array(count * components);
+    const targetOffset = options.targetOffset || 0;
+    if (count === 0) return target;
+
+    const normalized = options.normalized && !typeInfo.isFloat;
+    const max = typeInfo.signed ? Math.pow(2, typeInfo.bits - 1) - 1 : Math.pow(2, typeInfo.bits) - 1;
+    const scale = normalized ? 1 / max : 1;
+    const clamp = normalized && typeInfo.signed;
+    const table = typeInfo.isHalf ? getHalfTable() : null;
+
+    const start = bytes.byteOffset + offset;
+    let values, strideValues;
+    if (LITTLE_ENDIAN_HOST && start % size === 0 && stride % size === 0) {
+        strideValues = stride / size;
+        values = new typeInfo.ArrayType(bytes.buffer, start, (count - 1) * strideValues + components);
+    } else { // Unaligned, copy out just this element's bytes first
+        strideValues = components;
+        values = new typeInfo.ArrayType(count * components);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const read = DataView.prototype[typeInfo.read];
+        for (let v = 0; v < count; v++) {
+            for (let c = 0; c < components; c++) {
+                values[v * components + c] = read.call(view, offset + v * stride + c * size, true);
+            }
+        }
+    }
+
+    // Separate loops so the common cases stay branch free
+    for (let v = 0; v < count; v++) {
+        const source = v * strideValues;
+        const dest = targetOffset + v * components;
+        if (table) {
+            for (let c = 0; c < components; c++) target[dest + c] = table[values[source + c]];
+        } else if (clamp) {
+            for (let c = 0; c < components; c++) target[dest + c] = Math.max(values[source + c] * scale, -1);
+        } else if (normalized) {
+            for (let c = 0; c < components; c++) target[dest + c] = values[source + c] * scale;
+        } else {
+            for (let c = 0; c < components; c++) target[dest + c] = values[source + c];
+        }
+    }
+    return target;
+}
+
+/**
+ * Read an index buffer, 2 or 4 bytes per index
+ * @returns {Uint16Array|Uint32Array} A copy that owns its buffer
+ */
+export function readIndices(bytes, valueSize = 2, count = Math.floor(bytes.byteLength / valueSize)) {
+    const ArrayType = valueSize === 4 ? Uint32Array : Uint16Array;
+    const start = bytes.byteOffset;
+    if (LITTLE_ENDIAN_HOST && start % valueSize === 0) {
+        return new ArrayType(bytes.buffer, start, count).slice();
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const indices = new ArrayType(count);
+    for (let i = 0; i < count; i++) {
+        indices[i] = valueSize === 4 ? view.getUint32(i * 4, true) : view.getUint16(i * 2, true);
+    }
+    return indices;
+}
+
+function readString(bytes, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        const chr = bytes[offset + i];
+        if (chr === 0) continue;
+        str += String.fromCharCode(chr);
+    }
+    return str;
+}
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Split a TGXM container into its files
+ * render_metadata.js, when present, is parsed into `metadata`
+ * @param {Uint8Array} data
+ * @returns {{version: number, fileIdentifier: string, files: Array, lookup: string[], metadata: Object|false}}
+ */
+export function parseTGXContainer(data) {
+    const view = dataView(data);
+    const magic = readString(data, 0x0, 0x4);
+    if (magic !== 'TGXM') throw new Error(`Invalid TGX file (magic "${magic}")`);
+
+    const version = view.getUint32(0x4, true);
+    const fileOffset = view.getUint32(0x8, true);
+    const fileCount = view.getUint32(0xC, true);
+    const fileIdentifier = readString(data, 0x10, 0x100);
+
+    const files = [];
+    const lookup = [];
+    let metadata = false;
+    for (let f = 0; f < fileCount; f++) {
+        const headerOffset = fileOffset + FILE_HEADER_SIZE * f;
+        const name = readString(data, headerOffset, 0x100);
+        const offset = view.getUint32(headerOffset + 0x100, true);
+        const type = view.getUint32(headerOffset + 0x104, true);
+        const size = view.getUint32(headerOffset + 0x108, true);
+        // A copy, so every file owns its buffer and can be transferred on its own
+        let fileData = data.slice(offset, offset + size);
+        if (name.indexOf('.js') !== -1) { // render_metadata.js
+            fileData = JSON.parse(readString(fileData, 0, fileData.length));
+            metadata = fileData;
+        }
+        files.push({ name, offset, type, size, data: fileData });
+        lookup.push(name);
+    }
+
+    return { version, fileIdentifier, files, lookup, metadata };
+}
+
+/**
+ * '_vertex_format_attribute_short4' -> {type: 'short', count: 4}
+ * @returns {{type: string, count: number}|null} null for storage types this parser can't read
+ */
+export function parseElementType(elementType) {
+    const match = /^(ubyte|byte|ushort|short|uint|int|float|half)(\d+)$/.exec(elementType.replace('_vertex_format_attribute_', ''));
+    return match ? { type: match[1], count: parseInt(match[2], 10) } : null;
+}
+
+function fileData(tgxBin, fileName) {
+    const index = tgxBin.lookup.indexOf(fileName);
+    if (index === -1) throw new Error(`Missing file ${fileName} in ${tgxBin.fileIdentifier}`);
+    return tgxBin.files[index].data;
+}
+
+/**
+ * Index buffer of a render mesh, primitive restart indices (0xFFFF) are kept
+ * @returns {Uint16Array|Uint32Array}
+ */
+export function decodeIndexBuffer(tgxBin, renderMesh) {
+    const info = renderMesh.index_buffer;
+    const valueSize = info.value_byte_size || 2;
+    return readIndices(fileData(tgxBin, info.file_name), valueSize, Math.floor(info.byte_size / valueSize));
+}
+
+/**
+ * Decode a render mesh's interleaved vertex buffers into one Float32Array per semantic
+ * (position0, normal0, texcoord0...), normalized integers already mapped to 0..1 / -1..1
+ * @returns {{vertexCount: number, attributes: Object<string, {itemSize: number, array: Float32Array}>, warnings: Array}}
+ */
+export function decodeVertexStreams(tgxBin, renderMesh) {
+    const warnings = [];
+    const layouts = renderMesh.stage_part_vertex_stream_layout_definitions;
+    if (layouts.length > 1) warnings.push({ code: 'MultipleVertexLayouts', details: layouts.length });
+    const formats = layouts[0].formats;
+
+    let vertexCount = 0;
+    for (const info of renderMesh.vertex_buffers) {
+        vertexCount = Math.max(vertexCount, Math.floor(info.byte_size / info.stride_byte_size));
+    }
+
+    const attributes = {};
+    renderMesh.vertex_buffers.forEach((info, bufferIndex) => {
+        const bytes = fileData(tgxBin, info.file_name);
+        const format = formats[bufferIndex];
+        const stride = info.stride_byte_size;
+        const bufferVertexCount = Math.floor(info.byte_size / stride);
+
+        let elementOffset = 0;
+        for (const element of format.elements) {
+            const semantic = element.semantic.replace('_tfx_vb_semantic_', '');
+            const elementType = parseElementType(element.type);
+            if (!elementType) {
+                warnings.push({ code: 'UnknownVertexFormat', details: element.type });
+                continue;
+            }
+            if (KNOWN_SEMANTICS.indexOf(semantic) === -1) {
+                warnings.push({ code: 'UnknownVertexSemantic', details: semantic + element.semantic_index });
+            }
+
+            const { type, count } = elementType;
+            const array = new Float32Array(vertexCount * count);
+            readStream(bytes, type, {
+                offset: elementOffset,
+                stride,
+                components: count,
+                count: bufferVertexCount,
+                normalized: element.normalized,
+                target: array
+            });
+
+            attributes[semantic + element.semantic_index] = { itemSize: count, array };
+            elementOffset += count * STREAM_TYPES[type].size;
+        }
+    });
+
+    return { vertexCount, attributes, warnings };
+}
+
+/**
+ * Index and vertex streams for every render mesh in a geometry bin's render_metadata
+ * @returns {Array<{indexBuffer: Uint16Array|Uint32Array, vertexCount: number, attributes: Object, warnings: Array}>}
+ */
+export function decodeRenderMeshes(tgxBin) {
+    if (!tgxBin.metadata || !tgxBin.metadata.render_model) return [];
+    return tgxBin.metadata.render_model.render_meshes.map(renderMesh => {
+        const streams = decodeVertexStreams(tgxBin, renderMesh);
+        streams.indexBuffer = decodeIndexBuffer(tgxBin, renderMesh);
+        return streams;
+    });
+}
+
+// gear_dye_change_color_index -> [gearDyeSlot, usePrimaryColor, useInvestmentDecal]
+const DYE_CHANGE_COLOR_INDICES = [
+    [0, true, false], [0, false, false],
+    [1, true, false], [1, false, false],
+    [2, true, false], [2, false, false],
+    [3, true, true], [3, true, true]
+];
+
+function camelCase(key) {
+    return key.split('_').map((word, i) => i === 0 ? word : word.slice(0, 1).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Spasm.RenderablePart: a stage part with camelCased keys and its dye slot resolved
+ * @param {Object} stagePart An entry of a render mesh's stage_part_list
+ * @param {Array} [warnings] Receives {code, details} for anything unexpected
+ */
+export function parseStagePart(stagePart, warnings = []) {
+    let dye = DYE_CHANGE_COLOR_INDICES[stagePart.gear_dye_change_color_index];
+    if (!dye) {
+        warnings.push({ code: `UnknownDyeChangeColorIndex[${stagePart.gear_dye_change_color_index}]`, details: stagePart });
+        dye = DYE_CHANGE_COLOR_INDICES[0];
+    }
+    const part = {
+        gearDyeSlot: dye[0],
+        usePrimaryColor: dye[1],
+        useInvestmentDecal: dye[2]
+    };
+
+    for (const key in stagePart) {
+        let partKey;
+        let value = stagePart[key];
+        switch (key) {
+            case 'gear_dye_change_color_index': partKey = 'changeColorIndex'; break;
+            case 'start_index': partKey = 'indexStart'; break;
+            case 'shader':
+                partKey = 'shader';
+                value = { type: value.type };
+                if (stagePart.shader.static_textures) value.staticTextures = stagePart.shader.static_textures;
+                break;
+            default:
+                partKey = camelCase(key);
+                break;
+        }
+        part[partKey] = value;
+    }
+    return part;
+}
+
+/**
+ * Spasm.RenderMesh.prototype.getRenderableParts for every render mesh in render_metadata
+ * Stage parts up to stage_part_offsets[4], parts sharing a start index are only kept once
+ * @param {Object} metadata A geometry bin's render_metadata.js
+ * @returns {{meshes: Array, warnings: Array}}
+ */
+export function parseRenderMeshes(metadata) {
+    const warnings = [];
+    const meshes = metadata.render_model.render_meshes.map((renderMesh, r) => {
+        const parts = [];
+        const partIndexList = [];
+        const partLimit = renderMesh.stage_part_offsets[4];
+        for (let partOffset = 0; partOffset < partLimit; partOffset++) {
+            const stagePart = renderMesh.stage_part_list[partOffset];
+            if (!stagePart) {
+                warnings.push({ code: `MissingStagePart[${r}:${partOffset}]`, details: null });
+                continue;
+            }
+            if (partIndexList.indexOf(stagePart.start_index) !== -1) continue;
+            partIndexList.push(stagePart.start_index);
+            parts.push(parseStagePart(stagePart, warnings));
+        }
+
+        return {
+            positionOffset: renderMesh.position_offset,
+            positionScale: renderMesh.position_scale,
+            texcoordOffset: renderMesh.texcoord_offset,
+            texcoordScale: renderMesh.texcoord_scale,
+            texcoord0ScaleOffset: renderMesh.texcoord0_scale_offset,
+            parts
+        };
+    });
+    return { meshes, warnings };
+}
+
+/**
+ * Where each vertex element sits in a render mesh's vertex buffers
+ * @returns {Array<{fileName: string, stride: number, vertexCount: number, elements: Array}>}
+ */
+export function describeVertexLayouts(renderMesh) {
+    const formats = renderMesh.stage_part_vertex_stream_layout_definitions[0].formats;
+    return renderMesh.vertex_buffers.map((info, bufferIndex) => {
+        let offset = 0;
+        const elements = formats[bufferIndex].elements.map(element => {
+            const elementType = parseElementType(element.type);
+            const description = {
+                name: element.semantic.replace('_tfx_vb_semantic_', '') + element.semantic_index,
+                type: element.type.replace('_vertex_format_attribute_', ''),
+                offset,
+                normalized: !!element.normalized,
+                supported: !!elementType
+            };
+            if (elementType) offset += elementType.count * STREAM_TYPES[elementType.type].size;
+            return description;
+        });
+        return {
+            fileName: info.file_name,
+            stride: info.stride_byte_size,
+            vertexCount: Math.floor(info.byte_size / info.stride_byte_size),
+            elements
+        };
+    });
+}
+
+/**
+ * Container plus, for geometry, decoded render meshes; what a decode worker hands back
+ * @param {Uint8Array} data
+ * @param {{geometry?: boolean}} [options]
+ */
+export function decodeTGXBin(data, options = {}) {
+    const tgxBin = parseTGXContainer(data);
+    if (options.geometry) tgxBin.renderMeshes = decodeRenderMeshes(tgxBin);
+    return tgxBin;
+}
+
+/**
+ * Buffers of a decoded bin that can be transferred instead of copied
+ * @returns {ArrayBuffer[]}
+ */
+export function getTransferables(tgxBin) {
+    const buffers = new Set();
+    for (const file of tgxBin.files) {
+        if (ArrayBuffer.isView(file.data)) buffers.add(file.data.buffer);
+    }
+    for (const renderMesh of tgxBin.renderMeshes || []) {
+        buffers.add(renderMesh.indexBuffer.buffer);
+        for (const name in renderMesh.attributes) buffers.add(renderMesh.attributes[name].array.buffer);
+    }
+    return [...buffers];
+}
@@ -0,0 +1,238 @@
+/**
+ * TextureBake - Offline bake of Destiny materials into plain PBR textures
+ *
+ * Each material's triangles are drawn in UV space with the DestinyMaterial shader chunks, writing three targets:
+ *   albedo  - dyed, detailed and worn base color (sRGB), alpha from the gearstack alpha test
+ *   orm     - R occlusion, G roughness, B metalness, the glTF occlusion/metallicRoughness layout
+ *   normal  - tangent space normal with the detail normal already blended in
+ * Texels outside the UV islands are filled from their neighbours so mipmaps don't bleed black into seams.
+ */
+
+import * as THREE from 'three';
+import { DESTINY_SHADER_CHUNKS } from './DestinyMaterial.js';
+
+export const BAKE_TARGETS = ['albedo', 'orm', 'normal'];
+
+const BAKE_VERTEX_SHADER = /* glsl */`
+${DESTINY_SHADER_CHUNKS.vertexPars}
+void main() {
+${DESTINY_SHADER_CHUNKS.vertex}
+    gl_Position = vec4(uv * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+const BAKE_FRAGMENT_SHADER = /* glsl */`
+#include <common>
+uniform vec3 diffuse;
+uniform float opacity;
+uniform float roughness;
+uniform float metalness;
+uniform sampler2D map;
+uniform sampler2D normalMap;
+${DESTINY_SHADER_CHUNKS.fragmentPars}
+layout(location = 0) out vec4 bakedAlbedo;
+layout(location = 1) out vec4 bakedORM;
+layout(location = 2) out vec4 bakedNormal;
+
+vec3 bakeLinearToSRGB(vec3 value) {
+    return mix(pow(value, vec3(0.41666)) * 1.055 - vec3(0.055), value * 12.92, vec3(lessThanEqual(value, vec3(0.0031308))));
+}
+
+void main() {
+    vec4 diffuseColor = vec4(diffuse, opacity);
+#ifdef BAKE_MAP
+    diffuseColor *= texture2D(map, vDestinyUv);
+#endif
+${DESTINY_SHADER_CHUNKS.map}
+    float roughnessFactor = roughness;
+    float metalnessFactor = metalness;
+${DESTINY_SHADER_CHUNKS.roughness}
+${DESTINY_SHADER_CHUNKS.metalness}
+
+    vec3 normal = vec3(0.0, 0.0, 1.0);
+#ifdef BAKE_NORMAL_MAP
+    normal = texture2D(normalMap, vDestinyUv).xyz * 2.0 - 1.0;
+#endif
+#ifdef DESTINY_DETAIL_NORMAL
+    vec3 detailNormal = texture2D(detailNormalMap, vDetailNormalUv).xyz * 2.0 - 1.0;
+    normal += vec3(detailNormal.xy * destinyDyeMask, 0.0);
+#endif
+    normal = normalize(normal);
+
+    bakedAlbedo = vec4(bakeLinearToSRGB(saturate(diffuseColor.rgb)), saturate(diffuseColor.a));
+    bakedORM = vec4(gearstack.r, saturate(roughnessFactor), saturate(metalnessFactor), 1.0);
+    bakedNormal = vec4(normal * 0.5 + 0.5, 1.0);
+}
+`;
+
+function textureSize(texture) {
+    const image = texture && texture.image;
+    return image ? Math.max(image.width || 0, image.height || 0) : 0;
+}
+
+/**
+ * Fill uncovered texels (alpha 0 in `coverage`) with the average of covered neighbours, `iterations` texels deep
+ * @param {Uint8Array[]} images RGBA pixel arrays sharing one layout, edited in place
+ * @param {Uint8Array} coverage RGBA pixels whose alpha marks the texels the bake wrote
+ */
+export function dilate(images, coverage, width, height, iterations = 4) {
+    let covered = new Uint8Array(width * height);
+    for (let i = 0; i < covered.length; i++) covered[i] = coverage[i * 4 + 3] > 0 ? 1 : 0;
+
+    const neighbours = new Int32Array(4);
+    for (let n = 0; n < iterations; n++) {
+        const next = covered.slice();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (covered[i]) continue;
+                let count = 0;
+                if (x > 0 && covered[i - 1]) neighbours[count++] = i - 1;
+                if (x < width - 1 && covered[i + 1]) neighbours[count++] = i + 1;
+                if (y > 0 && covered[i - width]) neighbours[count++] = i - width;
+                if (y < height - 1 && covered[i + width]) neighbours[count++] = i + width;
+                if (count === 0) continue;
+                for (const image of images) {
+                    for (let c = 0; c < 4; c++) {
+                        let sum = 0;
+                        for (let k = 0; k < count; k++) sum += image[neighbours[k] * 4 + c];
+                        image[i * 4 + c] = Math.round(sum / count);
+                    }
+                }
+                next[i] = 1;
+            }
+        }
+        covered = next;
+    }
+}
+
+/**
+ * Bake one DestinyMaterial (or plain MeshStandardMaterial) over every mesh group that uses it
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Material} material
+ * @param {THREE.Mesh[]} meshes Meshes with at least one group drawn with material
+ * @param {Object} [options]
+ * @param {number} [options.size] Output size, defaults to the material's largest texture (1024 without any)
+ * @param {number} [options.maxSize=2048]
+ * @param {number} [options.dilation=4] Texels to grow the UV islands by
+ * @returns {{width: number, height: number, albedo: Uint8Array, orm: Uint8Array, normal: Uint8Array}}
+ */
+export function bakeMaterial(renderer, material, meshes, options = {}) {
+    const uniforms = material.userData.destinyUniforms || {};
+    const params = material.userData.destinyParams || {};
+    const maxSize = options.maxSize || 2048;
+    const size = Math.min(maxSize, options.size
+        || Math.max(textureSize(material.map), textureSize(params.gearstackMap), textureSize(material.normalMap)) || 1024);
+
+    const bakeMaterial = new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        vertexShader: BAKE_VERTEX_SHADER,
+        fragmentShader: BAKE_FRAGMENT_SHADER,
+        side: THREE.DoubleSide, // UV islands can be mirrored
+        depthTest: false,
+        depthWrite: false,
+        uniforms: {
+            ...uniforms,
+            diffuse: { value: material.color ? material.color.clone() : new THREE.Color(0xffffff) },
+            opacity: { value: material.opacity },
+            roughness: { value: material.roughness !== undefined ? material.roughness : 1 },
+            metalness: { value: material.metalness !== undefined ? material.metalness : 0 },
+            map: { value: material.map },
+            normalMap: { value: material.normalMap }
+        }
+    });
+    // Same feature switches as the live material
+    Object.assign(bakeMaterial.defines, material.defines);
+    if (material.map) bakeMaterial.defines.BAKE_MAP = '';
+    if (material.normalMap) bakeMaterial.defines.BAKE_NORMAL_MAP = '';
+    if (!material.normalMap) delete bakeMaterial.defines.DESTINY_DETAIL_NORMAL;
+    // The gearstack defaults in the chunks are only placeholders when there is no gearstack
+    if (!bakeMaterial.defines.DESTINY_GEARSTACK) bakeMaterial.uniforms.gearstackMap = { value: null };
+
+    const target = new THREE.WebGLRenderTarget(size, size, {
+        count: BAKE_TARGETS.length,
+        type: THREE.UnsignedByteType,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        generateMipmaps: false
+    });
+
+    const scene = new THREE.Scene();
+    for (const mesh of meshes) {
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        // Only this material's groups are drawn, three skips groups without a material
+        const groupMaterials = materials.map(m => m === material ? bakeMaterial : null);
+        const bakeMesh = new THREE.Mesh(mesh.geometry, Array.isArray(mesh.material) ? groupMaterials : bakeMaterial);
+        bakeMesh.frustumCulled = false;
+        scene.add(bakeMesh);
+    }
+    const camera = new THREE.Camera(); // Unused, positions are already in clip space
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const result = { width: size, height: size };
+    try {
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.render(scene, camera);
+        BAKE_TARGETS.forEach((name, index) => {
+            result[name] = new Uint8Array(size * size * 4);
+            renderer.readRenderTargetPixels(target, 0, 0, size, size, result[name], undefined, index);
+        });
+    } finally {
+        renderer.setRenderTarget(previousTarget);
+        renderer.setClearColor(previousClearColor, previousClearAlpha);
+        target.dispose();
+        bakeMaterial.dispose();
+    }
+
+    // Rows come back bottom up, which is v = 0 first, the same orientation as flipY = false textures
+    dilate([result.albedo, result.normal, result.orm], result.orm, size, size, options.dilation ?? 4);
+    return result;
+}
+
+/**
+ * Bake every mesh material in a group
+ * @returns {Map<THREE.Material, Object>} bakeMaterial results by source material
+ */
+export function bakeGroup(renderer, group, options = {}) {
+    const users = new Map();
+    group.traverse(obj => {
+        if (!obj.isMesh || !obj.geometry.attributes.uv) return;
+        const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+        for (const material of new Set(materials)) {
+            if (!material || !material.isMeshStandardMaterial) continue;
+            if (!material.map && !material.userData.destinyParams) continue; // Nothing to bake, e.g. pedestals
+            if (!users.has(material)) users.set(material, []);
+            users.get(material).push(obj);
+        }
+    });
+
+    const baked = new Map();
+    for (const [material, meshes] of users) baked.set(material, bakeMaterial(renderer, material, meshes, options));
+    return baked;
+}
+
+/**
+ * Pixels of one baked target on a canvas, ready for a CanvasTexture or toBlob
+ */
+export function toCanvas(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength), width, height), 0, 0);
+    return canvas;
+}
+
+/**
+ * @returns {Promise<Blob>} PNG of one baked target
+ */
+export function toPNG(pixels, width, height) {
+    const canvas = toCanvas(pixels, width, height);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+}
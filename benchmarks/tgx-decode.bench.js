@@ -0,0 +1,330 @@
+// Vertex stream decoding: the original per-byte TGXLoaderUtils readers against the DataView/typed array bulk readers
+// Usage: npm run bench -- [file.tgxm | https://.../geometry/<hash>.tgxm ...]
+//        npm run bench -- --write-fixture   (regenerates benchmarks/fixtures/synthetic-sphere.tgxm)
+// Without arguments every .tgxm in benchmarks/fixtures is used, and a synthetic bin when that folder is empty.
+// Each bin is decoded both ways and compared value by value before anything is timed, a mismatch fails the run.
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { parseTGXContainer, parseElementType, decodeRenderMeshes, readStream, STREAM_TYPES } from '../TGXParser.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const fixturesDir = path.join(root, 'benchmarks', 'fixtures');
+const syntheticFixture = path.join(fixturesDir, 'synthetic-sphere.tgxm');
+
+// The pre-DataView readers, still kept verbatim in three.tgxutils.js
+function loadLegacyUtils() {
+    const source = fs.readFileSync(path.join(root, 'three.tgxutils.js'), 'utf8');
+    const start = source.indexOf('THREE.TGXLoaderUtils = (function');
+    const end = source.indexOf('\n})();', start) + '\n})();'.length;
+    const context = { THREE: {} };
+    vm.runInNewContext(source.slice(start, end), context);
+    return context.THREE.TGXLoaderUtils;
+}
+
+// Storage type -> [byte size, per-byte read, normalize], as parseVertexBuffers called them
+function legacyReaders(utils) {
+    return {
+        ubyte: [1, (d, o) => utils.ubyte(d, o), v => utils.unormalize(v, 8)],
+        byte: [1, (d, o) => utils.byte(d, o), v => utils.normalize(v, 8)],
+        ushort: [2, (d, o) => utils.ushort(d, o), v => utils.unormalize(v, 16)],
+        short: [2, (d, o) => utils.short(d, o), v => utils.normalize(v, 16)],
+        uint: [4, (d, o) => utils.uint(d, o), v => utils.unormalize(v, 32)],
+        int: [4, (d, o) => utils.int(d, o), v => utils.normalize(v, 32)],
+        float: [4, (d, o) => utils.float(d, o), v => v],
+        half: [2, (d, o) => utils.decodeFloat(utils.bytes(d, o, 2), 1, 5, 10, -14, 15), v => v]
+    };
+}
+
+// What parseVertexBuffers did per vertex and element before the bulk readers,
+// laid out like decodeVertexStreams' attributes so both can be compared
+function legacyDecode(utils, tgxBin, readers = legacyReaders(utils)) {
+    return tgxBin.metadata.render_model.render_meshes.map(renderMesh => {
+        const formats = renderMesh.stage_part_vertex_stream_layout_definitions[0].formats;
+        const attributes = {};
+        renderMesh.vertex_buffers.forEach((info, bufferIndex) => {
+            const data = tgxBin.files[tgxBin.lookup.indexOf(info.file_name)].data;
+            const vertexCount = Math.floor(info.byte_size / info.stride_byte_size);
+            let elementOffset = 0;
+            for (const element of formats[bufferIndex].elements) {
+                const { type, count } = parseElementType(element.type);
+                const [size, read, normalize] = readers[type];
+                const array = new Float32Array(vertexCount * count);
+                for (let v = 0; v < vertexCount; v++) {
+                    let offset = v * info.stride_byte_size + elementOffset;
+                    for (let c = 0; c < count; c++) {
+                        const value = read(data, offset);
+                        array[v * count + c] = element.normalized ? normalize(value) : value;
+                        offset += size;
+                    }
+                }
+                attributes[element.semantic.replace('_tfx_vb_semantic_', '') + element.semantic_index] = array;
+                elementOffset += count * size;
+            }
+        });
+        return attributes;
+    });
+}
+
+// Float32 results of two float64 computations of the same value can land one ulp apart
+function sameValue(a, b) {
+    return a === b || (Number.isNaN(a) && Number.isNaN(b)) || Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * Math.pow(2, -22);
+}
+
+/**
+ * Compare the per-byte results with decodeRenderMeshes, value by value
+ * The legacy decodeSigned subtracted 2^bits - 1 instead of 2^bits, so every negative byte/short/int came out one
+ * too high (0xFFFF read as 0, 0x8000 as -32767). TGXLoaderUtils keeps those results, but TGXParser's bulk readers,
+ * which decode the loader's geometry, use exact two's complement. A signed value exactly one step above the bulk one
+ * is therefore expected and counted apart instead of failing the check.
+ * @returns {{values: number, offByOne: number, mismatches: number, examples: string[]}}
+ */
+function verify(legacyMeshes, bulkMeshes, tgxBin) {
+    const result = { values: 0, offByOne: 0, mismatches: 0, examples: [] };
+    tgxBin.metadata.render_model.render_meshes.forEach((renderMesh, m) => {
+        const formats = renderMesh.stage_part_vertex_stream_layout_definitions[0].formats;
+        renderMesh.vertex_buffers.forEach((info, bufferIndex) => {
+            for (const element of formats[bufferIndex].elements) {
+                const name = element.semantic.replace('_tfx_vb_semantic_', '') + element.semantic_index;
+                const typeInfo = STREAM_TYPES[parseElementType(element.type).type];
+                // One raw step, in the units the attribute ended up in
+                const step = element.normalized ? 1 / (Math.pow(2, typeInfo.bits - 1) - 1) : 1;
+                const legacy = legacyMeshes[m][name];
+                const bulk = bulkMeshes[m].attributes[name].array;
+                for (let i = 0; i < legacy.length; i++) {
+                    result.values++;
+                    if (sameValue(legacy[i], bulk[i])) continue;
+                    if (typeInfo.signed && !typeInfo.isFloat && bulk[i] < 0 && sameValue(legacy[i], bulk[i] + step)) {
+                        result.offByOne++;
+                        continue;
+                    }
+                    if (result.mismatches++ < 10) {
+                        result.examples.push(`mesh ${m} ${name}[${i}] (${element.type.replace('_vertex_format_attribute_', '')}): per-byte ${legacy[i]}, bulk ${bulk[i]}`);
+                    }
+                }
+            }
+        });
+    });
+    return result;
+}
+
+// number -> IEEE 754 binary16, enough for the 0..1 texture coordinates below
+function floatToHalf(value) {
+    if (value === 0) return 0;
+    const sign = value < 0 ? 0x8000 : 0;
+    value = Math.abs(value);
+    let exponent = Math.floor(Math.log2(value));
+    if (exponent < -14) return sign | Math.round(value * Math.pow(2, 24)); // Subnormal
+    let fraction = Math.round((value / Math.pow(2, exponent) - 1) * 1024);
+    if (fraction === 1024) {
+        exponent++;
+        fraction = 0;
+    }
+    return sign | ((exponent + 15) << 10) | fraction;
+}
+
+/**
+ * A UV sphere packed the way mobile armor geometry is: positions and texture coordinates in one buffer,
+ * normals and tangents in a second, skinning, color and extra texture coordinates in a third, with the stage parts
+ * the loader and tgx-inspect read.
+ * Stands in for real bins, which can't be redistributed; synthetic-sphere.tgxm is this with the defaults.
+ */
+function syntheticBin(rings = 32, segments = 48) {
+    const buffers = [
+        { name: 'vertex0', stride: 12, elements: [['short4', 'position', 0, true], ['short2', 'texcoord', 0, true]] },
+        { name: 'vertex1', stride: 16, elements: [['short4', 'normal', 0, true], ['short4', 'tangent', 0, true]] },
+        {
+            name: 'vertex2', stride: 24, elements: [
+                ['ubyte4', 'blendindices', 0, false], ['ubyte4', 'blendweight', 0, true], ['ubyte4', 'color', 0, true],
+                ['half2', 'texcoord', 1, false], ['float2', 'texcoord', 2, false]
+            ]
+        }
+    ];
+    const vertexCount = (rings + 1) * (segments + 1);
+    const views = buffers.map(buffer => new DataView(new ArrayBuffer(vertexCount * buffer.stride)));
+    const snorm = value => Math.round(Math.max(-1, Math.min(1, value)) * 32767);
+    let v = 0;
+    for (let ring = 0; ring <= rings; ring++) {
+        const theta = ring / rings * Math.PI;
+        for (let segment = 0; segment <= segments; segment++, v++) {
+            const phi = segment / segments * Math.PI * 2;
+            const normal = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)];
+            const u = segment / segments, w = ring / rings;
+            const [v0, v1, v2] = views;
+            [...normal.map(n => snorm(n * 0.9)), 32767, snorm(u * 2 - 1), snorm(w * 2 - 1)].forEach((value, i) => v0.setInt16(v * 12 + i * 2, value, true));
+            [...normal.map(snorm), 0, snorm(-Math.sin(phi)), 0, snorm(Math.cos(phi)), 32767].forEach((value, i) => v1.setInt16(v * 16 + i * 2, value, true));
+            const bone = Math.min(3, Math.floor(w * 4));
+            [bone, Math.min(3, bone + 1), 0, 0, 255 - Math.round(w * 255), Math.round(w * 255), 0, 0, 255, Math.round(u * 255), Math.round(w * 255), 255]
+                .forEach((value, i) => v2.setUint8(v * 24 + i, value));
+            v2.setUint16(v * 24 + 12, floatToHalf(u), true);
+            v2.setUint16(v * 24 + 14, floatToHalf(w), true);
+            v2.setFloat32(v * 24 + 16, u * 4, true);
+            v2.setFloat32(v * 24 + 20, w * 2, true);
+        }
+    }
+    const indices = [];
+    for (let ring = 0; ring < rings; ring++) {
+        for (let segment = 0; segment < segments; segment++) {
+            const a = ring * (segments + 1) + segment, b = a + segments + 1;
+            indices.push(a, b, a + 1, b, b + 1, a + 1);
+        }
+    }
+    const indexData = new Uint8Array(new Uint16Array(indices).buffer);
+    // Upper and lower hemisphere as two triangle list parts on different dye slots, like plate and cloth
+    const half = rings / 2 * segments * 6;
+    const stagePart = (startIndex, indexCount, changeColorIndex) => ({
+        start_index: startIndex,
+        index_count: indexCount,
+        index_min: 0,
+        index_max: vertexCount - 1,
+        flags: 0,
+        gear_dye_change_color_index: changeColorIndex,
+        external_identifier: 0,
+        primitive_type: 3,
+        lod_category: { value: 0, name: '_lod_category_0' },
+        lod_run: 1,
+        shader: { type: 7, static_textures: [] }
+    });
+    const metadata = {
+        render_model: {
+            render_meshes: [{
+                index_buffer: { file_name: 'index', byte_size: indexData.length, value_byte_size: 2 },
+                position_offset: [0, 0, 0, 0],
+                position_scale: [1, 1, 1, 1],
+                texcoord_offset: [0, 0],
+                texcoord_scale: [1, 1],
+                texcoord0_scale_offset: [1, 1, 0, 0],
+                stage_part_list: [stagePart(0, half, 0), stagePart(half, indices.length - half, 2)],
+                stage_part_offsets: [0, 0, 0, 0, 2, 2],
+                vertex_buffers: buffers.map(buffer => ({ file_name: buffer.name, byte_size: vertexCount * buffer.stride, stride_byte_size: buffer.stride })),
+                stage_part_vertex_stream_layout_definitions: [{
+                    formats: buffers.map(buffer => ({
+                        stride: buffer.stride,
+                        elements: buffer.elements.map(([type, semantic, semanticIndex, normalized]) => ({
+                            type: '_vertex_format_attribute_' + type,
+                            semantic: '_tfx_vb_semantic_' + semantic,
+                            semantic_index: semanticIndex,
+                            normalized
+                        }))
+                    }))
+                }]
+            }]
+        }
+    };
+    const files = [
+        { name: 'render_metadata.js', data: new TextEncoder().encode(JSON.stringify(metadata)) },
+        { name: 'index', data: indexData },
+        ...buffers.map((buffer, b) => ({ name: buffer.name, data: new Uint8Array(views[b].buffer) }))
+    ];
+    const headerEnd = 0x110 + 0x110 * files.length;
+    const bin = new Uint8Array(headerEnd + files.reduce((total, file) => total + file.data.length, 0));
+    const view = new DataView(bin.buffer);
+    bin.set(new TextEncoder().encode('TGXM'), 0);
+    view.setUint32(0x8, 0x110, true);
+    view.setUint32(0xC, files.length, true);
+    bin.set(new TextEncoder().encode('synthetic-sphere'), 0x10);
+    let offset = headerEnd;
+    files.forEach((file, f) => {
+        const header = 0x110 + 0x110 * f;
+        bin.set(new TextEncoder().encode(file.name), header);
+        view.setUint32(header + 0x100, offset, true);
+        view.setUint32(header + 0x108, file.data.length, true);
+        bin.set(file.data, offset);
+        offset += file.data.length;
+    });
+    return bin;
+}
+
+async function loadFixture(source) {
+    if (!/^https?:/.test(source)) return new Uint8Array(fs.readFileSync(source));
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`${source}: HTTP ${response.status}`);
+    const data = new Uint8Array(await response.arrayBuffer());
+    fs.writeFileSync(path.join(fixturesDir, path.basename(new URL(source).pathname)), data); // Kept for the next run
+    return data;
+}
+
+function time(fn, minMs = 500) {
+    fn(); // Warm up
+    let runs = 0;
+    const start = performance.now();
+    while (performance.now() - start < minMs) {
+        fn();
+        runs++;
+    }
+    return (performance.now() - start) / runs;
+}
+
+async function main() {
+    let sources = process.argv.slice(2);
+    if (sources[0] === '--write-fixture') {
+        fs.writeFileSync(syntheticFixture, syntheticBin());
+        console.log(`Wrote ${path.relative(root, syntheticFixture)}`);
+        return;
+    }
+    if (sources.length === 0 && fs.existsSync(fixturesDir)) {
+        sources = fs.readdirSync(fixturesDir).filter(name => name.endsWith('.tgxm')).map(name => path.join(fixturesDir, name));
+    }
+    const fixtures = [];
+    for (const source of sources) fixtures.push({ name: path.basename(source), data: await loadFixture(source) });
+    if (fixtures.length === 0) {
+        console.log('No .tgxm fixtures in benchmarks/fixtures, using a synthetic sphere\n');
+        fixtures.push({ name: 'synthetic', data: syntheticBin() });
+    }
+
+    const legacyUtils = loadLegacyUtils();
+    const readers = legacyReaders(legacyUtils);
+    const rows = [];
+    let failed = false;
+    for (const fixture of fixtures) {
+        const tgxBin = parseTGXContainer(fixture.data);
+        if (!tgxBin.metadata || !tgxBin.metadata.render_model) {
+            console.log(`${fixture.name}: no render_model, skipped`);
+            continue;
+        }
+        const check = verify(legacyDecode(legacyUtils, tgxBin, readers), decodeRenderMeshes(tgxBin), tgxBin);
+        console.log(`${fixture.name}: ${check.values} values, ${check.values - check.offByOne - check.mismatches} identical, `
+            + `${check.offByOne} negative signed values one step lower in the bulk readers (exact two's complement), ${check.mismatches} mismatches`);
+        if (check.mismatches > 0) {
+            check.examples.forEach(example => console.error('  ' + example));
+            failed = true;
+            continue;
+        }
+        const legacyMs = time(() => legacyDecode(legacyUtils, tgxBin, readers));
+        const bulkMs = time(() => decodeRenderMeshes(tgxBin));
+        rows.push([fixture.name, check.values, legacyMs, bulkMs]);
+    }
+    if (failed) {
+        console.error('\nThe bulk readers disagree with the per-byte readers, not timing anything');
+        process.exit(1);
+    }
+
+    console.log('\n' + 'fixture'.padEnd(28), 'values'.padStart(10), 'per-byte ms'.padStart(12), 'bulk ms'.padStart(10), 'speedup'.padStart(8));
+    for (const [name, values, legacyMs, bulkMs] of rows) {
+        console.log(name.padEnd(28), String(values).padStart(10), legacyMs.toFixed(2).padStart(12),
+            bulkMs.toFixed(2).padStart(10), (legacyMs / bulkMs).toFixed(1).padStart(7) + 'x');
+    }
+
+    // Single stream reads, one million values each
+    console.log('\nstream'.padEnd(29), 'per-byte ms'.padStart(12), 'bulk ms'.padStart(10), 'speedup'.padStart(8));
+    const bytes = new Uint8Array(4 * 1000000);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = (i * 2654435761) >>> 24;
+    for (const type of Object.keys(STREAM_TYPES)) {
+        const count = bytes.length / 4;
+        const legacyRead = type === 'half'
+            ? offset => legacyUtils.decodeFloat(legacyUtils.bytes(bytes, offset, 2), 1, 5, 10, -14, 15)
+            : offset => legacyUtils[type](bytes, offset);
+        const output = new Float32Array(count);
+        const legacyMs = time(() => {
+            for (let v = 0; v < count; v++) output[v] = legacyRead(v * 4);
+        }, 300);
+        const bulkMs = time(() => readStream(bytes, type, { stride: 4, count, target: output }), 300);
+        console.log(type.padEnd(28), legacyMs.toFixed(2).padStart(12), bulkMs.toFixed(2).padStart(10), (legacyMs / bulkMs).toFixed(1).padStart(7) + 'x');
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
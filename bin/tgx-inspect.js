@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Prints what's inside a TGX bin (.tgxm geometry or a mobile texture .bin) without a browser
+// Usage: tgx-inspect <file> [--parts] [--layouts] [--json] [--dump <dir>]
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseTGXContainer, parseRenderMeshes, describeVertexLayouts } from '../TGXParser.js';
+
+const USAGE = `Usage: tgx-inspect <file> [options]
+
+Options:
+  --parts        List every stage part with its LOD category, primitive, indices and shader
+  --layouts      List the vertex elements of every vertex buffer
+  --all          Same as --parts --layouts
+  --json         Print the report as JSON instead of text
+  --dump <dir>   Write the embedded files to <dir>
+  -h, --help     Show this message`;
+
+function parseArgs(argv) {
+    const args = { file: null, parts: false, layouts: false, json: false, dump: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--parts': args.parts = true; break;
+            case '--layouts': args.layouts = true; break;
+            case '--all': args.parts = args.layouts = true; break;
+            case '--json': args.json = true; break;
+            case '--dump':
+                args.dump = argv[++i];
+                if (!args.dump) throw new Error('--dump needs a directory');
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                if (args.file) throw new Error(`Only one file at a time (${args.file}, ${arg})`);
+                args.file = arg;
+        }
+    }
+    return args;
+}
+
+function hex(value) {
+    return '0x' + value.toString(16).toUpperCase();
+}
+
+function lodName(lodCategory) {
+    return lodCategory ? `${lodCategory.value} ${lodCategory.name || ''}`.trim() : '-';
+}
+
+function inspect(tgxBin) {
+    const report = {
+        header: {
+            magic: 'TGXM',
+            version: tgxBin.version,
+            fileIdentifier: tgxBin.fileIdentifier,
+            fileCount: tgxBin.files.length
+        },
+        files: tgxBin.files.map(file => ({ name: file.name, offset: file.offset, type: file.type, size: file.size })),
+        renderMeshes: [],
+        warnings: []
+    };
+    if (!tgxBin.metadata || !tgxBin.metadata.render_model) return report;
+
+    // Broken metadata is reported as warnings, the container listing and --dump stay usable
+    let parsed = null;
+    try {
+        parsed = parseRenderMeshes(tgxBin.metadata);
+        report.warnings = parsed.warnings.map(warning => warning.code);
+    } catch (error) {
+        report.warnings.push(`InvalidRenderMetadata: ${error.message}`);
+    }
+    (tgxBin.metadata.render_model.render_meshes || []).forEach((renderMesh, r) => {
+        try {
+            report.renderMeshes.push(inspectRenderMesh(renderMesh, r, parsed));
+        } catch (error) {
+            report.warnings.push(`InvalidRenderMesh[${r}]: ${error.message}`);
+        }
+    });
+    return report;
+}
+
+function inspectRenderMesh(renderMesh, r, parsed) {
+    const allParts = renderMesh.stage_part_list.map(stagePart => ({
+        indexStart: stagePart.start_index,
+        indexCount: stagePart.index_count,
+        primitiveType: stagePart.primitive_type,
+        lodCategory: stagePart.lod_category,
+        changeColorIndex: stagePart.gear_dye_change_color_index,
+        flags: stagePart.flags,
+        shader: stagePart.shader ? stagePart.shader.type : null,
+        staticTextures: stagePart.shader && stagePart.shader.static_textures ? stagePart.shader.static_textures : []
+    }));
+    const lodCategories = {};
+    for (const part of allParts) {
+        const name = lodName(part.lodCategory);
+        lodCategories[name] = (lodCategories[name] || 0) + 1;
+    }
+    return {
+        index: r,
+        indexBuffer: {
+            fileName: renderMesh.index_buffer.file_name,
+            count: Math.floor(renderMesh.index_buffer.byte_size / renderMesh.index_buffer.value_byte_size),
+            valueSize: renderMesh.index_buffer.value_byte_size
+        },
+        positionOffset: renderMesh.position_offset,
+        positionScale: renderMesh.position_scale,
+        texcoordOffset: renderMesh.texcoord_offset,
+        texcoordScale: renderMesh.texcoord_scale,
+        stagePartOffsets: renderMesh.stage_part_offsets,
+        renderableParts: parsed ? parsed.meshes[r].parts.length : '?',
+        lodCategories,
+        stageParts: allParts,
+        vertexLayouts: describeVertexLayouts(renderMesh),
+        layoutDefinitions: renderMesh.stage_part_vertex_stream_layout_definitions.length
+    };
+}
+
+function table(rows, columns) {
+    const widths = columns.map((column, c) => Math.max(column.length, ...rows.map(row => String(row[c]).length)));
+    const line = cells => '  ' + cells.map((cell, c) => String(cell).padEnd(widths[c])).join('  ').trimEnd();
+    return [line(columns), ...rows.map(line)].join('\n');
+}
+
+function printReport(report, args) {
+    const { header } = report;
+    console.log(`${header.fileIdentifier}  (${header.magic} v${header.version}, ${header.fileCount} files)\n`);
+    console.log('Files');
+    console.log(table(report.files.map((file, f) => [f, file.name, hex(file.offset), file.type, file.size]),
+        ['#', 'name', 'offset', 'type', 'size']));
+
+    if (report.renderMeshes.length === 0) console.log('\nNo render_metadata.js render meshes');
+
+    for (const mesh of report.renderMeshes) {
+        const vertexCount = Math.max(...mesh.vertexLayouts.map(layout => layout.vertexCount));
+        console.log(`\nRenderMesh[${mesh.index}]  ${vertexCount} vertices, ${mesh.indexBuffer.count} indices (${mesh.indexBuffer.valueSize} bytes), ` +
+            `${mesh.stageParts.length} stage parts, ${mesh.renderableParts} renderable`);
+        console.log(`  position  offset [${mesh.positionOffset}]  scale [${mesh.positionScale}]`);
+        console.log(`  texcoord  offset [${mesh.texcoordOffset}]  scale [${mesh.texcoordScale}]`);
+        console.log(`  stage part offsets [${mesh.stagePartOffsets}]`);
+        console.log('  LOD categories: ' + Object.entries(mesh.lodCategories).map(([name, count]) => `${name} (${count})`).join(', '));
+
+        if (args.parts) {
+            console.log('\n  Stage parts');
+            console.log(table(mesh.stageParts.map((part, p) => [
+                p, part.indexStart, part.indexCount, part.primitiveType === 5 ? 'strip' : part.primitiveType === 3 ? 'list' : part.primitiveType,
+                lodName(part.lodCategory), part.changeColorIndex, hex(part.flags || 0), part.shader === null ? '-' : part.shader, part.staticTextures.join(' ')
+            ]), ['#', 'start', 'count', 'primitive', 'lod', 'dye', 'flags', 'shader', 'textures']).replace(/^/gm, '  '));
+        }
+
+        if (args.layouts) {
+            if (mesh.layoutDefinitions > 1) console.log(`\n  ${mesh.layoutDefinitions} layout definitions, the first one is used`);
+            mesh.vertexLayouts.forEach((layout, b) => {
+                console.log(`\n  VertexBuffer[${b}] ${layout.fileName}  stride ${layout.stride}, ${layout.vertexCount} vertices`);
+                console.log(table(layout.elements.map(element => [
+                    element.name, element.type, element.offset, element.normalized ? 'yes' : 'no', element.supported ? '' : 'unsupported'
+                ]), ['semantic', 'type', 'offset', 'normalized', '']).replace(/^/gm, '  '));
+            });
+        }
+    }
+
+    if (report.warnings.length) console.log('\nWarnings\n  ' + report.warnings.join('\n  '));
+}
+
+// Embedded files by name, render_metadata.js pretty printed
+function dumpFiles(tgxBin, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of tgxBin.files) {
+        const target = path.join(dir, path.basename(file.name));
+        const data = ArrayBuffer.isView(file.data) ? file.data : JSON.stringify(file.data, null, '\t');
+        fs.writeFileSync(target, data);
+        console.error(`Wrote ${target}`);
+    }
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message + '\n\n' + USAGE);
+        return 2;
+    }
+    if (args.help || !args.file) {
+        console.log(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    let tgxBin;
+    try {
+        tgxBin = parseTGXContainer(new Uint8Array(fs.readFileSync(args.file)));
+    } catch (error) {
+        console.error(`${args.file}: ${error.message}`);
+        return 1;
+    }
+
+    // Dump first: the embedded files are what's needed to debug an asset the report chokes on
+    if (args.dump) {
+        try {
+            dumpFiles(tgxBin, args.dump);
+        } catch (error) {
+            console.error(`${args.dump}: ${error.message}`);
+            return 1;
+        }
+    }
+
+    const report = inspect(tgxBin);
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report, args);
+    return 0;
+}
+
+process.exitCode = main();
@@ -1,21 +1,29 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import * as zip from '@zip.js/zip.js'; // Import zip.js
-window.zip = zip; // Expose globally for loader
 
 import { TGXLoader } from './three.tgxloader.js';
 import BungieAuth, {
     isAuthenticated,
+    syncSession,
     startOAuthFlow,
     handleOAuthCallback,
-    getCurrentUserMembership,
+    logout,
+    getDestinyMemberships,
+    getSelectedMembership,
+    setSelectedMembership,
+    getDefaultMembership,
     getCharacterEquipment,
+    parseBungieName,
+    searchBungieName,
+    ProfilePrivateError,
     parseEquipmentForLoader,
+    AuthExpiredError,
     API_KEY
 } from './BungieAuth.js';
 
 // === CONFIGURACIÓN ===
 const ITEM_HASH = 1345867571; // Ace of Spades (fallback if not authenticated)
+const ANIMATION_PATHS = ['/animations/destiny_player_animation.js']; // The player idle, the only animation public/animations ships
 
 // === 1. ESCENA THREE.JS ===
 const scene = new THREE.Scene();
@@ -49,11 +57,21 @@ controls.enableDamping = true;
 controls.target.set(0, 0, 0);
 window.controls = controls;
 
+// Animación
+const clock = new THREE.Clock();
+let mixer = null;
+let activeAction = null;
+
 // Loop - only render when model is ready
 window.modelLoaded = false;
 function animate() {
     requestAnimationFrame(animate);
     controls.update();
+    const delta = clock.getDelta();
+    if (mixer) {
+        mixer.update(delta);
+        updateAnimationScrubber();
+    }
     if (window.modelLoaded) {
         renderer.render(scene, camera);
     }
@@ -74,12 +92,84 @@ function hideLoginButton() {
     if (loginBtn) loginBtn.style.display = 'none';
 }
 
+function showLogoutButton() {
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.style.display = 'block';
+        logoutBtn.onclick = async () => {
+            await logout(); // The session cookie is httpOnly, only the backend can drop it
+            location.reload();
+        };
+    }
+}
+
+function hideLogoutButton() {
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) logoutBtn.style.display = 'none';
+}
+
 function updateStatus(message) {
     const status = document.getElementById('status');
     if (status) status.textContent = message;
 }
 
-function showCharacterSelector(characters, onSelect) {
+/**
+ * Bring back the loading overlay (hidden once a model is shown) for a new search or load
+ */
+function showLoading(message) {
+    const loadingEl = document.getElementById('loading');
+    if (loadingEl) loadingEl.style.display = '';
+    updateStatus(message);
+}
+
+function showUserInfo(membership) {
+    const userInfo = document.getElementById('userInfo');
+    if (!userInfo) return;
+    userInfo.textContent = `${membership.displayName} · ${membership.platformName}`;
+    userInfo.style.display = 'block';
+}
+
+/**
+ * List the user's Destiny memberships with their platform icons
+ * Accounts moved into another one by cross save have no characters of their own and can't be picked.
+ */
+function showMembershipSelector(memberships, current, onSelect) {
+    const container = document.getElementById('characterSelector');
+    if (!container) return;
+
+    container.innerHTML = '<h3>Selecciona una Cuenta</h3>';
+    container.style.display = 'block';
+
+    for (const membership of memberships) {
+        const btn = document.createElement('button');
+        btn.className = 'character-btn';
+        if (current && membership.membershipId === current.membershipId) btn.classList.add('selected');
+
+        const icon = document.createElement('img');
+        icon.src = `https://www.bungie.net${membership.iconPath}`;
+        icon.alt = membership.platformName;
+        const label = document.createElement('span');
+        let note = '';
+        if (membership.crossSaveActive) note = ' (Cross Save)';
+        else if (membership.crossSaveInactive) note = ' (vinculada por Cross Save)';
+        label.textContent = `${membership.displayName} · ${membership.platformName}${note}`;
+        btn.append(icon, label);
+
+        btn.disabled = membership.crossSaveInactive;
+        btn.onclick = () => {
+            container.style.display = 'none';
+            onSelect(membership);
+        };
+        container.appendChild(btn);
+    }
+}
+
+/**
+ * @param {Object} characters - Characters component data, by character id
+ * @param {Function} onSelect - Called with (charId, char)
+ * @param {Function} [onChangeMembership] - Shows a button to go back to the membership selector
+ */
+function showCharacterSelector(characters, onSelect, onChangeMembership) {
     const container = document.getElementById('characterSelector');
     if (!container) return;
 
@@ -101,99 +191,185 @@ function showCharacterSelector(characters, onSelect) {
         };
         container.appendChild(btn);
     }
+
+    if (onChangeMembership) {
+        const btn = document.createElement('button');
+        btn.className = 'character-btn secondary';
+        btn.textContent = 'Cambiar cuenta o plataforma';
+        btn.onclick = () => onChangeMembership();
+        container.appendChild(btn);
+    }
 }
 
-// === 3. SHADER COLOR LOADING ===
 /**
- * Fetch shader gear asset to get its custom_dyes with material_properties
- * This contains the actual RGB colors for the shader
- * Uses TGXManifest.getAsset() which queries the local SQLite manifest
+ * Create the mixer for a loaded character and show the playback controls; the clip picker only when there are several
  */
-async function loadShaderDyes(shaderHash) {
-    if (!shaderHash || shaderHash === 0) {
-        console.log('[Shader] No shader hash provided, no shader colors to load');
-        return null;
+function setupAnimations(group) {
+    if (mixer) {
+        mixer.stopAllAction();
+        mixer.uncacheRoot(mixer.getRoot());
+        mixer = null;
+        activeAction = null;
     }
 
-    console.log(`[Shader] Loading shader gear asset for hash ${shaderHash}...`);
-
-    // Ensure TGXLoader and manifest are available
-    if (!window.THREE || !THREE.TGXLoader) {
-        console.warn('[Shader] TGXLoader not available yet');
-        return null;
+    const container = document.getElementById('animationControls');
+    const clips = group.animations || [];
+    if (clips.length === 0) {
+        if (container) container.style.display = 'none';
+        return;
     }
 
-    // Get or create manifest instance
-    let manifest = THREE.TGXLoader.Manifest;
-    if (!manifest) {
-        console.log('[Shader] Manifest not loaded yet, initializing...');
+    mixer = new THREE.AnimationMixer(group);
 
-        // Create manifest with same options as the loader uses
-        manifest = new THREE.TGXManifest(THREE.DefaultLoadingManager, {
-            apiKey: API_KEY,
-            apiBasepath: '/bungie/d1/Platform/Destiny',
-            apiBasepath2: '/bungie/Platform/Destiny2',
-            basepath: '/bungie'
-        });
-        THREE.TGXLoader.Manifest = manifest;
+    if (!container) {
+        playAnimation(clips[0]);
+        return;
     }
 
-    return new Promise((resolve) => {
-        try {
-            manifest.getAsset(shaderHash, function (data) {
-                console.log('[Shader] Got shader gear asset from manifest:', data);
+    const clipSelect = document.getElementById('animClip');
+    const playBtn = document.getElementById('animPlay');
+    const scrubber = document.getElementById('animScrub');
+    const speedSelect = document.getElementById('animSpeed');
+
+    clipSelect.innerHTML = '';
+    clips.forEach((clip, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = clip.name;
+        clipSelect.appendChild(option);
+    });
 
-                if (!data || !data.gearAsset) {
-                    console.warn('[Shader] No gear asset data for shader');
-                    resolve(null);
-                    return;
-                }
+    clipSelect.onchange = () => playAnimation(clips[clipSelect.value]);
+    clipSelect.style.display = clips.length > 1 ? '' : 'none'; // Nothing to pick with a single clip
+    playBtn.onclick = () => {
+        if (!activeAction) return;
+        activeAction.paused = !activeAction.paused;
+        playBtn.textContent = activeAction.paused ? '▶' : '⏸';
+    };
+    scrubber.oninput = () => {
+        if (!activeAction) return;
+        activeAction.time = parseFloat(scrubber.value) * activeAction.getClip().duration;
+        mixer.update(0); // Apply the pose even while paused
+    };
+    speedSelect.onchange = () => {
+        mixer.timeScale = parseFloat(speedSelect.value);
+    };
+
+    mixer.timeScale = parseFloat(speedSelect.value);
+    container.style.display = 'flex';
+    playAnimation(clips[0]);
+}
 
-                const gearAsset = data.gearAsset;
-
-                // Extract custom_dyes which contain the material_properties with colors
-                if (gearAsset.custom_dyes && gearAsset.custom_dyes.length > 0) {
-                    console.log('[Shader] Found custom_dyes:', gearAsset.custom_dyes.length);
-
-                    // Log the colors for debugging
-                    gearAsset.custom_dyes.forEach((dye, idx) => {
-                        if (dye.material_properties) {
-                            const mp = dye.material_properties;
-                            console.log(`[Shader] Dye ${idx} colors:`,
-                                'primary:', mp.primary_albedo_tint,
-                                'secondary:', mp.secondary_albedo_tint,
-                                'worn:', mp.secondary_worn_albedo_tint || mp.primary_worn_albedo_tint
-                            );
-                        }
-                    });
-
-                    resolve(gearAsset.custom_dyes);
-                    return;
-                }
+function playAnimation(clip) {
+    if (!mixer) return;
+    if (activeAction) activeAction.stop();
 
-                // Also check default_dyes
-                if (gearAsset.default_dyes && gearAsset.default_dyes.length > 0) {
-                    console.log('[Shader] Found default_dyes:', gearAsset.default_dyes.length);
-                    resolve(gearAsset.default_dyes);
-                    return;
-                }
+    activeAction = mixer.clipAction(clip);
+    activeAction.reset().play();
 
-                console.log('[Shader] No dyes found in shader gear asset');
-                resolve(null);
+    const playBtn = document.getElementById('animPlay');
+    if (playBtn) playBtn.textContent = '⏸';
+}
 
-            }, undefined, function (err) {
-                console.warn('[Shader] Error getting shader asset:', err);
-                resolve(null);
-            });
+function updateAnimationScrubber() {
+    const scrubber = document.getElementById('animScrub');
+    if (!scrubber || !activeAction || activeAction.paused) return;
+    if (document.activeElement === scrubber) return; // Don't fight the user while dragging
+    scrubber.value = activeAction.time / activeAction.getClip().duration;
+}
+
+/**
+ * Run an export from one of the export buttons, with its label showing progress and failures
+ */
+function bindExportButton(button, label, run) {
+    button.textContent = label;
+    button.disabled = false;
+    button.onclick = async () => {
+        button.disabled = true;
+        button.textContent = 'Exportando...';
+        try {
+            await run();
+            button.textContent = label;
         } catch (err) {
-            console.error('[Shader] Error loading shader dyes:', err);
-            resolve(null);
+            console.error('[Export] Export failed:', err);
+            button.textContent = '⚠ Error al exportar';
+            setTimeout(() => { button.textContent = label; }, 3000);
+        } finally {
+            button.disabled = false;
         }
+    };
+}
+
+/**
+ * Show the GLB, baked texture and 3D print download buttons for the character currently in the scene
+ */
+function showExportButtons(group) {
+    const container = document.getElementById('exportControls');
+    if (!container) return;
+
+    // The exporter is only fetched when someone asks for it. Dyes are baked into the textures with the viewer's renderer
+    bindExportButton(document.getElementById('exportBtn'), '⬇ Exportar GLB', async () => {
+        const { downloadGLB } = await import('./GLBExport.js');
+        await downloadGLB(group, 'destiny-character.glb', { renderer });
+    });
+    bindExportButton(document.getElementById('exportTexturesBtn'), '⬇ Texturas PNG', async () => {
+        const { downloadBakedTextures } = await import('./GLBExport.js');
+        await downloadBakedTextures(renderer, group, 'destiny-textures.zip');
     });
+
+    // Print exports: one merged mesh without decals or hidden parts, scaled to the chosen height
+    const printOptions = () => ({
+        height: parseFloat(document.getElementById('printHeight').value) || 150,
+        pose: document.getElementById('printPose').checked
+    });
+    for (const format of ['stl', 'obj']) {
+        const button = document.getElementById(format === 'stl' ? 'exportStlBtn' : 'exportObjBtn');
+        bindExportButton(button, `⬇ ${format.toUpperCase()}`, async () => {
+            const { downloadPrint } = await import('./PrintExport.js');
+            downloadPrint(group, format, `destiny-character.${format}`, printOptions());
+        });
+    }
+    container.style.display = 'flex';
 }
 
+// === 3. MODEL LOADING ===
+/**
+ * Shared TGXManifest; the loader picks it up through TGXLoader.Manifest
+ */
+function getManifest() {
+    if (!TGXLoader.Manifest) {
+        TGXLoader.Manifest = new window.THREE.TGXManifest(THREE.DefaultLoadingManager, {
+            apiKey: API_KEY,
+            apiBasepath: '/bungie/Platform/Destiny2',
+            basepath: '/bungie'
+        });
+    }
+    return TGXLoader.Manifest;
+}
+
+/**
+ * Fetch the DestinyInventoryItemDefinitions of a character's equipped items and their socket plugs
+ * from the world content manifest, keyed by hash
+ */
+async function loadEquipmentDefinitions(profileData, characterId) {
+    const items = profileData.characterEquipment.data[characterId]?.items || [];
+    const itemSockets = profileData.itemComponents?.sockets?.data || {};
+
+    const hashes = new Set();
+    for (const item of items) {
+        hashes.add(item.itemHash);
+        for (const socket of itemSockets[item.itemInstanceId]?.sockets || []) {
+            if (socket.plugHash) hashes.add(socket.plugHash);
+        }
+    }
+
+    // One batched query instead of a lookup per hash
+    const manifest = getManifest();
+    return new Promise((resolve, reject) => {
+        manifest.getMany('DestinyInventoryItemDefinition', [...hashes], resolve, undefined, reject);
+    });
+}
 
-// === 4. MODEL LOADING ===
 async function loadModel(itemHash, options = {}) {
     console.log(`[Loader] Loading item ${itemHash}...`);
 
@@ -208,137 +384,265 @@ async function loadModel(itemHash, options = {}) {
 
     const loader = new TGXLoader();
 
-    return new Promise((resolve, reject) => {
-        // Pass options object with skeleton loading enabled
-        const loaderOptions = {
-            itemHash: itemHash,
-            loadSkeleton: false, // Disabled until we have the local skeleton file
-            loadAnimation: false, // TODO: Enable when animation loading is fixed
-            loadTextures: true,
-            classHash: options.classHash || 0,
-            isFemale: options.isFemale || false,
-            ...options
-        };
+    // A skeleton from a previously loaded armor piece, bound instead of building a new one
+    const { skeleton: sharedSkeleton, ...loadOptions } = options;
+
+    const loaderOptions = {
+        itemHash: itemHash,
+        loadSkeleton: false, // Only armor is skinned, callers opt in
+        skeletonPath: '/animations/destiny_player_skeleton.js',
+        loadAnimation: false, // Needs loadSkeleton, callers opt in
+        animationPaths: ANIMATION_PATHS,
+        loadTextures: true,
+        classHash: options.classHash || 0,
+        isFemale: options.isFemale || false,
+        ...loadOptions
+    };
+
+    let result;
+    try {
+        result = await loader.loadAsync(loaderOptions, (progress) => {
+            if (progress.total) {
+                const pct = Math.floor(progress.loaded / progress.total * 100);
+                updateStatus(`Cargando: ${pct}%`);
+            }
+        });
+    } catch (err) {
+        // err.stage: manifest | gearAsset | geometry | texture | skeleton | parse
+        console.error(`[Loader] Error (${err.stage || 'unknown'}):`, err.message, err.details || err);
+        throw err;
+    }
 
-        loader.load(loaderOptions, async (geometry, materials, animations) => {
-            console.log("[Loader] Model downloaded. Creating mesh...");
-            // THREE.Geometry uses vertices, not attributes (r124)
-            console.log("[Loader] Geometry vertices:", geometry.vertices ? geometry.vertices.length : 0);
-            console.log("[Loader] Has bones:", geometry.bones ? geometry.bones.length : 0);
-            console.log("[Loader] Animations:", animations ? animations.length : 0);
-
-            // Use DestinyMaterial for proper texture handling
-            const { convertTGXMaterials } = await import('./DestinyMaterial.js');
-            const destinyMaterials = convertTGXMaterials(materials);
-            console.log("[Loader] Materials converted:", destinyMaterials.length);
-
-            let mesh;
-
-            // Check if we have skeleton data
-            if (geometry.bones && geometry.bones.length > 0) {
-                console.log("[Loader] Creating SkinnedMesh with", geometry.bones.length, "bones");
-
-                // Create THREE.Bone hierarchy
-                const threeBones = [];
-                geometry.bones.forEach((boneData, i) => {
-                    const bone = new THREE.Bone();
-                    bone.name = boneData.name || `bone_${i}`;
-                    bone.position.fromArray(boneData.pos || [0, 0, 0]);
-                    bone.quaternion.fromArray(boneData.rotq || [0, 0, 0, 1]);
-                    bone.scale.fromArray(boneData.scl || [1, 1, 1]);
-                    threeBones.push(bone);
-                });
-
-                // Set up parent-child hierarchy
-                geometry.bones.forEach((boneData, i) => {
-                    if (boneData.parent >= 0 && boneData.parent < threeBones.length) {
-                        threeBones[boneData.parent].add(threeBones[i]);
-                    }
-                });
-
-                // Create skeleton
-                const skeleton = new THREE.Skeleton(threeBones);
-                console.log("[Loader] Skeleton created with", skeleton.bones.length, "bones");
-
-                // Convert THREE.Geometry to BufferGeometry for SkinnedMesh
-                // SkinnedMesh requires BufferGeometry even in r124
-                let bufferGeometry;
-                if (geometry.isBufferGeometry) {
-                    bufferGeometry = geometry;
-                } else if (geometry.toBufferGeometry) {
-                    console.log("[Loader] Converting Geometry to BufferGeometry...");
-                    bufferGeometry = geometry.toBufferGeometry();
-                } else {
-                    console.log("[Loader] Using BufferGeometry.fromGeometry()...");
-                    bufferGeometry = new THREE.BufferGeometry().fromGeometry(geometry);
-                }
+    const { geometry, materials, animations } = result;
+    if (result.warnings.length > 0) {
+        console.warn(`[Loader] ${result.warnings.length} warnings for item ${itemHash}:`, result.warnings);
+    }
 
-                // Copy skin data from Geometry to BufferGeometry (fromGeometry doesn't do this)
-                if (geometry.skinIndices && geometry.skinIndices.length > 0) {
-                    console.log("[Loader] Copying skin data,", geometry.skinIndices.length, "skin indices");
-                    const skinIndexArray = new Float32Array(geometry.skinIndices.length * 4);
-                    const skinWeightArray = new Float32Array(geometry.skinWeights.length * 4);
-
-                    for (let i = 0; i < geometry.skinIndices.length; i++) {
-                        const idx = geometry.skinIndices[i];
-                        const weight = geometry.skinWeights[i];
-                        skinIndexArray[i * 4] = idx.x;
-                        skinIndexArray[i * 4 + 1] = idx.y;
-                        skinIndexArray[i * 4 + 2] = idx.z;
-                        skinIndexArray[i * 4 + 3] = idx.w;
-                        skinWeightArray[i * 4] = weight.x;
-                        skinWeightArray[i * 4 + 1] = weight.y;
-                        skinWeightArray[i * 4 + 2] = weight.z;
-                        skinWeightArray[i * 4 + 3] = weight.w;
-                    }
-
-                    bufferGeometry.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndexArray, 4));
-                    bufferGeometry.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeightArray, 4));
-                    console.log("[Loader] Skin data copied to BufferGeometry");
+    console.log("[Loader] Model downloaded. Creating mesh...");
+    console.log("[Loader] Geometry vertices:", geometry.attributes.position ? geometry.attributes.position.count : 0);
+    console.log("[Loader] Has bones:", result.skeleton ? result.skeleton.length : 0);
+    console.log("[Loader] Animations:", animations ? animations.length : 0);
+
+    // Use DestinyMaterial for proper texture handling
+    const { convertTGXMaterials } = await import('./DestinyMaterial.js');
+    const destinyMaterials = convertTGXMaterials(materials);
+    console.log("[Loader] Materials converted:", destinyMaterials.length);
+
+    let mesh;
+
+    // Check if we have skeleton data
+    if (result.skeleton && result.skeleton.length > 0) {
+        mesh = new THREE.SkinnedMesh(geometry, destinyMaterials.length > 0 ? destinyMaterials : materials);
+
+        let skeleton = sharedSkeleton;
+        if (!skeleton) {
+            console.log("[Loader] Creating skeleton with", result.skeleton.length, "bones");
+
+            // Bone transforms are parent-relative, bone inverses come straight from the skeleton file
+            const threeBones = [];
+            const boneInverses = [];
+            result.skeleton.forEach((boneData, i) => {
+                const bone = new THREE.Bone();
+                bone.name = boneData.name || `bone_${i}`;
+                bone.position.fromArray(boneData.pos);
+                bone.quaternion.fromArray(boneData.rotq);
+                bone.scale.fromArray(boneData.scl);
+                threeBones.push(bone);
+                boneInverses.push(new THREE.Matrix4().fromArray(boneData.inverseBindMatrix));
+            });
+
+            result.skeleton.forEach((boneData, i) => {
+                if (boneData.parent >= 0) {
+                    threeBones[boneData.parent].add(threeBones[i]);
                 } else {
-                    console.warn("[Loader] No skin data found in original geometry");
+                    mesh.add(threeBones[i]);
                 }
+            });
 
-                console.log("[Loader] BufferGeometry ready:", Object.keys(bufferGeometry.attributes));
+            skeleton = new THREE.Skeleton(threeBones, boneInverses);
+        }
 
-                // Create SkinnedMesh with BufferGeometry
-                mesh = new THREE.SkinnedMesh(bufferGeometry, destinyMaterials.length > 0 ? destinyMaterials : materials);
+        // Geometry is already in the skeleton's object space, so the bind matrix is identity
+        mesh.bind(skeleton, new THREE.Matrix4());
 
-                // Find root bone (no parent or parent is -1)
-                let rootBone = threeBones[0];
-                geometry.bones.forEach((boneData, i) => {
-                    if (boneData.parent < 0 || boneData.parent === undefined) {
-                        rootBone = threeBones[i];
-                    }
-                });
+        console.log("[Loader] SkinnedMesh bound to", sharedSkeleton ? "shared skeleton" : "new skeleton");
 
-                mesh.add(rootBone);
-                mesh.bind(skeleton);
+        // Optional: Add skeleton helper for debugging
+        // const skeletonHelper = new THREE.SkeletonHelper(mesh);
+        // mesh.add(skeletonHelper);
 
-                console.log("[Loader] SkinnedMesh created and bound to skeleton");
+    } else {
+        console.log("[Loader] No bones found, creating regular Mesh");
+        mesh = new THREE.Mesh(geometry, destinyMaterials.length > 0 ? destinyMaterials : materials);
+    }
 
-                // Optional: Add skeleton helper for debugging
-                // const skeletonHelper = new THREE.SkeletonHelper(mesh);
-                // mesh.add(skeletonHelper);
+    mesh.name = `item_${itemHash}`;
+    mesh.animations = animations;
+    mesh.userData.items = result.items;
+    return mesh;
+}
 
-            } else {
-                console.log("[Loader] No bones found, creating regular Mesh");
-                mesh = new THREE.Mesh(geometry, destinyMaterials.length > 0 ? destinyMaterials : materials);
-            }
+// Every weapon sits on a pedestal; the held one (kinetic unless the user picks another) leaves it for the right hand
+// grip. b_l_grip is the off-hand support bone, weapons load as a single mesh so nothing is attached to it.
+const WEAPON_GRIP_BONE = 'b_r_grip';
+const WEAPON_LABELS = { KINETIC: 'Cinética', ENERGY: 'Energía', POWER: 'Pesada' };
+const PEDESTAL_SIZE = 1.2;
 
-            mesh.name = `item_${itemHash}`;
-            resolve(mesh);
+/**
+ * Load one parsed equipment entry (see parseEquipmentForLoader) with its ornament, shader and dyes
+ */
+async function loadEquipmentItem(entry, extraOptions = {}) {
+    // The loader resolves the shader's dyes through the world content manifest
+    console.log(`[Loader] Loading ${entry.bucket} ${entry.itemHash} with ornament ${entry.ornamentHash} and shader ${entry.shaderHash}`);
+    return loadModel(entry.itemHash, {
+        shaderHash: entry.shaderHash,
+        ornamentHash: entry.ornamentHash,
+        itemDyes: entry.dyes,
+        ...extraOptions
+    });
+}
 
-        }, (progress) => {
-            if (progress.total) {
-                const pct = Math.floor(progress.loaded / progress.total * 100);
-                updateStatus(`Cargando: ${pct}%`);
-            }
-        }, (err) => {
-            console.error("[Loader] Error:", err);
-            reject(err);
-        });
+/**
+ * Wrap a mesh on a display pedestal, scaled to fit it
+ */
+function createPedestal(mesh, name) {
+    const pedestal = new THREE.Group();
+    pedestal.name = `pedestal_${name}`;
+
+    const base = new THREE.Mesh(
+        new THREE.CylinderGeometry(PEDESTAL_SIZE * 0.5, PEDESTAL_SIZE * 0.55, 0.1, 32),
+        new THREE.MeshStandardMaterial({ color: 0x2a2d33, roughness: 0.6, metalness: 0.2 })
+    );
+    base.position.y = 0.05;
+    pedestal.add(base);
+
+    const box = new THREE.Box3().setFromObject(mesh);
+    const size = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = maxDim > 0 && isFinite(maxDim) ? PEDESTAL_SIZE / maxDim : 1;
+
+    // Sit the item's bottom on top of the base, centered
+    const center = box.getCenter(new THREE.Vector3());
+    mesh.scale.multiplyScalar(scale);
+    mesh.position.set(-center.x * scale, 0.1 - box.min.y * scale, -center.z * scale);
+    pedestal.add(mesh);
+
+    return pedestal;
+}
+
+/**
+ * Load a full loadout: armor on the character, one weapon in its hand, the other weapons and ghost/sparrow/ship on pedestals
+ */
+async function loadLoadout(equipment) {
+    const characterGroup = new THREE.Group();
+    characterGroup.name = 'characterGroup';
+
+    const entries = [...equipment.armorDetails, ...equipment.weapons, ...equipment.accessories];
+    const totalItems = entries.length;
+    let loadedCount = 0;
+
+    const loadEntry = async (entry, extraOptions) => {
+        try {
+            const mesh = await loadEquipmentItem(entry, extraOptions);
+            loadedCount++;
+            updateStatus(`Cargando equipo: ${loadedCount}/${totalItems}`);
+            return mesh;
+        } catch (err) {
+            console.error(`[Loader] Failed to load ${entry.bucket} ${entry.itemHash}:`, err);
+            // Continue with other items even if one fails
+            return null;
+        }
+    };
+
+    // Armor pieces are skinned to the player skeleton, the first one's bones are shared by the rest
+    let skeleton = null;
+    for (const entry of equipment.armorDetails) {
+        // Clips only need to be parsed once, with the piece that creates the skeleton
+        const mesh = await loadEntry(entry, { loadSkeleton: true, loadAnimation: !skeleton, skeleton });
+        if (!mesh) continue;
+        characterGroup.add(mesh);
+        if (!skeleton && mesh.isSkinnedMesh) {
+            skeleton = mesh.skeleton;
+            characterGroup.animations = mesh.animations;
+        }
+    }
+
+    const pedestalItems = [];
+    const weapons = [];
+    for (const entry of equipment.weapons) {
+        const mesh = await loadEntry(entry);
+        if (!mesh) continue;
+        pedestalItems.push({ entry, mesh });
+        weapons.push({ bucket: entry.bucket, mesh });
+    }
+
+    for (const entry of equipment.accessories) {
+        const mesh = await loadEntry(entry);
+        if (mesh) pedestalItems.push({ entry, mesh });
+    }
+
+    // Pedestals in a row to the character's right
+    pedestalItems.forEach(({ entry, mesh }, i) => {
+        const pedestal = createPedestal(mesh, entry.bucket.toLowerCase());
+        pedestal.position.set(1.5 + i * (PEDESTAL_SIZE + 0.4), 0, 0);
+        characterGroup.add(pedestal);
     });
+
+    const grip = skeleton ? skeleton.getBoneByName(WEAPON_GRIP_BONE) : null;
+    if (grip && weapons.length > 0) {
+        characterGroup.userData.weapons = weapons.map(weapon => ({
+            ...weapon,
+            pedestal: weapon.mesh.parent,
+            // Where createPedestal put the mesh, restored when it goes back
+            position: weapon.mesh.position.clone(),
+            scale: weapon.mesh.scale.clone()
+        }));
+        characterGroup.userData.grip = grip;
+        const held = weapons.find(weapon => weapon.bucket === 'KINETIC') || weapons[0];
+        holdWeapon(characterGroup, held.bucket);
+    }
+
+    return characterGroup;
+}
+
+/**
+ * Put the loadout's weapon from bucket in the character's hand and the previously held one back on its pedestal
+ */
+function holdWeapon(group, bucket) {
+    const { weapons, grip } = group.userData;
+    for (const weapon of weapons) {
+        const hold = weapon.bucket === bucket;
+        if (hold === (weapon.mesh.parent === grip)) continue;
+        if (hold) {
+            grip.add(weapon.mesh);
+            weapon.mesh.position.set(0, 0, 0);
+            weapon.mesh.scale.set(1, 1, 1);
+        } else {
+            weapon.pedestal.add(weapon.mesh);
+            weapon.mesh.position.copy(weapon.position);
+            weapon.mesh.scale.copy(weapon.scale);
+        }
+        weapon.pedestal.visible = !hold;
+    }
+}
+
+/**
+ * Let the user choose which of the loadout's weapons the character holds
+ */
+function setupWeaponSelect(group) {
+    const select = document.getElementById('heldWeapon');
+    if (!select) return;
+    const weapons = group.userData.weapons || [];
+    select.style.display = weapons.length > 1 ? '' : 'none';
+    select.innerHTML = '';
+    for (const weapon of weapons) {
+        const option = document.createElement('option');
+        option.value = weapon.bucket;
+        option.textContent = WEAPON_LABELS[weapon.bucket] || weapon.bucket;
+        option.selected = weapon.mesh.parent === group.userData.grip;
+        select.appendChild(option);
+    }
+    select.onchange = () => holdWeapon(group, select.value);
 }
 
 function addGroupToScene(group) {
@@ -354,6 +658,9 @@ function addGroupToScene(group) {
 
         // Add new group
         scene.add(group);
+        setupAnimations(group);
+        setupWeaponSelect(group);
+        showExportButtons(group);
 
         // Compute bounding box for SkinnedMesh - need to update geometry first
         group.traverse(obj => {
@@ -431,6 +738,131 @@ function addMeshToScene(mesh) {
     addGroupToScene(group);
 }
 
+/**
+ * Load a membership's profile and show its characters
+ * @param {Object} membership - From getDestinyMemberships or searchBungieName
+ * @param {Array} memberships - All memberships of the player, to switch account from the character selector
+ * @param {Object} [options]
+ * @param {boolean} [options.authenticated=true] - false for another player's public profile
+ */
+async function loadMembershipProfile(membership, memberships, options = {}) {
+    const { authenticated = true } = options;
+    console.log("[Auth] Membership:", membership);
+    if (authenticated) showUserInfo(membership);
+    showLoading('Obteniendo datos del perfil...');
+
+    // Get character equipment
+    const profileData = await getCharacterEquipment(
+        membership.membershipType,
+        membership.membershipId,
+        { authenticated }
+    );
+    console.log("[Auth] Profile data received");
+
+    // Show character selector
+    const characters = profileData.characters.data;
+    const canSwitch = memberships.filter(m => !m.crossSaveInactive).length > 1;
+    showCharacterSelector(characters, async (charId, char) => {
+        showLoading('Cargando personaje...');
+
+        let definitions = {};
+        try {
+            definitions = await loadEquipmentDefinitions(profileData, charId);
+        } catch (err) {
+            console.warn('[Equipment] Item definitions unavailable, ornaments will not be detected:', err);
+        }
+
+        const equipment = parseEquipmentForLoader(profileData, charId, definitions);
+        console.log("[Equipment] Parsed:", equipment);
+
+        const characterGroup = await loadLoadout(equipment);
+        if (characterGroup.children.length > 0) {
+            addGroupToScene(characterGroup);
+        } else if (equipment.armorDetails.length > 0) {
+            updateStatus('Error: No se pudo cargar ninguna pieza de armadura.');
+        } else {
+            updateStatus('No se encontró armadura equipada');
+        }
+    }, canSwitch ? () => pickMembership(memberships, membership, options) : null);
+}
+
+function reportProfileError(err) {
+    console.error("[Auth] Error loading profile:", err);
+    if (err instanceof AuthExpiredError) {
+        updateStatus('Tu sesión ha caducado, vuelve a iniciar sesión.');
+        hideLogoutButton();
+        showLoginButton();
+    } else if (err instanceof ProfilePrivateError) {
+        updateStatus('El equipamiento de este Guardián es privado.');
+    } else {
+        updateStatus('Error cargando perfil.');
+    }
+}
+
+/**
+ * Show the membership selector, then the chosen membership's characters
+ * The choice is remembered only for the user's own accounts
+ */
+function pickMembership(memberships, current, options = {}) {
+    const { authenticated = true } = options;
+    showMembershipSelector(memberships, current, async (membership) => {
+        if (authenticated) setSelectedMembership(membership);
+        try {
+            await loadMembershipProfile(membership, memberships, options);
+        } catch (err) {
+            reportProfileError(err);
+        }
+    });
+}
+
+/**
+ * Look up a Bungie Name and show that player's public characters
+ * The name goes into the URL (?guardian=) so the view can be shared
+ */
+async function loadGuardianByName(bungieName) {
+    if (!parseBungieName(bungieName)) {
+        showLoading('Escribe el Nombre Bungie completo, por ejemplo Guardián#1234');
+        return;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('guardian', bungieName.trim());
+    window.history.replaceState({}, document.title, url);
+
+    showLoading(`Buscando ${bungieName}...`);
+    try {
+        const memberships = await searchBungieName(bungieName);
+        const activeMemberships = memberships.filter(m => !m.crossSaveInactive);
+        if (activeMemberships.length === 0) {
+            updateStatus(`No se encontró ningún Guardián llamado ${bungieName}`);
+            return;
+        }
+
+        const options = { authenticated: false };
+        if (activeMemberships.length === 1) {
+            await loadMembershipProfile(activeMemberships[0], memberships, options);
+        } else {
+            updateStatus('Selecciona la cuenta del Guardián');
+            pickMembership(memberships, getDefaultMembership(memberships), options);
+        }
+    } catch (err) {
+        reportProfileError(err);
+    }
+}
+
+function bindGuardianSearch() {
+    const form = document.getElementById('guardianSearch');
+    const input = document.getElementById('guardianName');
+    if (!form || !input) return;
+
+    form.style.display = 'flex';
+    form.onsubmit = (event) => {
+        event.preventDefault();
+        loadGuardianByName(input.value);
+    };
+    return input;
+}
+
 // === 4. MAIN INIT ===
 async function init() {
     console.log("=== Visor Destiny 2 ===");
@@ -444,83 +876,51 @@ async function init() {
         return;
     }
 
+    // The backend may have renewed the session since the last visit
+    await syncSession();
+
+    // Anyone can look up a public Guardian, a shared ?guardian= link opens straight to it
+    const searchInput = bindGuardianSearch();
+    const sharedGuardian = urlParams.get('guardian');
+    if (sharedGuardian) {
+        if (searchInput) searchInput.value = sharedGuardian;
+        if (isAuthenticated()) showLogoutButton();
+        else showLoginButton();
+        await loadGuardianByName(sharedGuardian);
+        return;
+    }
+
     // Check authentication status
     if (isAuthenticated()) {
         console.log("[Auth] User is authenticated");
         hideLoginButton();
+        showLogoutButton();
         updateStatus('Obteniendo datos del perfil...');
 
         try {
-            // Get membership info
-            const membership = await getCurrentUserMembership();
-            console.log("[Auth] Membership:", membership);
-
-            // Get character equipment
-            const profileData = await getCharacterEquipment(
-                membership.membershipType,
-                membership.membershipId
-            );
-            console.log("[Auth] Profile data received");
-
-            // Show character selector
-            const characters = profileData.characters.data;
-            showCharacterSelector(characters, async (charId, char) => {
-                updateStatus('Cargando personaje...');
-
-                const equipment = parseEquipmentForLoader(profileData, charId);
-                console.log("[Equipment] Parsed:", equipment);
-
-                // Load all equipped armor
-                if (equipment.itemHashes.length > 0) {
-                    const characterGroup = new THREE.Group();
-                    characterGroup.name = 'characterGroup';
-
-                    let loadedCount = 0;
-                    const totalItems = equipment.itemHashes.length;
-
-                    for (let i = 0; i < equipment.itemHashes.length; i++) {
-                        const itemHash = equipment.itemHashes[i];
-                        const shaderHash = equipment.shaderHashes ? equipment.shaderHashes[i] : 0;
-                        const itemDyes = equipment.itemDyes ? equipment.itemDyes[i] : [];
-
-                        try {
-                            // If shader is equipped, load its dyes with color data
-                            let shaderDyes = null;
-                            if (shaderHash && shaderHash !== 0) {
-                                console.log(`[Loader] Loading shader ${shaderHash} dyes for item ${itemHash}...`);
-                                shaderDyes = await loadShaderDyes(shaderHash);
-                            }
-
-                            console.log(`[Loader] Loading item ${itemHash} with shader ${shaderHash}, shaderDyes:`, shaderDyes?.length || 0);
-                            const mesh = await loadModel(itemHash, {
-                                shaderHash: shaderHash,
-                                itemDyes: itemDyes,
-                                shaderDyes: shaderDyes // Pass shader's custom_dyes with material_properties
-                            });
-                            characterGroup.add(mesh);
-                            loadedCount++;
-                            updateStatus(`Cargando equipo: ${loadedCount}/${totalItems}`);
-                        } catch (err) {
-                            console.error(`[Loader] Failed to load item ${itemHash}:`, err);
-                            // Continue with other items even if one fails
-                        }
-                    }
-
-
-                    if (characterGroup.children.length > 0) {
-                        addGroupToScene(characterGroup);
-                    } else {
-                        updateStatus('Error: No se pudo cargar ninguna pieza de armadura.');
-                    }
-
-                } else {
-                    updateStatus('No se encontró armadura equipada');
-                }
-            });
+            // The persisted choice, or the only account; otherwise the user picks one
+            const memberships = await getDestinyMemberships();
+            const activeMemberships = memberships.filter(m => !m.crossSaveInactive);
+            const membership = getSelectedMembership(memberships) ||
+                (activeMemberships.length === 1 ? activeMemberships[0] : null);
+
+            if (activeMemberships.length === 0) {
+                throw new Error('No Destiny 2 membership found');
+            } else if (membership) {
+                await loadMembershipProfile(membership, memberships);
+            } else {
+                updateStatus('Selecciona la cuenta con la que juegas');
+                pickMembership(memberships, getDefaultMembership(memberships));
+            }
 
         } catch (err) {
             console.error("[Auth] Error loading profile:", err);
-            updateStatus('Error cargando perfil. Usa modelo de prueba.');
+            if (err instanceof AuthExpiredError) {
+                updateStatus('Tu sesión ha caducado, vuelve a iniciar sesión.');
+                hideLogoutButton();
+            } else {
+                updateStatus('Error cargando perfil. Usa modelo de prueba.');
+            }
             showLoginButton();
 
             // Load test model as fallback
@@ -535,7 +935,7 @@ async function init() {
     } else {
         console.log("[Auth] User not authenticated");
         showLoginButton();
-        updateStatus('Inicia sesión para cargar tu personaje, o usa el modelo de prueba');
+        updateStatus('Inicia sesión o busca un Guardián por su Nombre Bungie');
 
         // Load test model
         try {
@@ -555,11 +955,5 @@ window.addEventListener('resize', () => {
     renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// Wait for SQL.js then init
-const checkLibs = setInterval(() => {
-    if (window.SQL) {
-        clearInterval(checkLibs);
-        console.log("SQL.js cargado. Iniciando...");
-        init();
-    }
-}, 100);
+// sql.js and zip.js load inside the manifest worker, nothing to wait for here
+init();
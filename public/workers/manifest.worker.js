@@ -0,0 +1,119 @@
+// Manifest service thread for THREE.TGXManifest
+// Unzips the manifest databases and answers the SQLite lookups, so neither blocks rendering on the main thread.
+// Messages are {id, type, ...} and every reply echoes the id as {id, result} or {id, error}.
+importScripts('/libs/sql.js', '/libs/zip.js');
+
+zip.configure({ useWebWorkers: false }); // Already off the main thread
+
+var databases = {};
+
+// The manifest's SQLite ids are the signed 32-bit form of hashes, older databases kept them unsigned
+function hashIds(hash) {
+	var signed = hash | 0;
+	return signed == hash ? [signed] : [signed, hash];
+}
+
+var BATCH_SIZE = 100; // Hashes per getMany statement
+
+// One open SQLite database per manifest file, with its lookup statements prepared once
+function ManifestDatabase(data, name) {
+	this.name = name;
+	this.db = new SQL.Database(data);
+	this.statements = {};
+
+	var res = this.db.exec("SELECT name FROM sqlite_master WHERE type='table'");
+	this.tables = res.length > 0 ? res[0].values.map(function (row) { return row[0]; }) : [];
+}
+Object.assign(ManifestDatabase.prototype, {
+	hasTable: function (table) {
+		return this.tables.indexOf(table) != -1;
+	},
+	// Table names can't be bound, they're checked against the database's own list instead
+	statement: function (table, idCount) {
+		var key = table + ':' + idCount;
+		if (!this.statements[key]) {
+			var params = new Array(idCount).fill('?').join(',');
+			this.statements[key] = this.db.prepare('SELECT id, json FROM ' + table + ' WHERE id IN (' + params + ')');
+		}
+		return this.statements[key];
+	},
+	// Definitions keyed by unsigned hash, hashes that aren't in the table are left out
+	getMany: function (table, hashes) {
+		var rows = {};
+		if (!this.hasTable(table)) {
+			console.warn('[ManifestWorker] ' + this.name + ' has no table ' + table);
+			return rows;
+		}
+		var ids = [];
+		for (var i = 0; i < hashes.length; i++) {
+			var hashIdList = hashIds(hashes[i]);
+			for (var h = 0; h < hashIdList.length; h++) {
+				if (ids.indexOf(hashIdList[h]) == -1) ids.push(hashIdList[h]);
+			}
+		}
+		for (var start = 0; start < ids.length; start += BATCH_SIZE) {
+			var batch = ids.slice(start, start + BATCH_SIZE);
+			var stmt = this.statement(table, batch.length);
+			stmt.bind(batch);
+			while (stmt.step()) {
+				var row = stmt.get();
+				rows[row[0] >>> 0] = JSON.parse(row[1]);
+			}
+			stmt.reset();
+		}
+		return rows;
+	},
+	close: function () {
+		for (var key in this.statements) this.statements[key].free();
+		this.statements = {};
+		this.db.close();
+	}
+});
+
+// Bytes of the first entry of a zipped manifest database
+function download(url) {
+	var reader = new zip.ZipReader(new zip.HttpReader(url));
+	return reader.getEntries().then(function (entries) {
+		if (entries.length == 0) throw new Error('Empty database ' + url);
+		return entries[0].getData(new zip.Uint8ArrayWriter());
+	}).then(function (data) {
+		return reader.close().then(function () {
+			return data;
+		});
+	});
+}
+
+var handlers = {
+	// {name, url} downloads and opens a database, {name, data} opens bytes the main thread had cached.
+	// Downloaded bytes are sent back for caching, sql.js keeps its own copy.
+	open: function (message) {
+		var dataPromise = message.data ? Promise.resolve(message.data) : download(message.url);
+		return dataPromise.then(function (data) {
+			if (databases[message.name]) databases[message.name].close();
+			var database = new ManifestDatabase(data, message.name);
+			databases[message.name] = database;
+			return {
+				tables: database.tables,
+				data: message.data ? null : data
+			};
+		});
+	},
+	getMany: function (message) {
+		var database = databases[message.name];
+		if (!database) throw new Error('Database not open: ' + message.name);
+		return database.getMany(message.table, message.hashes);
+	}
+};
+
+self.onmessage = function (event) {
+	var message = event.data;
+	Promise.resolve().then(function () {
+		if (!handlers[message.type]) throw new Error('Unknown message ' + message.type);
+		return handlers[message.type](message);
+	}).then(function (result) {
+		var transfer = result && result.data ? [result.data.buffer] : [];
+		self.postMessage({ id: message.id, result: result }, transfer);
+	}, function (error) {
+		self.postMessage({ id: message.id, error: error && error.message ? error.message : String(error) });
+	});
+};
@@ -0,0 +1,370 @@
+/**
+ * bungieAuth.js - Server side of the Bungie OAuth flow
+ *
+ * The client secret stays here: the browser hands over the authorization code, this middleware exchanges it,
+ * keeps the tokens in an encrypted httpOnly cookie and proxies authenticated /Platform calls with them.
+ * The same connect-style middleware runs inside Vite (dev and preview) and in the standalone server (server/index.js).
+ *
+ * Routes, under `prefix` (default /auth):
+ * - POST /token     {code} -> sets the session cookie, answers {membershipId, expiresAt}
+ * - GET  /session   -> {authenticated, membershipId, expiresAt}, 401 without a session
+ * - POST /logout    -> clears the session cookie
+ * - *    /Platform/ -> forwarded to Bungie with the API key and the session's access token
+ */
+
+import crypto from 'node:crypto';
+
+const SESSION_COOKIE = 'd2v_session';
+
+// Access tokens are refreshed this long before they expire, so requests never go out with a dying token
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Bungie rotates refresh tokens: requests still carrying the old cookie after a refresh reuse its result
+const REFRESH_REUSE_MS = 60 * 1000;
+
+/**
+ * Thrown when the session can't be recovered without logging in again (refresh token expired or revoked)
+ */
+export class AuthExpiredError extends Error {
+    constructor(message = 'Authentication expired') {
+        super(message);
+        this.name = 'AuthExpiredError';
+    }
+}
+
+/**
+ * Auth configuration from process or Vite env
+ * Only BUNGIE_CLIENT_SECRET is read for the secret: VITE_ variables can end up in the client bundle.
+ * @throws {Error} When the secret is only set as VITE_BUNGIE_CLIENT_SECRET, so the server doesn't start with it
+ */
+export function authConfigFromEnv(env) {
+    if (!env.BUNGIE_CLIENT_SECRET && env.VITE_BUNGIE_CLIENT_SECRET) {
+        throw new Error('[Auth] VITE_BUNGIE_CLIENT_SECRET is not read, VITE_ variables can be bundled into the client. ' +
+            'Rename it to BUNGIE_CLIENT_SECRET and rotate the secret if it was ever built into the app');
+    }
+    return {
+        clientId: env.BUNGIE_CLIENT_ID || env.VITE_BUNGIE_CLIENT_ID,
+        clientSecret: env.BUNGIE_CLIENT_SECRET,
+        apiKey: env.BUNGIE_API_KEY || env.VITE_BUNGIE_API_KEY,
+        sessionSecret: env.SESSION_SECRET,
+        bungieOrigin: env.BUNGIE_ORIGIN,
+        secureCookies: env.COOKIE_SECURE !== 'false'
+    };
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const pair of header.split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) continue;
+        try {
+            cookies[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+        } catch (e) {
+            // Malformed escape in someone else's cookie, ours are base64url
+        }
+    }
+    return cookies;
+}
+
+class BodyTooLargeError extends Error {
+    constructor() {
+        super('Request body too large');
+        this.name = 'BodyTooLargeError';
+    }
+}
+
+// Request bodies here are an authorization code or small /Platform action payloads
+const MAX_BODY_BYTES = 16 * 1024;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.off('data', onData);
+                req.pause();
+                reject(new BodyTooLargeError());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the auth middleware
+ * @param {Object} config
+ * @param {string} config.clientId
+ * @param {string} config.clientSecret
+ * @param {string} config.apiKey
+ * @param {string} [config.sessionSecret] Cookie encryption secret, random per process when missing
+ * @param {string} [config.bungieOrigin='https://www.bungie.net']
+ * @param {string} [config.prefix='/auth']
+ * @param {boolean} [config.secureCookies=true] false only for plain http on localhost
+ * @returns {(req, res, next: Function) => Promise<void>}
+ */
+export function createBungieAuth(config) {
+    const {
+        clientId,
+        clientSecret,
+        apiKey,
+        bungieOrigin = 'https://www.bungie.net',
+        prefix = '/auth',
+        secureCookies = true
+    } = config;
+
+    const configured = !!(clientId && clientSecret && apiKey);
+    if (!configured) {
+        console.warn('[Auth] BUNGIE_CLIENT_ID, BUNGIE_CLIENT_SECRET and BUNGIE_API_KEY are needed for login');
+    }
+
+    let sessionSecret = config.sessionSecret;
+    if (!sessionSecret) {
+        console.warn('[Auth] SESSION_SECRET not set, sessions will not survive a restart');
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+    const key = crypto.createHash('sha256').update(sessionSecret).digest();
+
+    // Cookie value: base64url(iv | auth tag | AES-256-GCM ciphertext of the token JSON)
+    const seal = (session) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+    };
+
+    const unseal = (value) => {
+        try {
+            const raw = Buffer.from(value, 'base64url');
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+            decipher.setAuthTag(raw.subarray(12, 28));
+            return JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8'));
+        } catch (e) {
+            return null; // Tampered, or sealed with another secret
+        }
+    };
+
+    const sessionCookie = (session) => {
+        const attributes = [`${SESSION_COOKIE}=${seal(session)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+        if (session.refreshExpiresAt) {
+            attributes.push(`Max-Age=${Math.max(0, Math.floor((session.refreshExpiresAt - Date.now()) / 1000))}`);
+        }
+        if (secureCookies) attributes.push('Secure');
+        return attributes.join('; ');
+    };
+
+    const clearedCookie = `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secureCookies ? '; Secure' : ''}`;
+
+    const readSession = (req) => {
+        const value = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = value ? unseal(value) : null;
+        if (!session) return null;
+        if (session.refreshExpiresAt && Date.now() > session.refreshExpiresAt && Date.now() > session.expiresAt) {
+            return null;
+        }
+        return session;
+    };
+
+    const requestTokens = async (params) => {
+        const response = await fetch(`${bungieOrigin}/Platform/App/OAuth/token/`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-API-Key': apiKey
+            },
+            body: new URLSearchParams({
+                ...params,
+                client_id: clientId,
+                client_secret: clientSecret
+            })
+        });
+        if (!response.ok) {
+            const errorText = await response.text();
+            // 400 invalid_grant / 401: the code or refresh token is no longer valid, anything else may be transient
+            if (response.status === 400 || response.status === 401) {
+                console.error(`[Auth] ${params.grant_type} rejected:`, errorText);
+                throw new AuthExpiredError();
+            }
+            throw new Error(`Token request failed: ${response.status} ${errorText}`);
+        }
+        const tokenResponse = await response.json();
+        return {
+            accessToken: tokenResponse.access_token,
+            refreshToken: tokenResponse.refresh_token,
+            expiresAt: Date.now() + (tokenResponse.expires_in * 1000),
+            refreshExpiresAt: tokenResponse.refresh_expires_in ? Date.now() + (tokenResponse.refresh_expires_in * 1000) : null,
+            membershipId: tokenResponse.membership_id
+        };
+    };
+
+    // Refreshes by refresh token: in flight ones are shared by concurrent requests, finished ones briefly kept
+    const refreshes = new Map();
+
+    const refresh = (session) => {
+        if (!session.refreshToken) return Promise.reject(new AuthExpiredError('No refresh token'));
+        let pending = refreshes.get(session.refreshToken);
+        if (!pending) {
+            console.log('[Auth] Refreshing access token...');
+            pending = requestTokens({ grant_type: 'refresh_token', refresh_token: session.refreshToken });
+            refreshes.set(session.refreshToken, pending);
+            pending.then(
+                () => setTimeout(() => refreshes.delete(session.refreshToken), REFRESH_REUSE_MS).unref?.(),
+                () => refreshes.delete(session.refreshToken)
+            );
+        }
+        return pending;
+    };
+
+    const forward = async (req, endpoint, body, session) => {
+        const headers = {
+            'X-API-Key': apiKey,
+            'Authorization': `Bearer ${session.accessToken}`
+        };
+        if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+        return fetch(`${bungieOrigin}${endpoint}`, {
+            method: req.method,
+            headers,
+            body: body && body.length > 0 ? body : undefined
+        });
+    };
+
+    // Authenticated /Platform call: proactive refresh, one retry after a refresh when Bungie answers 401
+    const proxyPlatform = async (req, res, endpoint) => {
+        let session = readSession(req);
+        if (!session) {
+            return sendJSON(res, 401, { error: 'not_authenticated' });
+        }
+
+        const body = req.method === 'GET' || req.method === 'HEAD' ? null : await readBody(req);
+        let refreshed = false;
+        try {
+            if (Date.now() > session.expiresAt - REFRESH_MARGIN_MS) {
+                session = await refresh(session);
+                refreshed = true;
+            }
+            let response = await forward(req, endpoint, body, session);
+            if (response.status === 401 && !refreshed) {
+                console.log('[Auth] Access token rejected, refreshing');
+                session = await refresh(session);
+                refreshed = true;
+                response = await forward(req, endpoint, body, session);
+            }
+            if (response.status === 401) {
+                throw new AuthExpiredError();
+            }
+
+            const headers = {
+                'Content-Type': response.headers.get('content-type') || 'application/json',
+                'Cache-Control': 'no-store'
+            };
+            if (refreshed) headers['Set-Cookie'] = sessionCookie(session);
+            res.writeHead(response.status, headers);
+            res.end(Buffer.from(await response.arrayBuffer()));
+        } catch (err) {
+            if (err instanceof AuthExpiredError) {
+                return sendJSON(res, 401, { error: 'auth_expired' }, { 'Set-Cookie': clearedCookie });
+            }
+            throw err;
+        }
+    };
+
+    const exchangeCode = async (req, res) => {
+        let code;
+        const body = await readBody(req);
+        try {
+            code = JSON.parse(body.toString('utf8')).code;
+        } catch (e) {
+            code = null;
+        }
+        if (!code) {
+            return sendJSON(res, 400, { error: 'missing_code' });
+        }
+
+        try {
+            const session = await requestTokens({ grant_type: 'authorization_code', code });
+            console.log('[Auth] Token exchange successful');
+            sendJSON(res, 200, {
+                membershipId: session.membershipId,
+                expiresAt: session.refreshExpiresAt
+            }, { 'Set-Cookie': sessionCookie(session) });
+        } catch (err) {
+            if (err instanceof AuthExpiredError) {
+                return sendJSON(res, 400, { error: 'invalid_code' });
+            }
+            throw err;
+        }
+    };
+
+    return async function bungieAuth(req, res, next) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== prefix && !url.pathname.startsWith(`${prefix}/`)) {
+            return next();
+        }
+        const route = url.pathname.slice(prefix.length);
+
+        try {
+            if (!configured) {
+                return sendJSON(res, 503, { error: 'auth_not_configured' });
+            }
+            if (route === '/token' && req.method === 'POST') {
+                return await exchangeCode(req, res);
+            }
+            if (route === '/session' && req.method === 'GET') {
+                const session = readSession(req);
+                if (!session) {
+                    return sendJSON(res, 401, { authenticated: false });
+                }
+                return sendJSON(res, 200, {
+                    authenticated: true,
+                    membershipId: session.membershipId,
+                    expiresAt: session.refreshExpiresAt
+                });
+            }
+            if (route === '/logout' && req.method === 'POST') {
+                res.writeHead(204, { 'Set-Cookie': clearedCookie });
+                return res.end();
+            }
+            if (route.startsWith('/Platform/')) {
+                return await proxyPlatform(req, res, route + url.search);
+            }
+            sendJSON(res, 404, { error: 'not_found' });
+        } catch (err) {
+            if (err instanceof BodyTooLargeError) {
+                // The rest of the body is never read, so the connection can't be reused
+                sendJSON(res, 413, { error: 'body_too_large' }, { 'Connection': 'close' });
+                res.on('finish', () => req.destroy());
+                return;
+            }
+            console.error('[Auth] Request failed:', err);
+            if (!res.headersSent) sendJSON(res, 502, { error: 'upstream_error' });
+            else res.end();
+        }
+    };
+}
+
+/**
+ * Vite plugin mounting the auth middleware on the dev and preview servers
+ * @param {Object} env Variables from Vite's loadEnv(mode, cwd, '')
+ */
+export function bungieAuthPlugin(env) {
+    let middleware = null;
+    const mount = (server) => {
+        middleware = middleware || createBungieAuth(authConfigFromEnv(env));
+        server.middlewares.use(middleware);
+    };
+    return {
+        name: 'bungie-auth',
+        configureServer: mount,
+        configurePreviewServer: mount
+    };
+}
@@ -0,0 +1,216 @@
+/**
+ * bungieProxy.js - /bungie/* reverse proxy to bungie.net
+ *
+ * Bungie rejects browser requests from foreign origins, so the app reaches it through this proxy, which strips
+ * Origin, Referer and our own cookies, injects the API key on API and content paths and caches the static content paths (geometry, textures,
+ * gear and manifest files are immutable per version). Runs inside Vite (dev and preview) and in server/index.js.
+ * The upstream is configurable, so the whole app can run against a local mock of bungie.net.
+ */
+
+import { Readable } from 'node:stream';
+
+// Cacheable paths and how long they stay fresh, only GET requests answered with 200 are stored
+const CACHE_RULES = [
+    { pattern: /^\/common\/destiny2?_content\//, ttl: 24 * 60 * 60 * 1000 }, // Geometry, textures, gear, sqlite manifests
+    { pattern: /^\/img\//, ttl: 24 * 60 * 60 * 1000 }, // Icons and emblems
+    { pattern: /^\/Platform\/Destiny2\/Manifest\/$/, ttl: 5 * 60 * 1000 } // Points at the current content version
+];
+
+// Paths the server's API key is sent with: the API (D2 and the D1 one the loader uses) and the content paths above.
+// Anything else is forwarded with the client's own headers only, so the proxy can't relay the key elsewhere
+const KEYED_PATHS = [/^\/(d1\/)?Platform\//, ...CACHE_RULES.map(rule => rule.pattern)];
+
+// Request headers that must not reach Bungie: browser origin, our session cookie, hop-by-hop headers.
+// HTTP/2 pseudo-headers (:method, :path... from Vite's https server) are dropped too
+const DROPPED_REQUEST_HEADERS = [
+    'host', 'origin', 'referer', 'cookie', 'connection', 'keep-alive', 'transfer-encoding', 'te', 'upgrade',
+    'accept-encoding', 'content-length'
+];
+
+// fetch() already decoded the body, so length and encoding headers from upstream no longer apply
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'cache-control', 'etag', 'last-modified'];
+
+/**
+ * Proxy configuration from process or Vite env
+ */
+export function proxyConfigFromEnv(env) {
+    return {
+        apiKey: env.BUNGIE_API_KEY || env.VITE_BUNGIE_API_KEY,
+        upstream: env.BUNGIE_ORIGIN,
+        cacheSize: env.PROXY_CACHE_MB ? parseFloat(env.PROXY_CACHE_MB) * 1048576 : undefined
+    };
+}
+
+/**
+ * In-memory LRU of upstream responses, bounded by total bytes
+ */
+class ResponseCache {
+    constructor(maxBytes, maxEntryBytes) {
+        this.maxBytes = maxBytes;
+        this.maxEntryBytes = maxEntryBytes;
+        this.bytes = 0;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        if (Date.now() > entry.expiresAt) {
+            this.bytes -= entry.body.length;
+            return null;
+        }
+        this.entries.set(key, entry); // Most recently used last
+        return entry;
+    }
+
+    set(key, entry) {
+        if (entry.body.length > this.maxEntryBytes || entry.body.length > this.maxBytes) return;
+        const previous = this.entries.get(key);
+        if (previous) {
+            this.entries.delete(key);
+            this.bytes -= previous.body.length;
+        }
+        this.entries.set(key, entry);
+        this.bytes += entry.body.length;
+        for (const [oldKey, oldEntry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldKey);
+            this.bytes -= oldEntry.body.length;
+        }
+    }
+}
+
+/**
+ * Create the proxy middleware
+ * @param {Object} [config]
+ * @param {string} [config.apiKey] Sent as X-API-Key on API and content paths (KEYED_PATHS), replacing the client's
+ * @param {string} [config.upstream='https://www.bungie.net']
+ * @param {string} [config.prefix='/bungie']
+ * @param {number} [config.cacheSize=128 MB] Total bytes of cached responses, 0 disables the cache
+ * @param {number} [config.maxEntrySize=32 MB] Larger responses are streamed through uncached
+ * @returns {(req, res, next: Function) => Promise<void>}
+ */
+export function createBungieProxy(config = {}) {
+    const {
+        apiKey,
+        upstream = 'https://www.bungie.net',
+        prefix = '/bungie',
+        cacheSize = 128 * 1048576,
+        maxEntrySize = 32 * 1048576
+    } = config;
+
+    const cache = new ResponseCache(cacheSize, maxEntrySize);
+    console.log(`[Proxy] ${prefix}/* -> ${upstream}${apiKey ? '' : ' (no API key, clients must send their own)'}`);
+
+    const send = (res, status, headers, body) => {
+        res.writeHead(status, headers);
+        res.end(body);
+    };
+
+    return async function bungieProxy(req, res, next) {
+        if (req.url !== prefix && !req.url.startsWith(`${prefix}/`)) {
+            return next();
+        }
+        // Resolve '..', '%2e%2e' and backslash segments before matching, so the path checked against
+        // CACHE_RULES and KEYED_PATHS is the one Bungie serves. Only the normalized path is forwarded
+        let target;
+        try {
+            target = new URL(req.url.slice(prefix.length) || '/', 'http://proxy.invalid');
+        } catch {
+            target = null;
+        }
+        if (!target || target.origin !== 'http://proxy.invalid') {
+            return send(res, 400, { 'Content-Type': 'application/json' }, JSON.stringify({ error: 'invalid_path' }));
+        }
+        const pathname = target.pathname;
+        const path = pathname + target.search;
+
+        const rule = req.method === 'GET' || req.method === 'HEAD' ? CACHE_RULES.find(r => r.pattern.test(pathname)) : null;
+        const cacheKey = path;
+        if (rule) {
+            const cached = cache.get(cacheKey);
+            if (cached) {
+                res.setHeader('X-Cache', 'HIT'); // Set apart from writeHead so request logging can read it
+                return send(res, 200, cached.headers, req.method === 'HEAD' ? undefined : cached.body);
+            }
+        }
+
+        const headers = {};
+        for (const [name, value] of Object.entries(req.headers)) {
+            if (!name.startsWith(':') && !DROPPED_REQUEST_HEADERS.includes(name)) headers[name] = value;
+        }
+        if (apiKey && KEYED_PATHS.some(pattern => pattern.test(pathname))) headers['x-api-key'] = apiKey;
+
+        // Stop the upstream request when the browser goes away (navigations cancel big manifest downloads)
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        let response;
+        try {
+            response = await fetch(upstream + path, {
+                method: req.method,
+                headers,
+                body: req.method === 'GET' || req.method === 'HEAD' ? undefined : Readable.toWeb(req),
+                duplex: 'half',
+                redirect: 'manual',
+                signal: controller.signal
+            });
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            console.error(`[Proxy] ${req.method} ${path} failed:`, err.message);
+            return send(res, 502, { 'Content-Type': 'application/json' }, JSON.stringify({ error: 'upstream_unreachable' }));
+        }
+
+        const responseHeaders = {};
+        for (const name of FORWARDED_RESPONSE_HEADERS) {
+            const value = response.headers.get(name);
+            if (value) responseHeaders[name] = value;
+        }
+        // Redirects stay behind the proxy, Bungie's CDN hosts don't answer the browser either
+        const location = response.headers.get('location');
+        if (location) responseHeaders.location = location.replace(upstream, prefix);
+
+        const length = parseInt(response.headers.get('content-length'), 10);
+        const cacheable = rule && req.method === 'GET' && response.status === 200 && !(length > maxEntrySize);
+        if (cacheable) {
+            let body;
+            try {
+                body = Buffer.from(await response.arrayBuffer());
+            } catch (err) {
+                if (controller.signal.aborted) return;
+                console.error(`[Proxy] ${req.method} ${path} failed:`, err.message);
+                return send(res, 502, { 'Content-Type': 'application/json' }, JSON.stringify({ error: 'upstream_error' }));
+            }
+            responseHeaders['cache-control'] = `public, max-age=${Math.floor(rule.ttl / 1000)}`;
+            cache.set(cacheKey, { headers: responseHeaders, body, expiresAt: Date.now() + rule.ttl });
+            res.setHeader('X-Cache', 'MISS');
+            return send(res, 200, responseHeaders, body);
+        }
+
+        res.writeHead(response.status, responseHeaders);
+        if (!response.body || req.method === 'HEAD') return res.end();
+        Readable.fromWeb(response.body)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    };
+}
+
+/**
+ * Vite plugin mounting the proxy on the dev and preview servers
+ * @param {Object} env Variables from Vite's loadEnv(mode, cwd, '')
+ */
+export function bungieProxyPlugin(env) {
+    let middleware = null;
+    const mount = (server) => {
+        middleware = middleware || createBungieProxy(proxyConfigFromEnv(env));
+        server.middlewares.use(middleware);
+    };
+    return {
+        name: 'bungie-proxy',
+        configureServer: mount,
+        configurePreviewServer: mount
+    };
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Standalone server for the built viewer (`npm run build && npm start`)
+ *
+ * Serves dist/, the /bungie proxy (bungieProxy.js) and the OAuth backend (bungieAuth.js), so the client secret
+ * never reaches the browser. Configuration comes from the environment or a .env file next to package.json:
+ *   PORT (8080), BUNGIE_CLIENT_ID, BUNGIE_CLIENT_SECRET, BUNGIE_API_KEY, SESSION_SECRET,
+ *   COOKIE_SECURE=false when serving plain http without a TLS proxy in front,
+ *   BUNGIE_ORIGIN (https://www.bungie.net) to run against a mock, PROXY_CACHE_MB (128), LOG_REQUESTS=false
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createBungieAuth, authConfigFromEnv } from './bungieAuth.js';
+import { createBungieProxy, proxyConfigFromEnv } from './bungieProxy.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.wasm': 'application/wasm',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.glsl': 'text/plain; charset=utf-8'
+};
+
+try {
+    process.loadEnvFile(path.join(ROOT, '.env'));
+} catch (e) {
+    // No .env file, the environment alone configures the server
+}
+
+/**
+ * Static files from dist/, `/callback` resolves to callback.html like the registered redirect URI expects
+ * Files are sent with a single end(): dist/ holds nothing over a few MB, and a piped stream would end the
+ * response only after clients that got all of Content-Length may already have closed the connection
+ */
+async function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const candidates = pathname.endsWith('/') ? [pathname + 'index.html'] : [pathname, pathname + '.html'];
+
+    for (const candidate of candidates) {
+        const file = path.join(DIST, path.normalize(candidate));
+        if (!file.startsWith(DIST + path.sep)) break; // Outside dist/
+        let body;
+        try {
+            body = await fs.promises.readFile(file);
+        } catch (e) {
+            continue; // Missing, or a directory
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': body.length,
+            // Vite fingerprints everything under assets/
+            'Cache-Control': candidate.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+        return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+}
+
+if (!fs.existsSync(path.join(DIST, 'index.html'))) {
+    console.error('[Server] dist/index.html not found, run `npm run build` first');
+    process.exit(1);
+}
+
+const auth = createBungieAuth(authConfigFromEnv(process.env));
+const proxy = createBungieProxy(proxyConfigFromEnv(process.env));
+const logRequests = process.env.LOG_REQUESTS !== 'false';
+const port = parseInt(process.env.PORT, 10) || 8080;
+
+// One line per request once the response is done: method, path, status, time, proxy cache result
+function logRequest(req, res) {
+    const start = process.hrtime.bigint();
+    let finished = false;
+    const log = (status) => {
+        const ms = Number(process.hrtime.bigint() - start) / 1e6;
+        const cache = res.getHeader('X-Cache');
+        console.log(`[Server] ${req.method} ${req.url} ${status} ${ms.toFixed(0)}ms${cache ? ' ' + cache : ''}`);
+    };
+    res.on('finish', () => {
+        finished = true;
+        log(res.statusCode);
+    });
+    // Closed before the response was fully handed off: the client went away
+    res.on('close', () => {
+        if (!finished) log('aborted');
+    });
+}
+
+http.createServer((req, res) => {
+    if (logRequests) logRequest(req, res);
+    // A failing middleware answers 500, an unhandled rejection would take the whole server down
+    Promise.resolve(proxy(req, res, () => auth(req, res, () => serveStatic(req, res)))).catch(err => {
+        console.error(`[Server] ${req.method} ${req.url} failed:`, err);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Internal server error');
+        } else {
+            res.destroy();
+        }
+    });
+}).listen(port, () => {
+    console.log(`[Server] Listening on http://localhost:${port}`);
+});
@@ -1,4 +1,6 @@
 import * as _THREE from 'three';
+import { TGXDecodePool } from './TGXDecodePool.js';
+import { readStream, readIndices, halfToFloat, parseRenderMeshes } from './TGXParser.js';
 const THREE = { ..._THREE }; // Mutable copy to allow adding extensions like TGXLoader
 window.THREE = THREE; // Expose globally for debugging and internal use
 // Sources
@@ -13,6 +15,8 @@ window.THREE = THREE; // Expose globally for debugging and internal use
 // @codekit-append "three.tgxmanifest.js";
 
 THREE.TGXLoaderUtils = (function () {
+	var views = new WeakMap();
+
 	var scope = {
 		// https://www.khronos.org/opengl/wiki/Normalized_Integer
 		unormalize: function (value, bits) {
@@ -25,42 +29,62 @@ THREE.TGXLoaderUtils = (function () {
 			return Math.max(value / max, -1);
 		},
 
+		// Readers take a Uint8Array (or any byte array) and a byte offset, values are little endian.
+		// The signed ones go through decodeSigned and keep its historical results, see there.
 		byte: function (data, offset) {
-			return scope.decodeSigned(data, offset, 1);
+			return scope.decodeSigned(data[offset], 1);
 		},
 
 		ubyte: function (data, offset) {
-			return scope.decodeUnsigned(data, offset, 1);
+			return data[offset];
 		},
 
 		short: function (data, offset) {
-			return scope.decodeSigned(data, offset, 2);
+			return scope.decodeSigned(scope.ushort(data, offset), 2);
 		},
 
 		ushort: function (data, offset) {
-			return scope.decodeUnsigned(data, offset, 2);
+			return scope.view(data).getUint16(offset, true);
 		},
 
 		int: function (data, offset) {
-			return scope.decodeSigned(data, offset, 4);
+			return scope.decodeSigned(scope.uint(data, offset), 4);
 		},
 
 		uint: function (data, offset) {
-			return scope.decodeUnsigned(data, offset, 4);
+			return scope.view(data).getUint32(offset, true);
 		},
 
 		float: function (data, offset) {
-			return scope.decodeFloat(scope.bytes(data, offset, 4), 1, 8, 23, -126, 127);
+			return scope.view(data).getFloat32(offset, true);
+		},
+
+		half: function (data, offset) {
+			return halfToFloat(scope.view(data).getUint16(offset, true));
 		},
 
 		bytes: function (data, offset, length) {
-			var bytes = [];
-			for (var i = 0; i < length; i++) {
-				bytes.push(scope.ubyte(data, offset + i));
+			return Array.prototype.slice.call(data, offset, offset + length);
+		},
+
+		// DataView over the same memory, made once per byte array
+		view: function (data) {
+			var view = views.get(data);
+			if (!view) {
+				var bytes = ArrayBuffer.isView(data) ? data : Uint8Array.from(data);
+				view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+				views.set(data, view);
 			}
-			return bytes;
+			return view;
 		},
 
+		// Whole strided vertex streams into a Float32Array, see readStream in TGXParser.js
+		// e.g. utils.readStream(data, 'short', {offset: 0, stride: 16, components: 4, normalized: true})
+		readStream: readStream,
+
+		// Index buffer as a Uint16Array (valueSize 2) or Uint32Array (valueSize 4)
+		readIndices: readIndices,
+
 		string: function (data, offset, length) {
 			var str = '';
 			if (offset == undefined) offset = 0;
@@ -120,28 +144,39 @@ THREE.TGXLoaderUtils = (function () {
 		},
 
 		decodeUnsigned: function (data, offset, length) {
+			switch (length) {
+				case 1: return data[offset];
+				case 2: return scope.ushort(data, offset);
+				case 4: return scope.uint(data, offset);
+			}
 			var int = 0;
-			for (var i = 0; i < length; i++) {
-				int |= data[offset + i] << (i * 8);
+			for (var i = length - 1; i >= 0; i--) {
+				int = int * 256 + data[offset + i];
 			}
 			return int;
 		},
 
+		// Signed value, data can also be an already decoded unsigned value with offset as its byte length.
+		// Not quite two's complement: it has always subtracted 2^bits - 1, so negative values come out one higher
+		// (0xFF reads 0, 0x80 reads -127). Kept as is for existing callers, the geometry streams are decoded exactly
+		// by TGXParser's readStream instead. The 4 byte case used to overflow to 0 for every negative value, it now follows the others.
 		decodeSigned: function (data, offset, length) {
 			if (typeof data != 'number') data = scope.decodeUnsigned(data, offset, length);
 			else length = offset;
-			var bits = length * 8;
-			var max = (1 << bits) - 1;
-			if (data & (1 << (bits - 1))) {
-				data = (data & max) - max;
-			}
-			return data;
+			var range = Math.pow(2, length * 8);
+			return data >= range / 2 ? data - range + 1 : data;
 		},
 
 		decodeFloat: function (bytes, signBits, exponentBits, fractionBits, eMin, eMax, littleEndian) {
 			if (littleEndian == undefined) littleEndian = true;
 			var totalBits = (signBits + exponentBits + fractionBits);
 
+			// IEEE single and half precision, anything else goes through the bit string below
+			if (signBits == 1 && bytes.length * 8 == totalBits && ((exponentBits == 8 && fractionBits == 23 && eMax == 127) || (exponentBits == 5 && fractionBits == 10 && eMax == 15))) {
+				var floatView = new DataView(new Uint8Array(bytes).buffer);
+				return totalBits == 32 ? floatView.getFloat32(0, littleEndian) : halfToFloat(floatView.getUint16(0, littleEndian));
+			}
+
 			var binary = "";
 			for (var i = 0, l = bytes.length; i < l; i++) {
 				var bits = bytes[i].toString(2);
@@ -289,6 +324,170 @@ Object.assign(THREE.BungieNetLoader.prototype, {
 	}
 });
 
+// Persistent cache for content bins (geometry, textures, gear) in IndexedDB, keyed by content path.
+// THREE.Cache only lives as long as the page, this survives reloads. Past maxSize the least recently used
+// entries are evicted.
+THREE.TGXContentCache = (function () {
+	var DB_NAME = 'TGXContentCache';
+	var DATA_STORE = 'data';
+	var META_STORE = 'meta'; // {key, size, lastUsed}, kept apart so eviction doesn't read the bins
+	var dbOpen = null;
+
+	function open() {
+		if (!dbOpen) {
+			dbOpen = new Promise(function (resolve) {
+				if (typeof indexedDB === 'undefined') {
+					resolve(null);
+					return;
+				}
+				var request = indexedDB.open(DB_NAME, 1);
+				request.onupgradeneeded = function () {
+					var db = request.result;
+					db.createObjectStore(DATA_STORE);
+					db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+				};
+				request.onsuccess = function () {
+					resolve(request.result);
+				};
+				request.onerror = function () {
+					console.warn('[TGXContentCache] Unavailable:', request.error);
+					resolve(null);
+				};
+			});
+		}
+		return dbOpen;
+	}
+
+	function evict(db) {
+		var transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+		var dataStore = transaction.objectStore(DATA_STORE);
+		var metaStore = transaction.objectStore(META_STORE);
+		var entries = [];
+		var request = metaStore.index('lastUsed').openCursor();
+		request.onsuccess = function () {
+			var cursor = request.result;
+			if (cursor) {
+				entries.push(cursor.value);
+				cursor.continue();
+				return;
+			}
+			var total = 0;
+			for (var i = 0; i < entries.length; i++) total += entries[i].size;
+			// Oldest first
+			for (i = 0; i < entries.length && total > scope.maxSize; i++) {
+				dataStore.delete(entries[i].key);
+				metaStore.delete(entries[i].key);
+				total -= entries[i].size;
+			}
+			if (i > 0) console.log('[TGXContentCache] Evicted ' + i + ' entries, ' + Math.round(total / 1048576) + 'MB left');
+		};
+	}
+
+	var scope = {
+		enabled: true,
+		maxSize: 256 * 1024 * 1024, // Bytes
+
+		// Calls back with the cached ArrayBuffer, or null on a miss. A failing cache counts as a miss, and the
+		// callback runs after the read's error handling so its own exceptions aren't taken for cache errors.
+		get: function (key, callback) {
+			if (!scope.enabled) {
+				callback(null);
+				return;
+			}
+			open().then(function (db) {
+				if (!db) return null;
+				return new Promise(function (resolve) {
+					var transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+					var request = transaction.objectStore(DATA_STORE).get(key);
+					request.onsuccess = function () {
+						var data = request.result;
+						if (data) {
+							transaction.objectStore(META_STORE).put({ key: key, size: data.byteLength, lastUsed: Date.now() });
+						}
+						resolve(data || null);
+					};
+					request.onerror = function () {
+						resolve(null);
+					};
+				});
+			}).catch(function (e) {
+				console.error('[TGXContentCache] Read error:', key, e);
+				return null;
+			}).then(callback);
+		},
+
+		put: function (key, data) {
+			if (!scope.enabled) return;
+			open().then(function (db) {
+				if (!db) return;
+				var transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+				transaction.objectStore(DATA_STORE).put(data, key);
+				transaction.objectStore(META_STORE).put({ key: key, size: data.byteLength, lastUsed: Date.now() });
+				transaction.oncomplete = function () {
+					evict(db);
+				};
+				transaction.onerror = function () { // Usually the storage quota
+					console.warn('[TGXContentCache] Write failed:', key, transaction.error);
+				};
+			});
+		},
+
+		clear: function (onDone) {
+			open().then(function (db) {
+				if (!db) {
+					if (onDone) onDone();
+					return;
+				}
+				var transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+				transaction.objectStore(DATA_STORE).clear();
+				transaction.objectStore(META_STORE).clear();
+				transaction.oncomplete = function () {
+					if (onDone) onDone();
+				};
+			});
+		}
+	};
+	return scope;
+})();
+
+// Error raised by TGXLoader, tagged with the loading stage that failed
+// so callers can tell a missing manifest apart from a broken geometry bin.
+THREE.TGXLoaderError = function (stage, message, details) {
+	this.name = 'TGXLoaderError';
+	this.stage = stage;
+	this.message = message;
+	this.details = details || {};
+	if (this.details.cause) this.cause = this.details.cause;
+	this.stack = (new Error(message)).stack;
+};
+THREE.TGXLoaderError.prototype = Object.create(Error.prototype);
+THREE.TGXLoaderError.prototype.constructor = THREE.TGXLoaderError;
+
+THREE.TGXLoaderError.MANIFEST = 'manifest';
+THREE.TGXLoaderError.GEAR_ASSET = 'gearAsset';
+THREE.TGXLoaderError.GEOMETRY = 'geometry';
+THREE.TGXLoaderError.TEXTURE = 'texture';
+THREE.TGXLoaderError.SKELETON = 'skeleton';
+THREE.TGXLoaderError.ANIMATION = 'animation'; // Only reported as a warning, the model loads without that clip
+THREE.TGXLoaderError.PARSE = 'parse';
+
+// Turns whatever a loader handed to onError (XHR event, Error, string) into a TGXLoaderError
+THREE.TGXLoaderError.wrap = function (stage, error, details) {
+	if (error instanceof THREE.TGXLoaderError) return error;
+	details = details || {};
+	var message = stage + ' failed';
+	if (error instanceof Error) {
+		message = error.message;
+		details.cause = error;
+	} else if (error && error.target && error.target.status !== undefined) { // XHR event
+		details.status = error.target.status;
+		message = 'HTTP ' + error.target.status + (details.url ? ' ' + details.url : '');
+	} else if (typeof error == 'string') {
+		message = error;
+	}
+	return new THREE.TGXLoaderError(stage, message, details);
+};
+
 THREE.TGXLoader = function (manager) {
 	this.manager = (manager !== undefined) ? manager : THREE.DefaultLoadingManager;
 };
@@ -300,6 +499,8 @@ THREE.TGXLoader.Basepath = 'https://www.bungie.net';
 THREE.TGXLoader.Platform = 'web';
 THREE.TGXLoader.ManifestPath = null;
 THREE.TGXLoader.DefaultAnimationPath = 'destiny_player_animation.js';
+THREE.TGXLoader.SkeletonPath = null; // Defaults to the skeleton in the game's content path
+THREE.TGXLoader.DecodePool = null; // TGXDecodePool shared by every load, created on first use
 THREE.TGXLoader.Game = 'destiny';
 THREE.TGXLoader.NoCache = false;
 
@@ -309,7 +510,32 @@ THREE.TGXLoader.EnvMapPath = null;
 THREE.TGXLoader.APIBasepath2 = 'https://www.bungie.net/Platform/Destiny2';
 THREE.TGXLoader.ManifestPath2 = null;
 
+// Hashes a profile peerView {channelHash, dyeHash} pair may be known by in gear files and dye definitions:
+// the dyeHash itself and, through DestinyArtDyeReferenceDefinition, its art dye and dye manifest hashes
+THREE.TGXLoader.getItemDyeHashes = function (itemDye, artDyeDefinitions) {
+	var dyeHashes = [itemDye.dyeHash];
+	var artDye = artDyeDefinitions ? artDyeDefinitions[itemDye.dyeHash] : null;
+	if (artDye) {
+		if (artDye.artDyeHash) dyeHashes.push(artDye.artDyeHash);
+		if (artDye.dyeManifestHash) dyeHashes.push(artDye.dyeManifestHash);
+	}
+	return dyeHashes;
+};
+
 Object.assign(THREE.TGXLoader.prototype, {
+	// Promise wrapper around load(). Resolves with the result object described in parse()
+	// and rejects with a THREE.TGXLoaderError whose stage tells which step failed.
+	loadAsync: function (options, onProgress) {
+		var scope = this;
+		return new Promise(function (resolve, reject) {
+			scope.load(options, function (geometry, materials, animations, result) {
+				resolve(result);
+			}, onProgress, function (error) {
+				reject(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.PARSE, error));
+			});
+		});
+	},
+
 	load: function (options, onLoad, onProgress, onError) {
 		var scope = this; // FIX: Strict mode compatibility
 		var defaultOptions = {
@@ -328,6 +554,8 @@ Object.assign(THREE.TGXLoader.prototype, {
 			loadSkeleton: false,
 			loadAnimation: false,
 			animationPath: THREE.TGXLoader.DefaultAnimationPath,
+			animationPaths: null, // Several clips (idle, emotes...), overrides animationPath
+			skeletonPath: THREE.TGXLoader.SkeletonPath,
 			game: THREE.TGXLoader.Game,
 			noCache: THREE.TGXLoader.NoCache,
 
@@ -385,11 +613,65 @@ Object.assign(THREE.TGXLoader.prototype, {
 					var item = items[i];
 					item.shaderHash = shaderHashes[i];
 				}
-				scope.parse(items, shaders, options, onLoad, onProgress, onError);
+
+				// peerView dyes resolve through DestinyArtDyeReferenceDefinition, which the manifest fetches separately
+				if (options.itemDyes && options.itemDyes.length > 0) {
+					getManifest().getArtDyeDefinitions(loadDyeDefinitions, onProgress, function (error) {
+						console.warn('ArtDyeDefinitionsNotLoaded', error);
+						loadDyeDefinitions(null);
+					});
+					return;
+				}
+				loadDyeDefinitions(null);
+			}
+		}
+
+		// The dyes peerView names, and those a shader without a gear asset of its own lists in its translation block,
+		// belong to gear this load never fetches, so their definitions come from the manifest
+		function loadDyeDefinitions(artDyeDefinitions) {
+			var itemDyes = [].concat.apply([], options.itemDyes || []); // One list, or one per requested item
+			var dyeHashes = [];
+			for (var i = 0; i < itemDyes.length; i++) {
+				dyeHashes = dyeHashes.concat(THREE.TGXLoader.getItemDyeHashes(itemDyes[i], artDyeDefinitions));
+			}
+			for (var shaderHash in shaders) {
+				var shader = shaders[shaderHash];
+				if (!shader || !shader.translationBlock || shader.gearAsset) continue;
+				var translationDyes = shader.translationBlock.customDyes.concat(shader.translationBlock.lockedDyes);
+				for (var d = 0; d < translationDyes.length; d++) {
+					dyeHashes.push(translationDyes[d].dyeHash);
+				}
 			}
+			if (dyeHashes.length == 0) {
+				parseAssets();
+				return;
+			}
+			getManifest().getDyeDefinitions(dyeHashes, function (dyeDefinitions) {
+				options.dyeDefinitions = dyeDefinitions;
+				parseAssets();
+			}, onProgress, function (error) {
+				console.warn('DyeDefinitionsNotLoaded', error);
+				parseAssets();
+			});
+		}
+
+		function parseAssets() {
+			scope.parse(items, shaders, options, onLoad, onProgress, onError);
 		}
 
-		function itemAsset(itemIndex, itemHash) {
+		function itemAsset(itemIndex, itemHash, ornamentHash) {
+			if (ornamentHash) {
+				// The ornament's gear asset replaces the base item's geometry and textures
+				gearAsset(ornamentHash, function (item) {
+					item.itemHash = itemHash;
+					item.ornamentHash = ornamentHash;
+					items[itemIndex] = item;
+				}, function (error) {
+					console.warn('OrnamentNotLoaded', ornamentHash, error);
+					itemAsset(itemIndex, itemHash, 0);
+				});
+				return;
+			}
 			gearAsset(itemHash, function (item) {
 				//console.log('LoadedItem['+itemIndex+']', item);
 				items[itemIndex] = item;
@@ -404,51 +686,72 @@ Object.assign(THREE.TGXLoader.prototype, {
 				return;
 			}
 
-			// Skip shader loading for D2 mobile - shaders aren't in manifest
-			// Models will render with white/neutral colors instead
-			if (options.platform == 'mobile' && game == 'destiny2') {
-				console.log('[TGXLoader] Skipping shader load for D2 mobile:', shaderHash);
-				loadedCount++;
-				shaders[shaderHash] = null;
-				assetsLoaded();
+			shaders[shaderHash] = null;
+
+			// D2 mobile gear databases don't list shader plugs, resolve them through the world content instead
+			if (options.platform == 'mobile' && game == 'destiny2' && !options.manifestPath) {
+				getManifest().getShader(shaderHash, function (shader) {
+					shaders[shaderHash] = shader;
+					loadedCount++;
+					assetsLoaded();
+				}, onProgress, function (error) {
+					// An unresolved shader only costs the dye colors, keep loading and report it from parse
+					shaders[shaderHash] = { requestedId: shaderHash, error: error };
+					loadedCount++;
+					assetsLoaded();
+				});
 				return;
 			}
 
-			shaders[shaderHash] = null;
 			gearAsset(shaderHash, function (shader) {
 				//console.log('LoadedShader['+itemIndex+']', shader);
 				shaders[shaderHash] = shader;
 			});
 		}
 
-		function gearAsset(/*itemIndex*/itemHash, callback) {
+		function getManifest() {
+			if (!THREE.TGXLoader.Manifest) {
+				THREE.TGXLoader.Manifest = new THREE.TGXManifest(scope.manager, options);
+			}
+			return THREE.TGXLoader.Manifest;
+		}
+
+		function gearAssetError(itemHash, url, onFail) {
+			return function (error) {
+				(onFail || onError)(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.GEAR_ASSET, error, { itemHash: itemHash, url: url }));
+			};
+		}
+
+		// onFail replaces onError for assets the load can do without
+		function gearAsset(/*itemIndex*/itemHash, callback, onFail) {
 			//var itemHash = options.itemHashes[itemIndex];
 			if (options.platform == 'mobile') {
 				if (options.manifestPath) { // Load manifest server-side
 					var url = options.manifestPath.replace('$itemHash', itemHash);
 					loader = new THREE.BungieNetLoader(scope.manager);
 					loader.load(url, options.apiKey, function (response) {
-						loadedCount++;
 						try { // Invalid JSON response
 							response = JSON.parse(response);
-							//items[itemIndex] = response;
-							callback(response);
 						} catch (e) {
 							console.error('Invalid JSON', url);
+							gearAssetError(itemHash, url, onFail)(e);
+							return;
 						}
+						loadedCount++;
+						//items[itemIndex] = response;
+						callback(response);
 						assetsLoaded();
-					}, onProgress, onError);
+					}, onProgress, gearAssetError(itemHash, url, onFail));
 				} else { // Load manifest locally
-					var manifest = THREE.TGXLoader.Manifest;
-					if (!THREE.TGXLoader.Manifest) {
-						THREE.TGXLoader.Manifest = manifest = new THREE.TGXManifest(scope.manager, options);
-					}
-					manifest.getAsset(itemHash, function (data) {
+					getManifest().getAsset(itemHash, function (data) {
 						//items.push(data);
 						loadedCount++;
 						callback(data);
 						assetsLoaded();
-					}, onProgress, onError);
+					}, onProgress, function (error) {
+						// Anything the manifest didn't already tag is a problem with the manifest itself
+						(onFail || onError)(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.MANIFEST, error, { itemHash: itemHash }));
+					});
 				}
 				return;
 			}
@@ -458,21 +761,24 @@ Object.assign(THREE.TGXLoader.prototype, {
 
 			loader = new THREE.BungieNetLoader(scope.manager);
 			loader.load(url, options.apiKey, function (response) {
-				loadedCount++;
 				try { // Invalid JSON response
 					response = JSON.parse(response);
 				} catch (e) {
 					console.error('Invalid JSON', url);
+					gearAssetError(itemHash, url, onFail)(e);
+					return;
 				}
 
-				if (response.ErrorCode == 1) {
-					//items[itemIndex] = response.Response.data;
-					callback(response.Response.data);
-				} else {
+				if (response.ErrorCode != 1) {
 					console.error('Bungie Error Response', response);
+					gearAssetError(itemHash, url, onFail)('Bungie error ' + response.ErrorCode + ': ' + response.Message);
+					return;
 				}
+				loadedCount++;
+				//items[itemIndex] = response.Response.data;
+				callback(response.Response.data);
 				assetsLoaded();
-			}, onProgress, onError);
+			}, onProgress, gearAssetError(itemHash, url, onFail));
 		}
 
 		loadedTotal = options.itemHashes.length * 2;
@@ -485,7 +791,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 			var ornamentHash = options.ornamentHashes && i < options.ornamentHashes.length ? options.ornamentHashes[i] : defaultOrnamentHash;
 			var shaderHash = options.shaderHashes && i < options.shaderHashes.length ? options.shaderHashes[i] : options.shaderHash;
 			//console.log('Item['+i+']', options.itemHashes[i], 'Shader', shaderHash);
-			itemAsset(i, ornamentHash ? ornamentHash : itemHash);
+			itemAsset(i, itemHash, ornamentHash);
 			shaderAsset(i, shaderHash);
 		}
 	},
@@ -498,7 +804,8 @@ Object.assign(THREE.TGXLoader.prototype, {
 		var basepath = options.basepath;
 		var contentpath = basepath + '/common/' + game + '_content';
 		var platform = options.platform;
-		var animationPath = options.animationPath;
+		var animationPaths = options.animationPaths || [options.animationPath];
+		var skeletonPath = options.skeletonPath || contentpath + '/animations/destiny_player_skeleton.js';
 		var isFemale = options.isFemale;
 		var classHash = options.classHash;
 		var loadSkeleton = options.loadSkeleton;
@@ -527,7 +834,10 @@ Object.assign(THREE.TGXLoader.prototype, {
 			skeleton: null,
 			animations: [],
 			itemDyes: options.itemDyes || [],  // Store itemDyes from API for color lookup
-			shaderDyes: options.shaderDyes || []  // Store shader's custom_dyes with material_properties for colors
+			dyeDefinitions: options.dyeDefinitions || {}, // Manifest dye definitions of itemDyes and shader translation blocks, by hash
+			shaderDyes: options.shaderDyes || [],  // Store shader's custom_dyes with material_properties for colors
+			itemMetadata: [],
+			warnings: []
 		};
 		console.log('[Parse] contentLoaded.itemDyes:', contentLoaded.itemDyes);
 		console.log('[Parse] contentLoaded.shaderDyes:', contentLoaded.shaderDyes);
@@ -535,20 +845,36 @@ Object.assign(THREE.TGXLoader.prototype, {
 		var assetLoadCount = 0;
 		var assetLoadTotal = 0;
 		var contentParsed = false;
+		var skeletonRequested = false;
 
 		// Rendering
 		var hasBones = false;
+		var boneCount = 0;
+		var invalidBoneIndices = 0;
 		var defaultMaterial, geometry, materials;
 		var vertexOffset = 0;
+		var buffers;
 
 		// Missing Textures
 		var DEFAULT_CUBEMAP = '2164797681_default_monocrome_cubemap'/*'env_0'*/;
 
+		// Recoverable problems are logged and also handed back to loadAsync callers
+		function warn(code, details) {
+			contentLoaded.warnings.push({ code: code, details: details });
+			console.warn(code, details);
+		}
+
+		function stageError(stage, url) {
+			return function (error) {
+				if (onErrorCallback) onErrorCallback(THREE.TGXLoaderError.wrap(stage, error, { url: url }));
+			};
+		}
+
 		// Spasm.TGXAssetLoader.prototype.onLoadAssetManifest
 		function loadAssetManifest(gear) {
 			console.log('GearAsset', gear);
 			if (!gear.gearAsset) {
-				console.warn('MissingGearAsset', gear);
+				warn('MissingGearAsset', gear);
 				return;
 			}
 
@@ -558,8 +884,6 @@ Object.assign(THREE.TGXLoader.prototype, {
 
 			// Tally up gear resources for loading
 			assetLoadTotal += Object.keys(gearAsset.gear).length;
-			if (loadSkeleton) assetLoadTotal++;
-			if (loadAnimation) assetLoadTotal++;
 
 			for (var i = 0; i < gearAsset.content.length; i++) {
 				var content = gearAsset.content[i];
@@ -581,27 +905,44 @@ Object.assign(THREE.TGXLoader.prototype, {
 						contentLoaded.gear[gear.reference_id] = gear;
 						assetLoadCount++;
 						checkContentLoaded();
-					}, onProgressCallback, onErrorCallback);
+					}, THREE.TGXLoaderError.GEAR_ASSET);
 				})(gearIndex);
 			}
 
-			// Load Bones / Animations
-			if (loadSkeleton && contentLoaded.skeleton == undefined) {
-				contentLoaded.skeleton = null;
-				loadPart(contentpath + '/animations/destiny_player_skeleton.js', function (skeleton) {
-					skeleton = JSON.parse(skeleton);
+			// Load Bones / Animations, shared by every item so only requested once
+			if (loadSkeleton && !skeletonRequested) {
+				skeletonRequested = true;
+				assetLoadTotal++;
+				if (loadAnimation) assetLoadTotal += animationPaths.length;
+
+				loadPart(skeletonPath, function (skeleton) {
+					skeleton = parseJSON(skeleton);
 					contentLoaded.skeleton = skeleton;
 					assetLoadCount++;
 					checkContentLoaded();
-				}, onProgressCallback, onErrorCallback);
+				}, THREE.TGXLoaderError.SKELETON);
 
 				if (loadAnimation) {
-					loadPart(contentpath + '/animations/' + animationPath, function (animations) {
-						animations = JSON.parse(animations);
-						contentLoaded.animations = animations;
-						assetLoadCount++;
-						checkContentLoaded();
-					}, onProgressCallback, onErrorCallback);
+					for (var a = 0; a < animationPaths.length; a++) {
+						(function (index, path) {
+							// Bare file names live next to the skeleton in the game's content path
+							var url = path.indexOf('/') == -1 ? contentpath + '/animations/' + path : path;
+							loadPart(url, function (animations) {
+								animations = parseJSON(animations);
+								contentLoaded.animations[index] = {
+									name: path.split('/').pop().split('.js')[0],
+									animations: Array.isArray(animations) ? animations : [animations]
+								};
+								assetLoadCount++;
+								checkContentLoaded();
+							}, THREE.TGXLoaderError.ANIMATION, function (error) {
+								// A missing or broken clip shouldn't cost the whole model
+								warn('AnimationLoadError', THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.ANIMATION, error, { url: url }));
+								assetLoadCount++;
+								checkContentLoaded();
+							});
+						})(a, animationPaths[a]);
+					}
 				}
 			}
 		}
@@ -762,72 +1103,112 @@ Object.assign(THREE.TGXLoader.prototype, {
 			if (contentParsed) return;
 			contentParsed = true;
 
-			parseContent(contentLoaded);
+			try {
+				parseContent(contentLoaded);
+			} catch (e) {
+				console.error('ParseContentError', e);
+				stageError(THREE.TGXLoaderError.PARSE)(e);
+			}
+		}
+
+		// Skeleton and animation files are JSON, sometimes saved with a byte order mark
+		function parseJSON(data) {
+			if (typeof data !== 'string') data = utils.string(data);
+			return JSON.parse(data.replace(/^[^{[]+/, ''));
 		}
 
-		function loadPart(url, onLoad) {
-			var loader = new THREE.BungieNetLoader(scope.manager);
-			loader.load(url + (noCache ? '?' + new Date().getTime() : ''), null, function (response) {
+		// onError defaults to failing the whole load with the given stage
+		function loadPart(url, onLoad, stage, onError) {
+			if (!onError) onError = stageError(stage, url);
+
+			function onResponse(response) {
 				if (response instanceof ArrayBuffer) response = new Uint8Array(response);
-				if (onLoad) onLoad(response);
-			}, onProgressCallback, onErrorCallback);
+				if (!onLoad) return;
+				try {
+					onLoad(response);
+				} catch (e) { // Malformed JSON or TGX data
+					onError(e);
+				}
+			}
+
+			function download() {
+				var loader = new THREE.BungieNetLoader(scope.manager);
+				loader.load(url + (noCache ? '?' + new Date().getTime() : ''), null, function (response) {
+					if (cacheKey && response instanceof ArrayBuffer) THREE.TGXContentCache.put(cacheKey, response);
+					onResponse(response);
+				}, onProgressCallback, onError);
+			}
+
+			// Content bins are immutable per path, so they can be kept across sessions
+			var cacheKey = !noCache && url.indexOf(contentpath) == 0 ? url.slice(basepath.length) : null;
+			if (!cacheKey) {
+				download();
+				return;
+			}
+
+			scope.manager.itemStart(url);
+			THREE.TGXContentCache.get(cacheKey, function (data) {
+				try {
+					if (data) {
+						onResponse(data);
+					} else {
+						download();
+					}
+				} catch (e) {
+					onError(e);
+				}
+				scope.manager.itemEnd(url);
+			});
 		}
 
 		function loadGeometry(geometry, onLoad) {
 			var url = contentpath + '/geometry/platform/' + platform + '/geometry/' + geometry;
-			loadTGXBin(url, onLoad, onProgressCallback, onErrorCallback);
+			loadTGXBin(url, onLoad, THREE.TGXLoaderError.GEOMETRY);
 		}
 
 		// Spasm.TGXBinLoader
-		function loadTGXBin(url, onLoad) {
+		// Containers are split (and geometry vertex streams decoded) by THREE.TGXLoader.DecodePool, off the main thread
+		function loadTGXBin(url, onLoad, stage) {
+			var isGeometry = stage == THREE.TGXLoaderError.GEOMETRY;
 			loadPart(url, function (data) {
-				//console.log(data);
-				var magic = utils.string(data, 0x0, 0x4); // TGXM
-				var version = utils.uint(data, 0x4);
-				var fileOffset = utils.uint(data, 0x8);
-				var fileCount = utils.uint(data, 0xC);
-				var fileIdentifier = utils.string(data, 0x10, 0x100);
-				//console.log(magic, version, fileOffset.toString(16), fileCount, fileIdentifier);
-				if (magic != 'TGXM') {
-					console.error('Invalid TGX File', url);
-					return;
-				}
-				var files = [];
-				var fileLookup = [];
-				var renderMetadata = false;
-				for (var f = 0; f < fileCount; f++) {
-					var headerOffset = fileOffset + 0x110 * f;
-					var name = utils.string(data, headerOffset, 0x100);
-					var offset = utils.uint(data, headerOffset + 0x100);
-					var type = utils.uint(data, headerOffset + 0x104);
-					var size = utils.uint(data, headerOffset + 0x108);
-					var fileData = data.slice(offset, offset + size);
-					//console.log('file['+f+']', headerOffset.toString(16), name, offset.toString(16), size);
-					if (name.indexOf('.js') != -1) { // render_metadata.js
-						fileData = JSON.parse(utils.string(fileData));
-						renderMetadata = fileData;
+				if (!THREE.TGXLoader.DecodePool) THREE.TGXLoader.DecodePool = new TGXDecodePool();
+				THREE.TGXLoader.DecodePool.decode(data, { geometry: isGeometry }).then(function (decoded) {
+					var tgxBin = {
+						url: url,
+						fileIdentifier: decoded.fileIdentifier,
+						files: decoded.files,
+						lookup: decoded.lookup,
+						metadata: decoded.metadata,
+						renderMeshes: decoded.renderMeshes
+					};
+					if (decoded.renderMeshes) {
+						for (var r = 0; r < decoded.renderMeshes.length; r++) {
+							var decodeWarnings = decoded.renderMeshes[r].warnings;
+							for (var w = 0; w < decodeWarnings.length; w++) {
+								warn(decodeWarnings[w].code, decoded.fileIdentifier + ':' + r + ' ' + decodeWarnings[w].details);
+							}
+						}
 					}
-					files.push({
-						name: name,
-						offset: offset,
-						type: type,
-						size: size,
-						data: fileData
-					});
-					fileLookup.push(name);
+					//console.log('LoadTGXBin', url);
+					//console.log(tgxBin);
+					contentLoaded.tgxms[url.indexOf('.bin') != -1 ? 'textures' : 'geometry'][url.slice(url.lastIndexOf('/') + 1).split('.')[0]] = tgxBin;
+					dispatch(tgxBin);
+				}, function (e) { // Bad magic or truncated data
+					console.error('Invalid TGX File', url);
+					stageError(stage, url)(e);
+				});
+			}, stage);
+
+			// The bin decoded fine, so a throw from here on is a bug in what consumes it, not a broken file
+			function dispatch(tgxBin) {
+				if (!onLoad) return;
+				try {
+					onLoad(tgxBin);
+				} catch (e) {
+					console.error('TGXBinLoadError', url, e);
+					stageError(THREE.TGXLoaderError.PARSE, url)(e);
 				}
-				var tgxBin = {
-					url: url,
-					fileIdentifier: fileIdentifier,
-					files: files,
-					lookup: fileLookup,
-					metadata: renderMetadata
-				};
-				//console.log('LoadTGXBin', url);
-				//console.log(tgxBin);
-				contentLoaded.tgxms[url.indexOf('.bin') != -1 ? 'textures' : 'geometry'][url.slice(url.lastIndexOf('/') + 1).split('.')[0]] = tgxBin;
-				if (onLoad) onLoad(tgxBin);
-			}, onProgressCallback, onErrorCallback);
+			}
 		}
 
 		function loadDataTexture(textureUri, referenceId, onLoad, isPlated) {
@@ -844,9 +1225,9 @@ Object.assign(THREE.TGXLoader.prototype, {
 			var loader = new THREE.TextureLoader(scope.manager);
 			var textureData = loader.load(textureUri, function (texture) {
 				if (onLoad) onLoad(texture);
-			}, onProgressCallback, onErrorCallback);
+			}, onProgressCallback, stageError(THREE.TGXLoaderError.TEXTURE, referenceId));
 			textureData.flipY = false;
-			textureData.minFilter = THREE.LinearMipMapLinearFilter;
+			textureData.minFilter = THREE.LinearMipmapLinearFilter;
 			//textureData.magFilter = THREE.NearestFilter;
 			textureData.wrapS = THREE.RepeatWrapping;
 			textureData.wrapT = THREE.RepeatWrapping;
@@ -886,7 +1267,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 								if (count == total && onLoad) onLoad(contentLoaded.mobileTextures[referenceId]);
 								return;
 							}
-							var textureData = loadMobileTexture(textureFile, function () {
+							var textureData = loadMobileTexture(textureFile, url, function () {
 								count++;
 								//console.log('MobileTexture['+referenceId+']', textureFile.name, textureData.image.src);
 								if (count == total && onLoad) onLoad(contentLoaded.mobileTextures[referenceId]);
@@ -905,7 +1286,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 							};
 						})(i);
 					}
-				});
+				}, THREE.TGXLoaderError.TEXTURE);
 			} else {
 				var contentId = isPlated ? 'platedTextures' : 'textures';
 				if (contentLoaded[contentId][referenceId] !== undefined) {
@@ -918,7 +1299,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 				var textureData = loader.load(url, function (texture) {
 					//console.log('Texture['+referenceId+']', textureData.image.src);
 					if (onLoad) onLoad(texture);
-				}, onProgressCallback, onErrorCallback);
+				}, onProgressCallback, stageError(THREE.TGXLoaderError.TEXTURE, url));
 				textureData.name = referenceId;
 				textureData.flipY = false;
 				textureData.minFilter = THREE.LinearFilter;
@@ -934,7 +1315,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 			}
 		}
 
-		function loadMobileTexture(textureFile, onLoad) {
+		function loadMobileTexture(textureFile, url, onLoad) {
 			var isPng = utils.string(textureFile.data, 1, 3) == 'PNG';
 			var mimeType = 'image/' + (isPng ? 'png' : 'jpeg');
 
@@ -949,6 +1330,9 @@ Object.assign(THREE.TGXLoader.prototype, {
 				texture.needsUpdate = true;
 				if (onLoad) onLoad(texture);
 			};
+			image.onerror = function (event) {
+				stageError(THREE.TGXLoaderError.TEXTURE, url + '#' + textureFile.name)('Undecodable texture ' + textureFile.name);
+			};
 			image.src = imageUrl;
 
 			return texture;
@@ -957,12 +1341,32 @@ Object.assign(THREE.TGXLoader.prototype, {
 		function parseContent() {
 			console.log('ContentLoaded', contentLoaded);
 
-			// Set up THREE.Geometry and load skeleton (if any)
-			geometry = new THREE.Geometry();
-			geometry.bones = parseSkeleton();
-			hasBones = geometry.bones.length > 0;
-
-			var animation = hasBones && loadAnimation ? parseAnimation(geometry.bones) : false;
+			// Load skeleton (if any)
+			var bones = parseSkeleton();
+			hasBones = bones.length > 0;
+			boneCount = bones.length;
+			invalidBoneIndices = 0;
+
+			var animations = hasBones && loadAnimation ? parseAnimations(bones) : [];
+
+			// Vertex streams for every item are written here, then packed into one BufferGeometry.
+			// The typed arrays grow per render mesh (see reserveVertices/reserveIndices), vertexOffset
+			// and indexCount are how much of them is filled
+			buffers = {
+				positions: new Float32Array(0),
+				normals: new Float32Array(0),
+				uvs: new Float32Array(0),
+				detailUvs: new Float32Array(0),
+				tangents: new Float32Array(0),
+				colors: new Float32Array(0),
+				skinIndices: new Uint16Array(0),
+				skinWeights: new Float32Array(0),
+				indices: new Uint16Array(0),
+				indexCount: 0,
+				groups: [],
+				hasTangents: false,
+				hasColors: false
+			};
 
 			// Set up default white material
 			defaultMaterial = new THREE.MeshLambertMaterial({
@@ -970,8 +1374,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 				color: 0x777777,
 				//shading: THREE.FlatShading,
 				flatShading: true,
-				side: THREE.DoubleSide,
-				skinning: hasBones
+				side: THREE.DoubleSide
 			});
 			defaultMaterial.name = 'DefaultMaterial';
 			materials = [];
@@ -986,17 +1389,46 @@ Object.assign(THREE.TGXLoader.prototype, {
 			//	parseGear(gear);
 			//}
 
+			if (invalidBoneIndices > 0) warn('InvalidBoneIndices', { count: invalidBoneIndices, boneCount: boneCount });
+
+			geometry = buildBufferGeometry();
+			geometry.bones = bones; // Legacy callback consumers read bones off the geometry
+			buffers = null;
+
 			if (typeof onLoadCallback !== 'function') {
-				console.warn('NoOnLoadCallback', geometry, materials, animation);
+				console.warn('NoOnLoadCallback', geometry, materials, animations);
 				return;
 			}
-			onLoadCallback(geometry, materials, animation ? [animation] : []);
+
+			// Everything a caller needs in one place (loadAsync resolves with this)
+			var result = {
+				geometry: geometry,
+				materials: materials,
+				animations: animations,
+				skeleton: hasBones ? bones : null,
+				items: contentLoaded.itemMetadata,
+				warnings: contentLoaded.warnings
+			};
+			onLoadCallback(geometry, materials, result.animations, result);
 		}
 
 		function parseItem(item) {
 			var gear = contentLoaded.gear[item.requestedId];
 			var shaderGear = item.shaderHash ? contentLoaded.gear[item.shaderHash] : null;
 
+			var metadata = {
+				itemHash: item.itemHash || item.requestedId,
+				ornamentHash: item.ornamentHash || 0,
+				shaderHash: item.shaderHash || 0,
+				gearAsset: item.gearAsset,
+				geometryHashes: [],
+				materialStart: materials.length,
+				materialCount: 0,
+				vertexStart: vertexOffset,
+				vertexCount: 0
+			};
+			contentLoaded.itemMetadata.push(metadata);
+
 			// FIX: D2 mobile manifest compatibility
 			if (!gear) {
 				console.warn('[parseItem] gear not found for', item.requestedId, '- using gearAsset data directly');
@@ -1117,7 +1549,8 @@ Object.assign(THREE.TGXLoader.prototype, {
 			//var geometryTextures = parseTextures(geometryHashes);
 			var geometryTextures = parseTextures(artRegionPatterns);
 
-			var gearDyes = parseGearDyes(gear, shaderGear);
+			var itemDyes = resolveItemDyes(item, contentLoaded.items.indexOf(item));
+			var gearDyes = parseGearDyes(gear, shaderGear, item.shaderHash ? shaders[item.shaderHash] : null, itemDyes);
 
 			// FIX: Inject default dye if empty (D2 mobile fallback)
 			if (!gearDyes || gearDyes.length === 0) {
@@ -1142,7 +1575,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 			}
 			//console.log('GearDyes', gearDyes);
 
-			// Compress geometry into a single THREE.Geometry
+			// Compress geometry into a single THREE.BufferGeometry
 			//if (geometryHashes.length == 0) console.warn('NoGeometry');
 			for (var a = 0; a < artRegionPatterns.length; a++) {
 				var artRegionPattern = artRegionPatterns[a];
@@ -1177,7 +1610,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 					case 26: // ghost shell cube?
 						break;
 					default:
-						console.warn('UnknownArtRegion[' + a + ']', artRegionPattern.regionIndex);
+						warn('UnknownArtRegion[' + a + ']', artRegionPattern.regionIndex);
 						skipRegion = true;
 						break;
 				}
@@ -1198,7 +1631,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 					//if (g != 0) continue;
 					//if (g != 1) continue;
 					if (tgxBin == undefined) {
-						console.warn('MissingGeometry[' + g + ']', geometryHash);
+						warn('MissingGeometry[' + g + ']', geometryHash);
 						continue;
 					}
 
@@ -1207,11 +1640,14 @@ Object.assign(THREE.TGXLoader.prototype, {
 					//var renderMeshes = parseTGXAsset(tgxBin, geometryHash);
 
 					parseGeometry(geometryHash, geometryTextures, gearDyes);
+					metadata.geometryHashes.push(geometryHash);
 				}
 			}
 
-			//geometry.mergeVertices();
-			//geometry.computeVertexNormals();
+			metadata.dyes = gearDyes;
+			metadata.materialCount = materials.length - metadata.materialStart;
+			metadata.vertexCount = vertexOffset - metadata.vertexStart;
+
 		}
 
 		//function parseTextures(geometryHashes) {
@@ -1231,7 +1667,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 					var tgxBin = contentLoaded.geometry[geometryHash];
 
 					if (!tgxBin) {
-						console.warn('MissingTGXBinGeometry[' + g + ']', geometryHash);
+						warn('MissingTGXBinGeometry[' + g + ']', geometryHash);
 						continue;
 					}
 
@@ -1325,11 +1761,11 @@ Object.assign(THREE.TGXLoader.prototype, {
 								} else {
 									// Should be fixed, but add these checks in case
 									if (!placementTexture) {
-										console.warn('MissingPlacementTexture', placement.texture_tag_name, contentLoaded.textures);
+										warn('MissingPlacementTexture', placement.texture_tag_name);
 										continue;
 									}
 									if (!placementTexture.texture.image) {
-										console.warn('TextureNotLoaded', placementTexture);
+										warn('TextureNotLoaded', placementTexture.referenceId);
 										continue;
 									}
 									ctx.drawImage(
@@ -1436,7 +1872,6 @@ Object.assign(THREE.TGXLoader.prototype, {
 							game: game,
 							//side: THREE.DoubleSide,
 							//overdraw: true,
-							skinning: hasBones,
 							//color: 0x777777,
 							//emissive: 0x444444,
 							usePrimaryColor: j == 0,
@@ -1481,7 +1916,8 @@ Object.assign(THREE.TGXLoader.prototype, {
 			for (var m = 0; m < renderMeshes.length; m++) {
 				var renderMesh = renderMeshes[m];
 				var indexBuffer = renderMesh.indexBuffer;
-				var vertexBuffer = renderMesh.vertexBuffer;
+				var vertexCount = renderMesh.vertexCount;
+				var attributes = renderMesh.attributes;
 				var positionOffset = renderMesh.positionOffset;
 				var positionScale = renderMesh.positionScale;
 				var texcoord0ScaleOffset = renderMesh.texcoord0ScaleOffset;
@@ -1497,6 +1933,9 @@ Object.assign(THREE.TGXLoader.prototype, {
 					continue;
 				} // Skip meshes with no parts
 
+				// Room for this mesh's vertices, before any index to them is written
+				reserveVertices(vertexCount);
+
 				//console.log('RenderMesh['+m+']', renderMesh);
 
 				// Spasm.Renderable.prototype.render
@@ -1522,10 +1961,11 @@ Object.assign(THREE.TGXLoader.prototype, {
 					var gearDyeSlot = part.gearDyeSlot;
 
 					if (gearDyeSlotOffsets[gearDyeSlot] == undefined) {
-						console.warn('MissingDefaultDyeSlot', gearDyeSlot);
+						warn('MissingDefaultDyeSlot', gearDyeSlot);
 						gearDyeSlot = 0;
 					}
-					var materialIndex = gearDyeSlotOffsets[gearDyeSlot] + (part.usePrimaryColor ? 0 : 1);
+					// Without textures every group points at the default material
+					var materialIndex = loadTextures ? gearDyeSlotOffsets[gearDyeSlot] + (part.usePrimaryColor ? 0 : 1) : 0;
 
 					//console.log('RenderMeshPart['+geometryHash+':'+m+':'+p+']', part);
 
@@ -1560,80 +2000,74 @@ Object.assign(THREE.TGXLoader.prototype, {
 						count -= 2;
 					}
 
+					reserveIndices(Math.ceil(count / increment) * 3);
+					var indices = buffers.indices;
+					var groupStart = buffers.indexCount;
+					var indexCount = groupStart;
 					for (var i = 0; i < count; i += increment) {
-						var faceVertexNormals = [];
-						var faceVertexUvs = [];
-						var faceVertex = [];
-
-						var faceColors = [];
-
-						var detailVertexUvs = [];
-
 						var faceIndex = start + i;
 
-						var tri = part.primitiveType === 3 || i & 1 ? [0, 1, 2] : [2, 1, 0];
-
-						var validFace = true;
-						for (var j = 0; j < 3; j++) {
-							var index = indexBuffer[faceIndex + tri[j]];
-							if (index === 65535) { // Primitive Restart
-								validFace = false;
-								break;
-							}
-
-							var vertex = vertexBuffer[index];
-							if (!vertex) { // Verona Mesh
-								console.warn('MissingVertex[' + index + ']');
-								validFace = false;
-								// Do NOT abort the whole mesh part. Just skip this face.
-								// i = count; 
-								break;
-							}
-							var normal = vertex.normal0;
-							var uv = vertex.texcoord0;
-							var color = vertex.color0;
-
-							var detailUv = vertex.texcoord2;
-							if (!detailUv) detailUv = [0, 0];
+						// Even strip triangles are wound the other way round
+						var flip = part.primitiveType !== 3 && !(i & 1);
 
-							faceVertex.push(index + vertexOffset);
-							faceVertexNormals.push(new THREE.Vector3(-normal[0], -normal[1], -normal[2]));
+						var index0 = indexBuffer[faceIndex + (flip ? 2 : 0)];
+						var index1 = indexBuffer[faceIndex + 1];
+						var index2 = indexBuffer[faceIndex + (flip ? 0 : 2)];
 
-							var uvu = uv[0] * texcoordScale[0] + texcoordOffset[0];
-							var uvv = uv[1] * texcoordScale[1] + texcoordOffset[1];
-							faceVertexUvs.push(new THREE.Vector2(uvu, uvv));
+						// Primitive Restart
+						if (index0 === 65535 || index1 === 65535 || index2 === 65535) continue;
 
-							if (color) {
-								faceColors.push(new THREE.Color(color[0], color[1], color[2]));
-							}
-
-							detailVertexUvs.push(new THREE.Vector2(
-								uvu * detailUv[0],
-								uvv * detailUv[1]
-							));
+						// Verona Mesh
+						// Do NOT abort the whole mesh part. Just skip this face.
+						if (index0 >= vertexCount || index1 >= vertexCount || index2 >= vertexCount) {
+							console.warn('MissingVertex[' + index0 + ',' + index1 + ',' + index2 + ']');
+							continue;
 						}
 
-						if (validFace) {
-							var face = new THREE.Face3(faceVertex[0], faceVertex[1], faceVertex[2], faceVertexNormals);
-							face.materialIndex = materialIndex;
-							if (faceColors.length > 0) face.vertexColors = faceColors;
-							geometry.faces.push(face);
-							geometry.faceVertexUvs[0].push(faceVertexUvs);
-
-							if (geometry.faceVertexUvs.length < 2) geometry.faceVertexUvs.push([]);
-							//geometry.faceVertexUvs[1].push(detailVertexUvs);
-						}
+						indices[indexCount++] = index0 + vertexOffset;
+						indices[indexCount++] = index1 + vertexOffset;
+						indices[indexCount++] = index2 + vertexOffset;
+					}
+					buffers.indexCount = indexCount;
+					if (indexCount > groupStart) {
+						buffers.groups.push({
+							start: groupStart,
+							count: indexCount - groupStart,
+							materialIndex: materialIndex,
+							part: {
+								geometryHash: geometryHash,
+								renderMesh: m,
+								part: p,
+								lodCategory: part.lodCategory ? part.lodCategory.value : -1,
+								changeColorIndex: part.changeColorIndex,
+								flags: part.flags,
+								shader: part.shader ? part.shader.type : -1
+							}
+						});
 					}
 				}
 
-				//return;
-
-				for (var v = 0; v < vertexBuffer.length; v++) {
-					var vertex = vertexBuffer[v];
-					var position = vertex.position0;
-					var x = position[0];//*positionScale[0]+positionOffset[0];
-					var y = position[1];//*positionScale[1]+positionOffset[1];
-					var z = position[2];//*positionScale[2]+positionOffset[2]; // Apply negative scale to fix lighting
+				// Flat Float32Arrays per semantic, itemSize values per vertex
+				var positions = attributes.position0;
+				var normals = attributes.normal0;
+				var uvs = attributes.texcoord0;
+				var detailUvs = attributes.texcoord2;
+				var tangents = attributes.tangent0;
+				var colors = attributes.color0;
+				var blendIndexStream = attributes.blendindices0;
+				var blendWeightStream = attributes.blendweight0;
+
+				var outPositions = buffers.positions, outNormals = buffers.normals, outUvs = buffers.uvs, outDetailUvs = buffers.detailUvs;
+				var outTangents = buffers.tangents, outColors = buffers.colors, outSkinIndices = buffers.skinIndices, outSkinWeights = buffers.skinWeights;
+				if (tangents) buffers.hasTangents = true;
+				if (colors) buffers.hasColors = true;
+
+				for (var v = 0; v < vertexCount; v++) {
+					var out = vertexOffset + v;
+					var pv = v * positions.itemSize;
+					var x = positions.array[pv];//*positionScale[0]+positionOffset[0];
+					var y = positions.array[pv + 1];//*positionScale[1]+positionOffset[1];
+					var z = positions.array[pv + 2];//*positionScale[2]+positionOffset[2]; // Apply negative scale to fix lighting
 					// FIX: D2 mobile also needs position scaling or vertices are deformed
 					//if (platform == 'web' || platform == 'mobile') {
 					if (platform == 'web') {
@@ -1641,34 +2075,143 @@ Object.assign(THREE.TGXLoader.prototype, {
 						y = y * positionScale[1] + positionOffset[1];
 						z = z * positionScale[2] + positionOffset[2];
 					}
-					geometry.vertices.push(new THREE.Vector3(x, y, z));
+					outPositions[out * 3] = x;
+					outPositions[out * 3 + 1] = y;
+					outPositions[out * 3 + 2] = z;
+
+					var nv = v * normals.itemSize;
+					outNormals[out * 3] = -normals.array[nv];
+					outNormals[out * 3 + 1] = -normals.array[nv + 1];
+					outNormals[out * 3 + 2] = -normals.array[nv + 2];
+
+					var uvu = uvs.array[v * uvs.itemSize] * texcoordScale[0] + texcoordOffset[0];
+					var uvv = uvs.array[v * uvs.itemSize + 1] * texcoordScale[1] + texcoordOffset[1];
+					outUvs[out * 2] = uvu;
+					outUvs[out * 2 + 1] = uvv;
+
+					// Without a texcoord2 stream the detail uvs stay 0, 0
+					if (detailUvs) {
+						outDetailUvs[out * 2] = uvu * detailUvs.array[v * detailUvs.itemSize];
+						outDetailUvs[out * 2 + 1] = uvv * detailUvs.array[v * detailUvs.itemSize + 1];
+					}
 
-					// Set bone weights
-					var boneIndex = position[3];//Math.abs((positionOffset[3] * 32767.0) + 0.01);
-					//var bone = geometry.bones[boneIndex];
+					if (tangents) {
+						var tv = v * tangents.itemSize;
+						outTangents[out * 4] = tangents.array[tv];
+						outTangents[out * 4 + 1] = tangents.array[tv + 1];
+						outTangents[out * 4 + 2] = tangents.array[tv + 2];
+						outTangents[out * 4 + 3] = tangents.itemSize > 3 ? tangents.array[tv + 3] : 1;
+					} else {
+						outTangents[out * 4 + 3] = 1;
+					}
 
-					var blendIndices = vertex.blendindices0 ? vertex.blendindices0 : [boneIndex, 255, 255, 255];
-					var blendWeights = vertex.blendweight0 ? vertex.blendweight0 : [1, 0, 0, 0];
+					if (colors) {
+						var cv = v * colors.itemSize;
+						outColors[out * 3] = colors.array[cv];
+						outColors[out * 3 + 1] = colors.array[cv + 1];
+						outColors[out * 3 + 2] = colors.array[cv + 2];
+					} else {
+						outColors[out * 3] = outColors[out * 3 + 1] = outColors[out * 3 + 2] = 1;
+					}
 
-					var skinIndex = [0, 0, 0, 0];
-					var skinWeight = [0, 0, 0, 0];
+					// Set bone weights, blend indices are skeleton node indices (255 = unused slot).
+					// Without blend streams the vertex follows the bone packed in position.w
+					var boneIndex = positions.array[pv + 3];//Math.abs((positionOffset[3] * 32767.0) + 0.01);
+					var bi = blendIndexStream ? v * blendIndexStream.itemSize : 0;
+					var bw = blendWeightStream ? v * blendWeightStream.itemSize : 0;
+					var blendCount = blendIndexStream ? Math.min(blendIndexStream.itemSize, 4) : 4;
+					var sv = out * 4;
 
 					var totalWeights = 0;
-					for (var w = 0; w < blendIndices.length; w++) {
-						if (blendIndices[w] == 255) break;
-						skinIndex[w] = blendIndices[w];
-						skinWeight[w] = blendWeights[w];
-						totalWeights += blendWeights[w] * 255;
+					for (var w = 0; w < blendCount; w++) {
+						var blendIndex = blendIndexStream ? blendIndexStream.array[bi + w] : (w == 0 ? boneIndex : 255);
+						var blendWeight = blendWeightStream ? blendWeightStream.array[bw + w] : (w == 0 ? 1 : 0);
+						if (blendIndex == 255) break;
+						if (hasBones && blendIndex >= boneCount) {
+							invalidBoneIndices++;
+							continue;
+						}
+						outSkinIndices[sv + w] = blendIndex;
+						outSkinWeights[sv + w] = blendWeight;
+						totalWeights += blendWeight;
+					}
+					// Quantized weights don't always add up to 1, and dropped bones leave a gap
+					if (totalWeights > 0) {
+						for (w = 0; w < 4; w++) outSkinWeights[sv + w] /= totalWeights;
+					} else {
+						outSkinWeights[sv] = 1;
 					}
-					if (totalWeights != 255) console.error('MissingBoneWeight', 255 - totalWeights, i, j);
-
-					geometry.skinIndices.push(new THREE.Vector4().fromArray(skinIndex));
-					geometry.skinWeights.push(new THREE.Vector4().fromArray(skinWeight));
-					//geometry.skinIndices[index+vertexOffset].fromArray(skinIndex);
-					//geometry.skinWeights[index+vertexOffset].fromArray(skinWeight);
 				}
-				vertexOffset += vertexBuffer.length;
+				vertexOffset += vertexCount;
+			}
+		}
+
+		// Grows every vertex stream so count more vertices fit after vertexOffset. Capacity doubles
+		// so a loadout of many small meshes doesn't copy on every one
+		function reserveVertices(count) {
+			var needed = vertexOffset + count;
+			// Indices past 65535 need 32 bits, switch before any of them are written
+			if (needed > 65535 && buffers.indices instanceof Uint16Array) {
+				buffers.indices = resizeArray(buffers.indices, buffers.indices.length, Uint32Array);
+			}
+			var capacity = buffers.positions.length / 3;
+			if (needed <= capacity) return;
+			capacity = Math.max(needed, capacity * 2);
+
+			buffers.positions = resizeArray(buffers.positions, capacity * 3);
+			buffers.normals = resizeArray(buffers.normals, capacity * 3);
+			buffers.uvs = resizeArray(buffers.uvs, capacity * 2);
+			buffers.detailUvs = resizeArray(buffers.detailUvs, capacity * 2);
+			buffers.tangents = resizeArray(buffers.tangents, capacity * 4);
+			buffers.colors = resizeArray(buffers.colors, capacity * 3);
+			buffers.skinIndices = resizeArray(buffers.skinIndices, capacity * 4);
+			buffers.skinWeights = resizeArray(buffers.skinWeights, capacity * 4);
+		}
+
+		// Grows the index buffer so count more indices fit after indexCount
+		function reserveIndices(count) {
+			var needed = buffers.indexCount + count;
+			if (needed <= buffers.indices.length) return;
+			buffers.indices = resizeArray(buffers.indices, Math.max(needed, buffers.indices.length * 2));
+		}
+
+		// Copies array into a new zero-filled typed array of the given length (and type)
+		function resizeArray(array, length, ArrayType) {
+			var resized = new (ArrayType || array.constructor)(length);
+			resized.set(array);
+			return resized;
+		}
+
+		// Packs the filled part of the vertex streams into attributes on a single BufferGeometry.
+		// The streams are handed over as views, the spare capacity is not copied
+		function buildBufferGeometry() {
+			var bufferGeometry = new THREE.BufferGeometry();
+			var vertexCount = vertexOffset;
+
+			bufferGeometry.setAttribute('position', new THREE.BufferAttribute(buffers.positions.subarray(0, vertexCount * 3), 3));
+			bufferGeometry.setAttribute('normal', new THREE.BufferAttribute(buffers.normals.subarray(0, vertexCount * 3), 3));
+			bufferGeometry.setAttribute('uv', new THREE.BufferAttribute(buffers.uvs.subarray(0, vertexCount * 2), 2));
+			bufferGeometry.setAttribute('detailUv', new THREE.BufferAttribute(buffers.detailUvs.subarray(0, vertexCount * 2), 2));
+			if (buffers.hasTangents) {
+				bufferGeometry.setAttribute('tangent', new THREE.BufferAttribute(buffers.tangents.subarray(0, vertexCount * 4), 4));
+			}
+			if (buffers.hasColors) {
+				bufferGeometry.setAttribute('color', new THREE.BufferAttribute(buffers.colors.subarray(0, vertexCount * 3), 3));
 			}
+			bufferGeometry.setAttribute('skinIndex', new THREE.BufferAttribute(buffers.skinIndices.subarray(0, vertexCount * 4), 4));
+			bufferGeometry.setAttribute('skinWeight', new THREE.BufferAttribute(buffers.skinWeights.subarray(0, vertexCount * 4), 4));
+
+			bufferGeometry.setIndex(new THREE.BufferAttribute(buffers.indices.subarray(0, buffers.indexCount), 1));
+
+			// userData.parts[i] is the stage part behind groups[i] (lodCategory, flags...), for exporters
+			bufferGeometry.userData.parts = [];
+			for (var i = 0; i < buffers.groups.length; i++) {
+				var group = buffers.groups[i];
+				bufferGeometry.addGroup(group.start, group.count, group.materialIndex);
+				bufferGeometry.userData.parts.push(group.part);
+			}
+
+			return bufferGeometry;
 		}
 
 		function copyGearDyeParams(gearDye, materialParams) {
@@ -1700,7 +2243,6 @@ Object.assign(THREE.TGXLoader.prototype, {
 				game: game,
 				//side: THREE.DoubleSide,
 				//overdraw: true,
-				skinning: hasBones,
 				//color: 0x777777,
 				//emissive: 0x444444,
 				//envMap: dyeMaterial.envMap ? dyeMaterial.envMap : null,
@@ -1858,7 +2400,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 						var staticTextureId = staticTextureIds[i];
 						var staticTextureContent = contentLoaded.textures[staticTextureId];
 						if (!staticTextureContent) {
-							console.warn('MissingTexture[' + staticTextureId + ']');
+							warn('MissingTexture[' + staticTextureId + ']', textureId);
 							//continue;
 						}
 						var staticTexture = staticTextureContent ? staticTextureContent.texture : null;
@@ -1890,7 +2432,6 @@ Object.assign(THREE.TGXLoader.prototype, {
 				game: game,
 				side: THREE.DoubleSide,
 				//overdraw: true,
-				skinning: hasBones,
 				//color: 0x777777,
 				//emissive: 0x444444,
 				//envMap: dyeMaterial.envMap ? dyeMaterial.envMap : null,
@@ -2179,7 +2720,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 									//materialParams.envMap = null;
 									textureLookup.push('map');
 									textureLookup.push('normalMap');
-									textureLookup.push('specularMap');
+									textureLookup.push('specularColorMap'); // MeshPhysicalMaterial has no plain specularMap
 									log = true;
 								}
 								else if (part.flags & 0x10) { // The Number (Liquid Bubble)
@@ -2551,218 +3092,272 @@ Object.assign(THREE.TGXLoader.prototype, {
 		}
 
 		// Spasm.Skeleton.prototype.onLoadSkeletonSuccess
-		// TODO Fix bone loading
+		// The skeleton stores each node's bind pose in object space, along with its inverse. Bones
+		// need it relative to their parent: local = inverse(parentObjectSpace) * objectSpace.
 		function parseSkeleton() {
 			var bones = [];
-			var absBones = [];
-			if (contentLoaded.skeleton) {
-				var definition = contentLoaded.skeleton.definition;
-				//var transforms = definition.default_inverse_object_space_transforms;
-				var inverseTransforms = definition.default_inverse_object_space_transforms;
-				var transforms = definition.default_object_space_transforms;
-				//transforms = inverseTransforms;
-				var nodes = definition.nodes;
-
-				for (var n = 0; n < nodes.length; n++) {
-					var node = nodes[n];
-					var inverseTransform = inverseTransforms[n];
-					var transform = transforms[n];
-
-					//if (n > 26) continue; // For now don't worry about fingers, facial rigs, etc
-
-					//var ts = transform.ts;
-					var offset = transform.offset;
-					var origin = transform.origin || [0, 0, 0]; // ts[0-2];
-					var r = transform.r || [0, 0, 0, 1];
-					var s = transform.scale || 1; // ts[3];
-					var parentNode = bones[node.parent_node_index];
-
-					var pos = new THREE.Vector3(origin[0], origin[1], origin[2]);
-					var scale = new THREE.Vector3(s, s, s);
-					var rotq = new THREE.Quaternion(r[0], r[1], r[2], r[3]);
-					var euler = new THREE.Euler().setFromQuaternion(rotq);
-
-					euler.set(0, 0, 0);
-					rotq.setFromEuler(euler);
-
-					var absPos = new THREE.Vector3(pos.x, pos.y, pos.z);
-					var absRotq = new THREE.Quaternion(rotq.x, rotq.y, rotq.z, rotq.w);
-					var absEuler = new THREE.Euler().setFromQuaternion(absRotq);
-
-					var absScale = new THREE.Vector3(scale.x, scale.y, scale.z);
-
-					if (n == 0) {
-						//euler.y = utils.degreesToRadian(-90);
-						//euler.set(utils.degreesToRadian(-90), 0, utils.degreesToRadian(-90));
-						//rotq.setFromEuler(euler);
-					}
-
-					if (parentNode) {
-						//pos.set(parentNode.pos[0]-pos.x, parentNode.pos[1]-pos.y, parentNode.pos[2]-pos.z);
-
-						absPos.x -= parentNode.pos[0];
-						absPos.y -= parentNode.pos[1];
-						absPos.z -= parentNode.pos[2];
-
-						var parentRotq = new THREE.Quaternion().fromArray(parentNode.rotq);
-						var parentEuler = new THREE.Euler().setFromQuaternion(parentRotq);
-
+			if (!contentLoaded.skeleton) return bones;
+
+			var definition = contentLoaded.skeleton.definition;
+			var transforms = definition.default_object_space_transforms;
+			var inverseTransforms = definition.default_inverse_object_space_transforms;
+			var nodes = definition.nodes;
+
+			function transformMatrix(transform) {
+				var origin = transform.origin || [0, 0, 0];
+				var r = transform.r || [0, 0, 0, 1];
+				var s = transform.scale || 1;
+				return new THREE.Matrix4().compose(
+					new THREE.Vector3(origin[0], origin[1], origin[2]),
+					new THREE.Quaternion(r[0], r[1], r[2], r[3]),
+					new THREE.Vector3(s, s, s)
+				);
+			}
 
-						absEuler.x -= parentEuler.x;
-						absEuler.y -= parentEuler.y;
-						absEuler.z -= parentEuler.z;
-						//absRotq.setFromEuler(absEuler);
+			var localMatrix = new THREE.Matrix4();
+			for (var n = 0; n < nodes.length; n++) {
+				var node = nodes[n];
+				var objectMatrix = transformMatrix(transforms[n]);
+				var inverseMatrix = transformMatrix(inverseTransforms[n]);
 
-						absRotq = absRotq.multiply(parentRotq.inverse());
-					}
+				localMatrix.copy(objectMatrix);
+				if (node.parent_node_index >= 0) {
+					localMatrix.premultiply(transformMatrix(inverseTransforms[node.parent_node_index]));
+				}
 
-					//if (n == 0 || n == 1 || n == 3 || n == 4 || n == 6)
-					if (n <= -1/*26*/) console.log('Bone[' + n + ']', node.name.string + ':' + node.name.hash, node.parent_node_index,
-						"\n" + 'pos: ' + pos.x + ', ' + pos.y + ', ' + pos.z,
-						"\n" + 'apos: ' + absPos.x + ', ' + absPos.y + ', ' + absPos.z,
-						//"\n"+'lpos: '+logPos.x+', '+logPos.y+', '+logPos.z,
-						//"\n"+'ipos: '+inversePos.x+', '+inversePos.y+', '+inversePos.z,
-
-						//"\n"+'orotq: '+r[0]+', '+r[1]+', '+r[2]+', '+r[3],
-						//	"\n"+'rotq: '+rotq.x+','+rotq.y+','+rotq.z+','+rotq.w,
-						"\n" + 'rot: ' + Math.round(utils.radianToDegrees(euler.x)) + ', ' + Math.round(utils.radianToDegrees(euler.y)) + ', ' + Math.round(utils.radianToDegrees(euler.z)),
-						"\n" + 'arot: ' + Math.round(utils.radianToDegrees(absEuler.x)) + ', ' + Math.round(utils.radianToDegrees(absEuler.y)) + ', ' + Math.round(utils.radianToDegrees(absEuler.z)),
-
-						//"\n"+'irot: '+Math.round(utils.radianToDegrees(inverseEuler.x))+', '+Math.round(utils.radianToDegrees(inverseEuler.y))+', '+Math.round(utils.radianToDegrees(inverseEuler.z)),
-						//"\n"+'lrot: '+Math.round(utils.radianToDegrees(logEuler.x))+', '+Math.round(utils.radianToDegrees(logEuler.y))+', '+Math.round(utils.radianToDegrees(logEuler.z)),
-						////'rotq: '+r[0]+'/'+rotq.x+','+r[1]+'/'+rotq.y+','+r[2]+'/'+rotq.z+','+r[3]+'/'+rotq.w,
-						//'scale: '+s,
-						"\n" + 'scale: ' + scale.x + ', ' + scale.y + ', ' + scale.z
-						//"\n"+'iscale: '+inverseScale.x+', '+inverseScale.y+', '+inverseScale.z
-						//	'origin: '+Math.round(offset[0]*100)+', '+Math.round(offset[1]*100)+', '+Math.round(offset[2]*100)
-						//origin,
-						//r,
-						//s,
-						//offset,
-						//pos,
-						//rotq,
-						//scale
-					);
+				var pos = new THREE.Vector3();
+				var rotq = new THREE.Quaternion();
+				var scale = new THREE.Vector3();
+				localMatrix.decompose(pos, rotq, scale);
+
+				bones.push({
+					parent: node.parent_node_index,
+					nodeHash: node.name.hash,
+					name: node.name.string,
+					pos: pos.toArray(),
+					rotq: rotq.toArray(),
+					scl: scale.toArray(),
+					inverseBindMatrix: inverseMatrix.toArray() // Bone inverse for THREE.Skeleton
+				});
+			}
+			return bones;
+		}
 
-					bones.push({
-						parent: node.parent_node_index,
-						nodeHash: node.name.hash,
-						name: node.name.string,
-						pos: pos.toArray(),
-						rotq: rotq.toArray(),
-						scl: scale.toArray()
-					});
-					absBones.push({
-						parent: node.parent_node_index,
-						nodeHash: node.name.hash,
-						name: node.name.string,
-						pos: absPos.toArray(),
-						rotq: absRotq.toArray(),
-						scl: absScale.toArray()
-					});
+		// Spasm.Animation
+		// Every loaded animation file becomes one AnimationClip per animation it holds
+		function parseAnimations(bones) {
+			var clips = [];
+			for (var f = 0; f < contentLoaded.animations.length; f++) {
+				var file = contentLoaded.animations[f];
+				if (!file) continue;
+				for (var a = 0; a < file.animations.length; a++) {
+					var name = file.animations.length > 1 ? file.name + '_' + a : file.name;
+					clips.push(parseAnimation(file.animations[a], name, bones));
 				}
-				//console.log('Bones', bones, absBones);
 			}
-			return absBones;
+			console.log('Animations', clips);
+			return clips;
 		}
 
-		function parseAnimation(bones) {
-			console.log('Animation[' + animationPath + ']', contentLoaded.animations);
-			var animation = contentLoaded.animations[0];
-
+		// Bone transforms are split into static streams (one frame) and animated streams (one per frame). The control
+		// maps list which node each stream drives. Values are parent-relative, like the skeleton's bind pose.
+		function parseAnimation(animation, name, bones) {
 			var animRate = 30;
 			var animLength = animation.duration_in_frames / animRate;
+			var frameCount = animation.frame_count;
 
 			var staticBoneData = animation.static_bone_data;
-			var staticScaleControlMap = staticBoneData.scale_control_map;
-			var staticRotationControlMap = staticBoneData.rotation_control_map;
-			var staticTranslationControlMap = staticBoneData.translation_control_map;
 			var staticTransforms = staticBoneData.transform_stream_header.streams.frames[0];
 
-			var staticScales = staticTransforms.scales;
-			var staticRotations = staticTransforms.rotations;
-			var staticTranslations = staticTransforms.translations;
-
 			var animatedBoneData = animation.animated_bone_data;
-			var animatedScaleControlMap = animatedBoneData.scale_control_map;
-			var animatedRotationControlMap = animatedBoneData.rotation_control_map;
-			var animatedTranslationControlMap = animatedBoneData.translation_control_map;
 			var animatedTransformFrames = animatedBoneData.transform_stream_header.streams.frames;
 
-			var hierarchy = [];
-
-			for (var i = 0; i < animation.frame_count; i++) {
-				var animatedTransforms = animatedTransformFrames[i];
-				var animatedScales = animatedTransforms.scales;
-				var animatedRotations = animatedTransforms.rotations;
-				var animatedTranslations = animatedTransforms.translations;
-
-				for (var j = 0; j < animation.node_count; j++) {
-					var staticScaleIndex = staticScaleControlMap.indexOf(j);
-					var staticRotationIndex = staticRotationControlMap.indexOf(j);
-					var staticTranslationIndex = staticTranslationControlMap.indexOf(j);
-
-					var animatedScaleIndex = animatedScaleControlMap.indexOf(j);
-					var animatedRotationIndex = animatedRotationControlMap.indexOf(j);
-					var animatedTranslationIndex = animatedTranslationControlMap.indexOf(j);
-
-					var scale = staticScaleIndex >= 0 ?
-						staticScales[staticScaleIndex] : animatedScales[animatedScaleIndex];
-					var rotation = staticRotationIndex >= 0 ?
-						staticRotations[staticRotationIndex] : animatedRotations[animatedRotationIndex];
-					var translation = staticTranslationIndex >= 0
-						?
-						staticTranslations[staticTranslationIndex]
-						: animatedTranslations[animatedTranslationIndex];
-
-					var bone = bones[j];
-
-					//console.log('Frame['+i+'-'+j+']', translation, rotation, scale, bone);
-					if (i == 0) {
-						hierarchy.push({
-							parent: bone.parent,
-							name: bone.name,
-							keys: []
-						});
+			var times = [];
+			for (var i = 0; i < frameCount; i++) {
+				times.push(Math.min(i / animRate, animLength));
+			}
+
+			var tracks = [];
+
+			function addTracks(property, streamKey, controlMap, staticMap, itemSize) {
+				var TrackType = property == 'quaternion' ? THREE.QuaternionKeyframeTrack : THREE.VectorKeyframeTrack;
+
+				function valueOf(value) {
+					// Scale streams hold uniform scalars
+					return itemSize == 3 && typeof value == 'number' ? [value, value, value] : value;
+				}
+
+				for (var s = 0; s < staticMap.length; s++) {
+					var staticBone = bones[staticMap[s]];
+					if (!staticBone) continue;
+					tracks.push(new TrackType(staticBone.name + '.' + property, [0], valueOf(staticTransforms[streamKey][s])));
+				}
+
+				for (var c = 0; c < controlMap.length; c++) {
+					var bone = bones[controlMap[c]];
+					if (!bone) continue;
+					var values = [];
+					for (var i = 0; i < frameCount; i++) {
+						var value = valueOf(animatedTransformFrames[i][streamKey][c]);
+						for (var v = 0; v < itemSize; v++) values.push(value[v]);
 					}
-					var node = hierarchy[j];
-					node.keys.push({
-						time: i / animRate,
-						pos: translation,
-						rot: rotation,
-						scl: [scale, scale, scale]
-					});
+					tracks.push(new TrackType(bone.name + '.' + property, times, values));
 				}
-				//break;
 			}
 
-			return {
-				name: animationPath.split('.js')[0],
-				fps: animRate,
-				length: animLength,
-				hierarchy: hierarchy
-			};
+			addTracks('position', 'translations', animatedBoneData.translation_control_map, staticBoneData.translation_control_map, 3);
+			addTracks('quaternion', 'rotations', animatedBoneData.rotation_control_map, staticBoneData.rotation_control_map, 4);
+			addTracks('scale', 'scales', animatedBoneData.scale_control_map, staticBoneData.scale_control_map, 3);
+
+			return new THREE.AnimationClip(name, animLength, tracks);
 		}
 
 		// Spasm.TGXAssetLoader.prototype.getGearDyes
-		function getGearDyes(gear) {
-			var dyeGroups = {
-				customDyes: gear.custom_dyes || [],
-				defaultDyes: gear.default_dyes || [],
-				lockedDyes: gear.locked_dyes || []
-			};
+		// Raw custom dyes (slot_type_index, material_properties) of the item's shader.
+		// The shader's own gear file carries them. A world content translation block only lists dye hashes, which are
+		// matched against every gear file loaded for this request and the dye definitions load fetched for them.
+		function resolveShaderDyes(shaderGear, shader) {
+			var translationBlock = shader ? shader.translationBlock : null;
+			var dyeHashes = [];
+			if (translationBlock) {
+				var translationDyes = translationBlock.customDyes.concat(translationBlock.lockedDyes);
+				for (var i = 0; i < translationDyes.length; i++) {
+					dyeHashes.push(translationDyes[i].dyeHash);
+				}
+			}
 
-			if (gear.dye_index_set) {
-				console.warn('[getGearDyes] Found dye_index_set (D2 Mobile):', gear.dye_index_set);
+			if (shaderGear) {
+				var customDyes = shaderGear.custom_dyes || [];
+				if (dyeHashes.length == 0) return customDyes;
+				var listedDyes = customDyes.filter(function (dye) {
+					return dyeHashes.indexOf(dye.hash) != -1;
+				});
+				return listedDyes.length > 0 ? listedDyes : customDyes;
+			}
 
-				var foundDiffuse = null;
-				var foundNormal = null;
+			if (dyeHashes.length == 0) return contentLoaded.shaderDyes;
 
-				// Attempt to map dye_index_set to defaultDyes if it's an array
-				if (gear.dye_index_set.textures && gear.textures) {
-					var resolvedTextures = gear.dye_index_set.textures.map(function (idx) {
-						return gear.textures[idx];
-					});
+			var dyes = [];
+			var resolvedHashes = [];
+			for (var d = 0; d < dyeHashes.length; d++) {
+				var dye = findLoadedGearDye([dyeHashes[d]]) || findDyeDefinition([dyeHashes[d]]);
+				if (!dye || resolvedHashes.indexOf(dyeHashes[d]) != -1) continue;
+				resolvedHashes.push(dyeHashes[d]);
+				dyes.push(dye);
+			}
+
+			if (resolvedHashes.length < dyeHashes.length) {
+				warn('UnresolvedShaderDyes', {
+					shaderHash: shader.requestedId,
+					dyeHashes: dyeHashes.filter(function (dyeHash) {
+						return resolvedHashes.indexOf(dyeHash) == -1;
+					})
+				});
+			}
+
+			return dyes.length > 0 ? dyes : contentLoaded.shaderDyes;
+		}
+
+		// First dye with material properties, in any gear file loaded for this request, whose hash or investment hash
+		// is one of dyeHashes
+		function findLoadedGearDye(dyeHashes) {
+			var dyeTypes = ['custom_dyes', 'default_dyes', 'locked_dyes'];
+			for (var gearId in contentLoaded.gear) {
+				var gearFile = contentLoaded.gear[gearId];
+				for (var t = 0; t < dyeTypes.length; t++) {
+					var gearFileDyes = gearFile[dyeTypes[t]] || [];
+					for (var d = 0; d < gearFileDyes.length; d++) {
+						var dye = gearFileDyes[d];
+						if (!dye.material_properties) continue;
+						if (dyeHashes.indexOf(dye.hash) != -1 || dyeHashes.indexOf(dye.investment_hash) != -1) return dye;
+					}
+				}
+			}
+			return null;
+		}
+
+		// First manifest dye definition (fetched by load for peerView and shader dyes) with material properties among dyeHashes
+		function findDyeDefinition(dyeHashes) {
+			for (var i = 0; i < dyeHashes.length; i++) {
+				var dye = contentLoaded.dyeDefinitions[dyeHashes[i]];
+				if (dye && dye.material_properties) return dye;
+			}
+			return null;
+		}
+
+		// channelHash -> gear dye slot. The shaders' translation blocks pair each channel with a dye, and that dye's
+		// gear entry carries the slot. Channels no loaded shader names are left out.
+		var channelSlots = null;
+		function getChannelSlots() {
+			if (channelSlots) return channelSlots;
+			channelSlots = {};
+			for (var shaderHash in shaders) {
+				var translationBlock = shaders[shaderHash] ? shaders[shaderHash].translationBlock : null;
+				if (!translationBlock) continue;
+				var pairs = translationBlock.customDyes.concat(translationBlock.lockedDyes);
+				for (var p = 0; p < pairs.length; p++) {
+					var dye = findLoadedGearDye([pairs[p].dyeHash]) || findDyeDefinition([pairs[p].dyeHash]);
+					if (dye && dye.slot_type_index !== undefined) channelSlots[pairs[p].channelHash] = dye.slot_type_index;
+				}
+			}
+			return channelSlots;
+		}
+
+		// Raw dyes for the profile's characterRenderData peerView {channelHash, dyeHash} pairs of an item, keyed by
+		// channelHash. A dye found in another item's gear carries that item's slot, so it is moved to the slot of
+		// the channel it overrides whenever a shader tells which one that is.
+		function resolveItemDyes(item, itemIndex) {
+			var itemDyes = contentLoaded.itemDyes;
+			// Either one list for a single item load or one list per requested item
+			if (itemDyes.length > 0 && Array.isArray(itemDyes[0])) itemDyes = itemDyes[itemIndex] || [];
+			if (itemDyes.length == 0) return {};
+
+			var artDyeDefinitions = THREE.TGXManifest ? THREE.TGXManifest.artDyeDefinitions : null;
+			var slots = getChannelSlots();
+			var dyes = {};
+			var unresolved = [];
+			for (var i = 0; i < itemDyes.length; i++) {
+				var itemDye = itemDyes[i];
+				var dyeHashes = THREE.TGXLoader.getItemDyeHashes(itemDye, artDyeDefinitions);
+				var dye = findLoadedGearDye(dyeHashes) || findDyeDefinition(dyeHashes);
+				if (!dye) {
+					unresolved.push(itemDye);
+					continue;
+				}
+				var slotTypeIndex = slots[itemDye.channelHash];
+				dyes[itemDye.channelHash] = slotTypeIndex === undefined ? dye : Object.assign({}, dye, { slot_type_index: slotTypeIndex });
+			}
+
+			if (unresolved.length > 0) {
+				warn('UnresolvedItemDyes', {
+					itemHash: item.requestedId,
+					artDyeDefinitionsLoaded: !!artDyeDefinitions,
+					dyes: unresolved
+				});
+			}
+
+			return dyes;
+		}
+
+		function getGearDyes(gear, shaderDyes) {
+			if (shaderDyes == undefined) shaderDyes = contentLoaded.shaderDyes;
+			var dyeGroups = {
+				customDyes: gear.custom_dyes || [],
+				defaultDyes: gear.default_dyes || [],
+				lockedDyes: gear.locked_dyes || []
+			};
+
+			if (gear.dye_index_set) {
+				console.warn('[getGearDyes] Found dye_index_set (D2 Mobile):', gear.dye_index_set);
+
+				var foundDiffuse = null;
+				var foundNormal = null;
+
+				// Attempt to map dye_index_set to defaultDyes if it's an array
+				if (gear.dye_index_set.textures && gear.textures) {
+					var resolvedTextures = gear.dye_index_set.textures.map(function (idx) {
+						return gear.textures[idx];
+					});
 
 					// Iterate ALL resolved textures to find the first valid set
 					for (var i = 0; i < resolvedTextures.length; i++) {
@@ -2814,57 +3409,11 @@ Object.assign(THREE.TGXLoader.prototype, {
 					// Try to use shaderDyes from shader gear asset (contains material_properties with colors)
 					// This is the correct source for shader colors!
 
-					// If shaderDyes wasn't passed externally, try to load from asset_sql_content database
-					// According to Sol_Unshadowed (Paracausal), shaders are in gearAssetDefinition table
-					// in the asset_sql_content database (mobileAssetContentPath), NOT in mobileGearAssetDataBases
-					if ((!contentLoaded.shaderDyes || contentLoaded.shaderDyes.length === 0) && options.shaderHash) {
-						console.log('[getGearDyes] Attempting to load shaderDyes from asset_sql_content for shader:', options.shaderHash);
-
-						// Try to get shader from asset_sql_content database (gearAssetDefinition table)
-						var assetContentBlob = THREE.TGXManifest ? THREE.TGXManifest.assetContentBlob : null;
-						if (assetContentBlob) {
-							try {
-								var db = new SQL.Database(assetContentBlob);
-								var key = 'id';
-								var shaderHash = options.shaderHash;
-								var where = ' WHERE ' + key + '=' + shaderHash + ' OR ' + key + '=' + (shaderHash - 4294967296);
-								var res = db.exec("SELECT * FROM DestinyGearAssetsDefinition" + where);
-
-								if (res.length > 0) {
-									var shaderData = JSON.parse(res[0].values[0][1]);
-									console.log('[getGearDyes] Found shader in asset_sql_content:', shaderData);
-
-									// Get custom_dyes from shader's content
-									if (shaderData.content && shaderData.content.length > 0) {
-										var shaderContent = shaderData.content[0];
-										if (shaderContent.custom_dyes && shaderContent.custom_dyes.length > 0) {
-											contentLoaded.shaderDyes = shaderContent.custom_dyes;
-											console.log('[getGearDyes] Loaded shaderDyes from asset_sql_content:', contentLoaded.shaderDyes.length);
-										} else if (shaderContent.default_dyes && shaderContent.default_dyes.length > 0) {
-											contentLoaded.shaderDyes = shaderContent.default_dyes;
-											console.log('[getGearDyes] Loaded default_dyes from asset_sql_content:', contentLoaded.shaderDyes.length);
-										}
-									}
-								} else {
-									console.log('[getGearDyes] Shader not found in asset_sql_content:', options.shaderHash);
-								}
-								db.close();
-							} catch (e) {
-								console.warn('[getGearDyes] Error querying asset_sql_content for shader:', e);
-							}
-						} else {
-							console.warn('[getGearDyes] assetContentBlob not loaded yet');
-						}
-					}
-
-
-
-					if (contentLoaded.shaderDyes && contentLoaded.shaderDyes.length > 0) {
-						console.log('[getGearDyes] Using shaderDyes from shader gear asset:', contentLoaded.shaderDyes.length);
-
+					if (shaderDyes && shaderDyes.length > 0) {
+						console.log('[getGearDyes] Using shaderDyes from shader gear asset:', shaderDyes.length);
 
 						// Use first dye's material_properties for colors
-						var shaderDye = contentLoaded.shaderDyes[0];
+						var shaderDye = shaderDyes[0];
 						if (shaderDye && shaderDye.material_properties) {
 							var mp = shaderDye.material_properties;
 
@@ -3068,17 +3617,26 @@ Object.assign(THREE.TGXLoader.prototype, {
 			}
 			return gearDyeGroups;
 		}
-		function parseGearDyes(gear, shaderGear) {
-
-			var gearDyeGroups = getGearDyes(gear);
-			var shaderDyeGroups = shaderGear ? getGearDyes(shaderGear) : gearDyeGroups;
+		// itemDyes are resolveItemDyes' overrides, keyed by channelHash
+		function parseGearDyes(gear, shaderGear, shader, itemDyes) {
+			var shaderDyes = resolveShaderDyes(shaderGear, shader);
+
+			var gearDyeGroups = getGearDyes(gear, shaderDyes);
+			var shaderDyeGroups = gearDyeGroups;
+			if (shaderDyes.length > 0) shaderDyeGroups = getGearDyes({ custom_dyes: shaderDyes });
+			var itemDyeGroups = getGearDyes({
+				custom_dyes: Object.keys(itemDyes || {}).map(function (channelHash) {
+					return itemDyes[channelHash];
+				})
+			});
 
 			console.log('GearDyes', gearDyeGroups);
 			//console.log('ShaderGearDyes', shaderDyeGroups);
 
 			// Spasm.GearRenderable.prototype.getResolvedDyeList
 			var resolvedDyes = [];
-			var dyeTypeOrder = ['defaultDyes', 'customDyes', 'lockedDyes'];
+			// The profile's peerView dyes go last, they are what the game actually renders
+			var dyeTypeOrder = ['defaultDyes', 'customDyes', 'lockedDyes', 'itemDyes'];
 			for (var i = 0; i < dyeTypeOrder.length; i++) {
 				var dyeType = dyeTypeOrder[i];
 				var dyes = [];
@@ -3092,6 +3650,9 @@ Object.assign(THREE.TGXLoader.prototype, {
 					case 'lockedDyes':
 						dyes = gearDyeGroups[dyeType];
 						break;
+					case 'itemDyes':
+						dyes = itemDyeGroups.customDyes;
+						break;
 				}
 				for (var j = 0; j < dyes.length; j++) {
 					var dye = dyes[j];
@@ -3108,313 +3669,22 @@ Object.assign(THREE.TGXLoader.prototype, {
 		}
 
 		// Spasm.TGXAssetLoader.prototype.getGearRenderableModel
+		// Part lists come from TGXParser.parseRenderMeshes, index and vertex streams were decoded with the container
 		function parseTGXAsset(tgxBin, geometryHash) {
-			var metadata = tgxBin.metadata; // Arrangement
-			//console.log('Metadata['+geometryHash+']', metadata);
-
-			var meshes = [];
-
-			//for (var renderMeshIndex in metadata.render_model.render_meshes) {
-			for (var r = 0; r < metadata.render_model.render_meshes.length; r++) {
-				var renderMeshIndex = r;
-				var renderMesh = metadata.render_model.render_meshes[renderMeshIndex]; // BoB Bunch of Bits
-
-				//console.log('RenderMesh['+renderMeshIndex+']', renderMesh);
-				//if (renderMeshIndex != 0) continue;
-
-				// IndexBuffer
-				var indexBufferInfo = renderMesh.index_buffer;
-				var indexBufferData = tgxBin.files[tgxBin.lookup.indexOf(indexBufferInfo.file_name)].data;
-
-				var indexBuffer = [];
-				for (var j = 0; j < indexBufferInfo.byte_size; j += indexBufferInfo.value_byte_size) {
-					var indexValue = utils.ushort(indexBufferData, j);
-					indexBuffer.push(indexValue);
-				}
-				//console.log('IndexBuffer', indexBufferInfo);
-
-				// VertexBuffer
-				var vertexBuffer = parseVertexBuffers(tgxBin, renderMesh);
-
-				// Spasm.RenderMesh.prototype.getRenderableParts
-				//console.log('RenderMesh['+renderMeshIndex+']',
-				//	"\n\tPartOffsets:", renderMesh.stage_part_offsets,
-				//	"\n\tPartList:", renderMesh.stage_part_list,
-				//	"\n\t", renderMesh);
-
-				var parts = [];
-				var partIndexList = [];
-				var stagesToRender = [0, 7, 15]; // Hardcoded?
-				var partOffsets = [];
-
-				var partLimit = renderMesh.stage_part_offsets[4];//renderMesh.stage_part_list.length;
-				//var partLimit = renderMesh.stage_part_offsets[8];//renderMesh.stage_part_list.length;
-				for (var i = 0; i < partLimit; i++) {
-					partOffsets.push(i);
-				}
-
-				for (var i = 0; i < partOffsets.length; i++) {
-					var partOffset = partOffsets[i];
-					var stagePart = renderMesh.stage_part_list[partOffset];
-
-					//if (stagesToRender.indexOf(partOffset) == -1) continue;
-
-					//console.log('StagePart['+renderMeshIndex+':'+partOffset+']',
-					//	"\n\tLOD:", stagePart.lod_category,
-					//	"\n\tShader:", stagePart.shader,
-					//	"\n\tFlags:", stagePart.flags,
-					//	"\n\tVariantShader:", stagePart.variant_shader_index
-					//);
-					if (!stagePart) {
-						console.warn('MissingStagePart[' + renderMeshIndex + ':' + partOffset + ']');
-						continue;
-					}
-					if (partIndexList.indexOf(stagePart.start_index) != -1) {
-						//console.warn('DuplicatePart['+renderMeshIndex+':'+partOffset, stagePart);
-						continue;
-					}
-					partIndexList.push(stagePart.start_index);
-					parts.push(parseStagePart(stagePart));
-				}
-
-				// Spasm.RenderMesh
-				meshes.push({
-					positionOffset: renderMesh.position_offset,
-					positionScale: renderMesh.position_scale,
-					texcoordOffset: renderMesh.texcoord_offset,
-					texcoordScale: renderMesh.texcoord_scale,
-					texcoord0ScaleOffset: renderMesh.texcoord0_scale_offset,
-					indexBuffer: indexBuffer,
-					vertexBuffer: vertexBuffer,
-					parts: parts
-				});
-			}
-
-			return meshes;
-		}
-
-		// Spasm.RenderMesh.prototype.getAttributes
-		function parseVertexBuffers(tgxBin, renderMesh) {
-			if (renderMesh.stage_part_vertex_stream_layout_definitions.length > 1) {
-				console.warn('Multiple Stage Part Vertex Layout Definitions', renderMesh.stage_part_vertex_stream_layout_definitions);
+			var parsed = parseRenderMeshes(tgxBin.metadata);
+			for (var w = 0; w < parsed.warnings.length; w++) {
+				warn(parsed.warnings[w].code, parsed.warnings[w].details || tgxBin.fileIdentifier);
 			}
-			var stagePartVertexStreamLayoutDefinition = renderMesh.stage_part_vertex_stream_layout_definitions[0];
-			var formats = stagePartVertexStreamLayoutDefinition.formats;
-
-			var vertexBuffer = [];
-
-			for (var vertexBufferIndex in renderMesh.vertex_buffers) {
-				//for (var j=0; renderMesh.vertex_buffers.length; j++) {
-				var vertexBufferInfo = renderMesh.vertex_buffers[vertexBufferIndex];
-				var vertexBufferData = tgxBin.files[tgxBin.lookup.indexOf(vertexBufferInfo.file_name)].data;
-				var format = formats[vertexBufferIndex];
-
-				//console.log('VertexBuffer['+vertexBufferIndex+']', vertexBufferInfo.file_name, vertexBufferInfo, "\n"+'Elements', format);
-
-				var vertexIndex = 0;
-				for (var v = 0; v < vertexBufferInfo.byte_size; v += vertexBufferInfo.stride_byte_size) {
-					var vertexOffset = v;
-					if (vertexBuffer.length <= vertexIndex) vertexBuffer[vertexIndex] = {};
-					for (var e = 0; e < format.elements.length; e++) {
-						var element = format.elements[e];
-						var values = [];
-
-						var elementType = element.type.replace('_vertex_format_attribute_', '');
-						var types = ["ubyte", "byte", "ushort", "short", "uint", "int", "float"];
-						for (var typeIndex in types) {
-							var type = types[typeIndex];
-							if (elementType.indexOf(type) === 0) {
-								var count = parseInt(elementType.replace(type, ''));
-								var j, value;
-								switch (type) {
-									case 'ubyte':
-										for (j = 0; j < count; j++) {
-											value = utils.ubyte(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.unormalize(value, 8);
-											values.push(value);
-											vertexOffset++;
-										}
-										break;
-									case 'byte':
-										for (j = 0; j < count; j++) {
-											value = utils.byte(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.normalize(value, 8);
-											values.push(value);
-											vertexOffset++;
-										}
-										break;
-									case 'ushort':
-										for (j = 0; j < count; j++) {
-											value = utils.ushort(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.unormalize(value, 16);
-											values.push(value);
-											vertexOffset += 2;
-										}
-										break;
-									case 'short':
-										for (j = 0; j < count; j++) {
-											value = utils.short(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.normalize(value, 16);
-											values.push(value);
-											vertexOffset += 2;
-										}
-										break;
-									case 'uint':
-										for (j = 0; j < count; j++) {
-											value = utils.uint(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.unormalize(value, 32);
-											values.push(value);
-											vertexOffset += 4;
-										}
-										break;
-									case 'int':
-										for (j = 0; j < count; j++) {
-											value = utils.int(vertexBufferData, vertexOffset);
-											if (element.normalized) value = utils.normalize(value, 32);
-											values.push(value);
-											vertexOffset += 4;
-										}
-										break;
-									case 'float':
-										// Turns out all that icky binary2float conversion stuff can be done with a typed array, who knew?
-										values = new Float32Array(vertexBufferData.buffer, vertexOffset, count);
-										vertexOffset += count * 4;
-										//console.log(values);
-										//console.log(floatArray());
-										//for(j=0; j<count; j++) {
-										//	value = utils.float(vertexBufferData, vertexOffset);
-										//	values.push(value);
-										//	vertexOffset += 4;
-										//}
-										break;
-								}
-								break;
-							}
-						}
 
-						var semantic = element.semantic.replace('_tfx_vb_semantic_', '');
-						switch (semantic) {
-							case 'position':
-							case 'normal':
-							case 'tangent': // Not used
-							case 'texcoord':
-							case 'blendweight': // Bone weights 0-1
-							case 'blendindices': // Bone indices, 255=none, index starts at 1?
-							case 'color':
-								break;
-							default:
-								console.warn('Unknown Vertex Semantic', semantic, element.semantic_index, values);
-								break;
-						}
-						vertexBuffer[vertexIndex][semantic + element.semantic_index] = values;
-					}
-					vertexIndex++;
-				}
+			var meshes = parsed.meshes;
+			for (var r = 0; r < meshes.length; r++) {
+				var decoded = tgxBin.renderMeshes[r];
+				meshes[r].indexBuffer = decoded.indexBuffer;
+				meshes[r].vertexCount = decoded.vertexCount;
+				meshes[r].attributes = decoded.attributes;
 			}
-			return vertexBuffer;
-		}
 
-		// Spasm.RenderablePart
-		function parseStagePart(stagePart) {
-			var gearDyeSlot = 0;
-			var usePrimaryColor = true;
-			var useInvestmentDecal = false;
-
-			//console.log('StagePart', stagePart);
-
-			switch (stagePart.gear_dye_change_color_index) {
-				case 0:
-					gearDyeSlot = 0;
-					break;
-				case 1:
-					gearDyeSlot = 0;
-					usePrimaryColor = false;
-					break;
-				case 2:
-					gearDyeSlot = 1;
-					break;
-				case 3:
-					gearDyeSlot = 1;
-					usePrimaryColor = false;
-					break;
-				case 4:
-					gearDyeSlot = 2;
-					break;
-				case 5:
-					gearDyeSlot = 2;
-					usePrimaryColor = false;
-					break;
-				case 6:
-					gearDyeSlot = 3;
-					useInvestmentDecal = true;
-					break;
-				case 7:
-					gearDyeSlot = 3;
-					useInvestmentDecal = true;
-					break;
-				default:
-					console.warn('UnknownDyeChangeColorIndex[' + stagePart.gear_dye_change_color_index + ']', stagePart);
-					break;
-			}
-
-			var part = {
-				//externalIdentifier: stagePart.external_identifier,
-				//changeColorIndex: stagePart.gear_dye_change_color_index,
-				//primitiveType: stagePart.primitive_type,
-				//lodCategory: stagePart.lod_category,
-				gearDyeSlot: gearDyeSlot,
-				usePrimaryColor: usePrimaryColor,
-				useInvestmentDecal: useInvestmentDecal,
-				//indexMin: stagePart.index_min,
-				//indexMax: stagePart.index_max,
-				//indexStart: stagePart.start_index,
-				//indexCount: stagePart.index_count
-			};
-
-			for (var key in stagePart) {
-				var partKey = key;
-				var value = stagePart[key];
-				switch (key) {
-					//case 'external_identifier': partKey = 'externalIdentifier'; break;
-					case 'gear_dye_change_color_index': partKey = 'changeColorIndex'; break;
-					//case 'primitive_type': partKey = 'primitiveType'; break;
-					//case 'lod_category': partKey = 'lodCategory'; break;
-
-					//case 'index_min': partKey = 'indexMin'; break;
-					//case 'index_max': partKey = 'indexMax'; break;
-					case 'start_index': partKey = 'indexStart'; break;
-					//case 'index_count': partKey = 'indexCount'; break;
-
-					case 'shader':
-						var staticTextures = value.static_textures;
-						value = {
-							type: value.type
-						};
-						if (staticTextures) value.staticTextures = staticTextures;
-						break;
-
-					//case 'static_textures': partKey = 'staticTextures'; break;
-
-					default:
-						var keyWords = key.split('_');
-						var partKey = '';
-						for (var i = 0; i < keyWords.length; i++) {
-							var keyWord = keyWords[i];
-							partKey += i == 0 ? keyWord : keyWord.slice(0, 1).toUpperCase() + keyWord.slice(1);
-						}
-						break;
-				}
-				part[partKey] = value;
-			}
-
-			//if (stagePart.shader) {
-			//	var shader = stagePart.shader;
-			//	//console.log('StagePartShader', shader);
-			//	part.shader = shader.type;
-			//	part.staticTextures = shader.static_textures ? shader.static_textures : [];
-			//}
-
-			return part;
+			return meshes;
 		}
 
 		//return function(items, options, onLoad, onProgress, onError) {
@@ -3423,131 +3693,125 @@ Object.assign(THREE.TGXLoader.prototype, {
 			var shader = item.shaderHash ? shaders[item.shaderHash] : null;
 			//console.log('ParseGearAsset['+i+']', item, shader);
 			loadAssetManifest(item);
-			if (shader) loadAssetManifest(shader);
+			if (shader && shader.error) {
+				warn('ShaderNotResolved', { shaderHash: item.shaderHash, message: shader.error.message });
+			} else if (shader && (shader.gearAsset || !shader.translationBlock)) {
+				loadAssetManifest(shader);
+			}
 		}
 		//}
 		//})()
 	}
 });
 
-// Custom ShaderMaterial that implements Destiny gear dyes
+// MeshPhysicalMaterial that implements Destiny gear dyes
+// The gear shader is spliced into three's physical shader in onBeforeCompile so lighting, skinning and color
+// management stay with the renderer.
 (function () {
-	var ShaderMaterial = THREE.ShaderMaterial;
-	function TGXMaterial(params) {
-		if (params == undefined) params = {};
-
-		ShaderMaterial.call(this, {
-			//uniforms: uniforms,
-			//vertexShader: vertexShader,
-			//fragmentShader: fragmentShader,
-			lights: true,
-			fog: true
-		});
-
-		this.defaultAttributeValues.detailUv = [0, 0];
-		this.side = THREE.DoubleSide;
-
-		this.game = 'destiny2';
-
-		this.map = null;
-		this.normalMap = null;
-		this.envMap = null;
-		this.alphaMap = null;
-		this.emissiveMap = null;
-		this.specularMap = null;
-		this.gearstackMap = null;
-
-		this.color = new THREE.Color(0xffffff);
-		this.emissive = new THREE.Color(0x000000);
-		this.emissiveIntensity = 1;
-		this.specular = new THREE.Color(0x111111);
-		this.shininess = 0;
-		this.reflectivity = 0.1;
-
-		this.metalness = 0.5;
-		this.roughness = 0.5;
-
-		this.detailMap = null;
-		this.detailNormalMap = null;
-		this.detailDecalMap = null;
-		this.primaryDetailMap = null;
-		this.secondaryDetailMap = null;
-
-		this.decalMap = null;
-
-		this.dyeVariant = 0;
-		this.dyeBlendMode = 0;
-
-		this.isCloth = false;
-
-		this.usePrimaryColor = true;
-		this.primaryColor = new THREE.Color(0x000000);
-		this.secondaryColor = new THREE.Color(0xFFFFFF);
-
-		// Destiny 1 Properties
-		this.detailTransform = new THREE.Vector4(1, 1, 0, 0);
-		this.decalAlphaMapTransform = new THREE.Vector4(1, 1, 0, 0);
-		this.decalBlendOption = 0;
-		this.detailNormalContributionStrength = new THREE.Vector4(1, 1, 1, 1);
-		this.specularProperties = new THREE.Vector4(0, 0, 0, 0);
-		this.subsurfaceScatteringStrength = new THREE.Vector4(32.3, 1, 1, 1);
-
-		// Destiny 2 Properties
-		this.detailDiffuseTransform = new THREE.Vector4(1, 1, 0, 0);
-		this.detailNormalTransform = new THREE.Vector4(1, 1, 0, 0);
-		this.wornColor = new THREE.Color(0x666666);
-
-		this.tertiaryColor = new THREE.Color(0x000000);
-		this.quaternaryColor = new THREE.Color(0x000000);
-		this.decalColor = new THREE.Color(0x000000);
-		this.dyeslot = 0;
-
-		this.primaryParams = new THREE.Vector4(0, 0, 0, 0);
-		this.secondaryParams = new THREE.Vector4(0, 0, 0, 0);
-		this.wornParams = new THREE.Vector4(0, 0, 0, 0);
-
-		// Flags
-		this.useAlphaTest = false; // 0x20
-		//this.transparent = true;
-
-		this.useDye = true;
-		this.useDetail = true;
-		this.useDecal = false;
-
-		//this.detailEnvMap = null; // Vex Mythoclast
-		//console.log('TGXMaterialAlphaTest', params);
+	var MeshPhysicalMaterial = THREE.MeshPhysicalMaterial;
+
+	class TGXMaterial extends MeshPhysicalMaterial {
+		constructor(params) {
+			super();
+
+			if (params == undefined) params = {};
+
+			this.isTGXMaterial = true;
+			this.side = THREE.DoubleSide;
+
+			this.game = 'destiny2';
+
+			this.map = null;
+			this.normalMap = null;
+			this.envMap = null;
+			this.alphaMap = null;
+			this.emissiveMap = null;
+			this.gearstackMap = null;
+
+			this.color = new THREE.Color(0xffffff);
+			this.emissive = new THREE.Color(0x000000);
+			this.emissiveIntensity = 1;
+			// Plain dielectric Fresnel (F0 0.04), the gearstack drives smoothness and metalness per texel
+			this.ior = 1.5;
+			this.specularIntensity = 1;
+
+			this.metalness = 0.5;
+			this.roughness = 0.5;
+
+			this.detailMap = null;
+			this.detailNormalMap = null;
+			this.detailDecalMap = null;
+			this.primaryDetailMap = null;
+			this.secondaryDetailMap = null;
+
+			this.decalMap = null;
+
+			this.dyeVariant = 0;
+			this.dyeBlendMode = 0;
+
+			this.isCloth = false;
+
+			this.usePrimaryColor = true;
+			this.primaryColor = new THREE.Color(0x000000);
+			this.secondaryColor = new THREE.Color(0xFFFFFF);
+
+			// Destiny 1 Properties
+			this.detailTransform = new THREE.Vector4(1, 1, 0, 0);
+			this.decalAlphaMapTransform = new THREE.Vector4(1, 1, 0, 0);
+			this.decalBlendOption = 0;
+			this.detailNormalContributionStrength = new THREE.Vector4(1, 1, 1, 1);
+			this.specularProperties = new THREE.Vector4(0, 0, 0, 0);
+			this.subsurfaceScatteringStrength = new THREE.Vector4(32.3, 1, 1, 1);
+
+			// Destiny 2 Properties
+			this.detailDiffuseTransform = new THREE.Vector4(1, 1, 0, 0);
+			this.detailNormalTransform = new THREE.Vector4(1, 1, 0, 0);
+			this.wornColor = new THREE.Color(0x666666);
+
+			this.tertiaryColor = new THREE.Color(0x000000);
+			this.quaternaryColor = new THREE.Color(0x000000);
+			this.decalColor = new THREE.Color(0x000000);
+			this.dyeslot = 0;
+
+			this.primaryParams = new THREE.Vector4(0, 0, 0, 0);
+			this.secondaryParams = new THREE.Vector4(0, 0, 0, 0);
+			this.wornParams = new THREE.Vector4(0, 0, 0, 0);
+
+			// Flags
+			this.useAlphaTest = false; // 0x20
+			//this.transparent = true;
+
+			this.useDye = true;
+			this.useDetail = true;
+			this.useDecal = false;
+
+			//this.detailEnvMap = null; // Vex Mythoclast
+			//console.log('TGXMaterialAlphaTest', params);
+
+			// Uniforms owned by the gear shader, handed to the compiled program by reference in onBeforeCompile
+			this.tgxUniforms = {
+				gearstackMap: { value: null },
+				usePrimaryColor: { value: true },
+				primaryColor: { value: null },
+				secondaryColor: { value: null },
+				wornColor: { value: null },
+				primaryParams: { value: null },
+				secondaryParams: { value: null },
+				wornParams: { value: null },
+				blendMode: { value: 0 },
+				detailMap: { value: null },
+				detailNormalMap: { value: null },
+				detailDiffuseTransform: { value: null },
+				detailNormalTransform: { value: null }
+			};
 
-		this.setValues(params);
-		this.extensions.derivatives = true;
+			this.setValues(params);
 
-		this.update();
+			this.update();
+		}
 	}
-	TGXMaterial.prototype = Object.create(ShaderMaterial.prototype);
-	TGXMaterial.prototype.constructor = TGXMaterial;
 	TGXMaterial.prototype.copy = function (source) {
-		ShaderMaterial.prototype.copy.call(this, source);
-		//THREE.MeshPhongMaterial.prototype.copy.call(this, source);
-
-		this.map = source.map;
-		this.normalMap = source.normalMap;
-		this.specularMap = source.specularMap;
-		this.envMap = source.envMap;
-		this.emissiveMap = source.emissiveMap;
-		this.alphaMap = source.alphaMap;
-		//
-		this.color = source.color;
-		this.emissive = source.emissive;
-		this.emissiveIntensity = source.emissiveIntensity;
-		this.specular = source.specular;
-		this.shininess = source.shininess;
-		this.reflectivity = source.reflectivity;
-
-		this.metalness = source.metalness;
-		this.roughness = source.roughness;
-
-		this.transparency = source.transparency;
-		//
-		this.skinning = source.skinning;
+		MeshPhysicalMaterial.prototype.copy.call(this, source);
 
 		// Destiny specific stuff
 		this.game = source.game;
@@ -3558,7 +3822,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 		this.detailNormalMap = source.detailNormalMap;
 		this.detailDecalMap = source.detailDecalMap;
 		this.primaryDetailMap = source.primaryDetailMap;
-		this.secondaryDetaileMap = source.secondaryDetaileMap;
+		this.secondaryDetailMap = source.secondaryDetailMap;
 
 		this.decalMap = source.decalMap;
 
@@ -3602,86 +3866,35 @@ Object.assign(THREE.TGXLoader.prototype, {
 		this.update();
 		return this;
 	};
+	// Syncs the gear uniforms and defines with the material properties; call after changing dyes or flags
 	TGXMaterial.prototype.update = function () {
-		var shaderLib = THREE.ShaderLib.phong;
-		if (this.game == 'destiny2') shaderLib = THREE.ShaderLib.standard;
-		var uniforms = THREE.UniformsUtils.clone(shaderLib.uniforms);
-		var vertexShader = shaderLib.vertexShader;
-		var fragmentShader = shaderLib.fragmentShader;
-		var defines = {};
+		var uniforms = this.tgxUniforms;
+		var defines = this.defines;
 
-		//console.log('MaterialUpdate', this);
-
-		if (this.skinning) {
-			defines['USE_SKINNING'] = '';
-		}
-		if (this.map) {
-			defines['USE_MAP'] = '';
-			uniforms.map = { value: this.map };
-		}
-		if (this.normalMap) {
-			defines['USE_NORMALMAP'] = '';
-			uniforms.normalMap = { value: this.normalMap };
-		}
-		if (this.envMap) {
-			defines['USE_ENVMAP'] = '';
-			uniforms.envMap = { value: this.envMap };
-		}
-		if (this.alphaMap) {
-			defines['USE_ALPHAMAP'] = '';
-			uniforms.alphaMap = { value: this.alphaMap };
-		}
-		if (this.emissiveMap) {
-			defines['USE_EMISSIVEMAP'] = '';
-			uniforms.emissiveMap = { value: this.emissiveMap };
-		}
-		if (this.specularMap) {
-			defines['USE_SPECULARMAP'] = '';
-			uniforms.specularMap = { value: this.specularMap };
-		}
-		if (this.color) {
-			uniforms.diffuse = { value: this.color };
-		}
-		if (this.transparent) {
-			//uniforms.transparent = true;
-			uniforms.opacity = { value: this.opacity };
-		}
-
-		uniforms.emissive.value.copy(this.emissive).multiplyScalar(this.emissiveIntensity);
-		uniforms.specular = { value: this.specular };
-		uniforms.shininess = { value: this.shininess };
-		uniforms.reflectivity = { value: this.reflectivity };
-
-		uniforms.metalness = { value: this.metalness };
-		uniforms.roughness = { value: this.roughness };
+		['USE_DESTINY', 'USE_DESTINY2', 'USE_GEARSTACKMAP', 'USE_ALPHATESTSTACK', 'USE_DECAL', 'USE_DYE'].forEach(function (key) {
+			delete defines[key];
+		});
 
-		if (this.vertexColors) {
-			//defines['USE_COLOR'] = '';
+		// Diffuse maps are authored in sRGB, gearstack and normal maps hold linear data
+		if (this.map && this.map.colorSpace == THREE.NoColorSpace) {
+			this.map.colorSpace = THREE.SRGBColorSpace;
 		}
 
 		// Destiny Specific Stuff
-		uniforms.usePrimaryColor = { value: this.usePrimaryColor };
-		uniforms.primaryColor = { value: this.primaryColor };
-		uniforms.secondaryColor = { value: this.secondaryColor };
+		uniforms.usePrimaryColor.value = this.usePrimaryColor;
+		uniforms.primaryColor.value = this.primaryColor;
+		uniforms.secondaryColor.value = this.secondaryColor;
 
 		if (this.gearstackMap) {
 			defines['USE_GEARSTACKMAP'] = '';
-			uniforms.gearstackMap = { value: this.gearstackMap };
+			uniforms.gearstackMap.value = this.gearstackMap;
 			switch (this.game) {
 				case 'destiny2':
-					defines['USE_AOMAP'] = '';
-					uniforms.aoMap = { value: this.gearstackMap };
-					//
-					//defines['USE_ROUGHNESSMAP'] = '';
-					//uniforms.roughnessMap = {value: this.gearstackMap};
-
-					//defines['USE_SPECULARMAP'] = '';
-					//uniforms.specularMap = {value: this.gearstackMap};
-					uniforms.primaryParams = { value: this.primaryParams };
-					uniforms.secondaryParams = { value: this.secondaryParams };
-
-					//uniforms.shininess = {value: this.usePrimaryColor ? this.primaryParams[2] : this.secondaryParams[2]};
-					//uniforms.reflectivity = {value: this.usePrimaryColor ? this.primaryParams[1] : this.secondaryParams[1]};
+					// Red is AO
+					this.aoMap = this.gearstackMap;
+
+					uniforms.primaryParams.value = this.primaryParams;
+					uniforms.secondaryParams.value = this.secondaryParams;
 					break;
 				default:
 					//uniforms.blendMode = {value: this.blendMode};
@@ -3693,32 +3906,24 @@ Object.assign(THREE.TGXLoader.prototype, {
 			case 'destiny2':
 				defines['USE_DESTINY2'] = '';
 
-				uniforms.wornColor = { value: this.wornColor };
+				uniforms.wornColor.value = this.wornColor;
+				uniforms.wornParams.value = this.wornParams;
 
-				uniforms.detailDiffuseTransform = { value: this.detailDiffuseTransform };
-				uniforms.detailNormalTransform = { value: this.detailNormalTransform };
+				uniforms.detailDiffuseTransform.value = this.detailDiffuseTransform;
+				uniforms.detailNormalTransform.value = this.detailNormalTransform;
 				break;
 			default:
 				defines['USE_DESTINY'] = '';
 
-				uniforms.detailDiffuseTransform = { value: this.detailTransform };
-				uniforms.detailNormalTransform = { value: this.detailTransform };
-
-				uniforms.decalAlphaMapTransform = { value: this.decalAlphaMapTransform };
-				uniforms.decalBlendOption = { value: this.decalBlendOption };
-				uniforms.detailNormalContributionStrength = { value: this.detailNormalContributionStrength };
-				uniforms.specularProperties = { value: this.specularProperties };
+				uniforms.detailDiffuseTransform.value = this.detailTransform;
+				uniforms.detailNormalTransform.value = this.detailTransform;
 
+				// Approximate the Destiny 1 phong specular with the physical roughness
 				var spec = this.specularProperties;
-				uniforms.specular = { value: new THREE.Color(spec[0], spec[0], spec[0]) };
-				uniforms.shininess = { value: spec[1] };
-				//uniforms.reflectivity = {value: spec[1]};
-
-				uniforms.subsurfaceScatteringStrength = { value: this.subsurfaceScatteringStrength };
+				this.roughness = 1.0 - Math.min(Math.max(spec.y / 100, 0), 1);
 				break;
 		}
 
-
 		//if (this.isCloth) {
 		//	defines['USE_CLOTH_DYE'] = '';
 		//}
@@ -3730,18 +3935,14 @@ Object.assign(THREE.TGXLoader.prototype, {
 		if (this.useDetail) {
 			//if (this.detailMap) {
 			//	defines['USE_DETAIL'] = '';
-			//	uniforms.detailMap = {value: this.detailMap};
+			//	uniforms.detailMap.value = this.detailMap;
 			//} else {
 			//	//defines['USE_DETAIL'] = '';
-			//	uniforms.detailMap = {value: this.usePrimaryColor ? this.primaryDetailMap : this.secondaryDetailMap};
+			//	uniforms.detailMap.value = this.usePrimaryColor ? this.primaryDetailMap : this.secondaryDetailMap;
 			//}
 			//if (this.detailNormalMap) {
 			//	defines['USE_DETAIL_NORMAL'] = '';
-			//	uniforms.detailNormalMap = {value: this.detailNormalMap};
-			//}
-			//if (this.detailDecalMap) {
-			//	defines['USE_DECAL'] = '';
-			//	uniforms.detailDecalMap = {value: this.detailDecalMap};
+			//	uniforms.detailNormalMap.value = this.detailNormalMap;
 			//}
 		}
 
@@ -3749,269 +3950,243 @@ Object.assign(THREE.TGXLoader.prototype, {
 			defines['USE_DECAL'] = '';
 		}
 
-		if (this.shininess == 0) {
-			defines['NO_SHINE'] = '';
-		}
-
 		if (this.useDye) {
 			defines['USE_DYE'] = '';
 		}
 
-		//console.log('MaterialParams', this);
+		this.needsUpdate = true;
+	};
+	TGXMaterial.prototype.onBeforeCompile = function (shader) {
+		var vertexShader = shader.vertexShader;
+		var fragmentShader = shader.fragmentShader;
+
+		for (var key in this.tgxUniforms) {
+			shader.uniforms[key] = this.tgxUniforms[key];
+		}
 
 		// Spasm.GearShader
 		// Since most of the rendering is handled by Three.js, only some of this shader code is needed
 		var chunks = TGXMaterial.ShaderChunk;
 
-		if (vertexShader.indexOf('USE_DETAIL') == -1) {
-			// Detail Vertex Vars
-			vertexShader = this.insertAfter('#include <uv2_pars_vertex>', vertexShader, chunks.detail_pars_vertex);
-			vertexShader = this.insertAfter('#include <uv2_vertex>', vertexShader, chunks.detail_vertex);
-		}
+		// Gearstack and Detail Vertex Vars
+		vertexShader = this.insertAfter('#include <uv_pars_vertex>', vertexShader, [chunks.gearstack_pars_vertex, chunks.detail_pars_vertex]);
+		vertexShader = this.insertAfter('#include <uv_vertex>', vertexShader, [chunks.gearstack_vertex, chunks.detail_vertex]);
 
-		if (fragmentShader.indexOf('USE_GEARSTACKMAP') == -1) {
-			fragmentShader = this.insertAfter('#include <map_pars_fragment>', fragmentShader, [chunks.common_pars_fragment, chunks.gearstack_pars_fragment]);
-
-			// TODO Fix normal detail
-			//fragmentShader = this.replace('#include <normalmap_pars_fragment>', fragmentShader, chunks.gearstack_normal_fragment);
-
-			var gearstackFragment = [
-				"diffuseColor = pow(diffuseColor, vec4(gamma_correction_power));",
-
-				"vec4 gearstackColor = vec4(1.0, 1.0, 1.0, 1.0);",
-				"vec4 dyeColor = usePrimaryColor ? vec4(primaryColor, 1.0) : vec4(secondaryColor, 1.0);",
-
-				"#ifdef USE_GEARSTACKMAP",
-				"gearstackColor = texture2D(gearstackMap, vUv);",
-				"#endif",
-
-				// Dye Textures (Detail)
-				"#ifdef USE_DETAIL",
-				"vec4 color_dye_diffuse_texture = texture2D(detailMap, vUv2);",
-				//"vec4 color_dye_diffuse_texture = texture2D(u_texture_dye_diffuse, v_texcoord2);",
-
-				"float dye_alpha = color_dye_diffuse_texture.w;",
-				"float dye_color_normalize = (1.0 - dye_alpha) * 0.5;",
-				"vec4 color_dye_diffuse = pow(vec4("
-				+ "color_dye_diffuse_texture.x * dye_alpha + dye_color_normalize, "
-				+ "color_dye_diffuse_texture.y * dye_alpha + dye_color_normalize, "
-				+ "color_dye_diffuse_texture.z * dye_alpha + dye_color_normalize, 1.0), "
-				+ "vec4(gamma_correction_power));",
-				"diffuseColor = blend_overlay(color_dye_diffuse, diffuseColor);",
-
-				// TODO figure out how to make decals look worn
-				"#ifdef USE_DECAL",
-				//"vec4 decalColor = texture2D(detailDecalMap, vUv2);",
-				//"diffuseColor = blend_multiply(decalColor, diffuseColor);",
-				"#endif",
-
-				//"vec4 color_dye_normal = texture2D(dyeNormal, vUv2);",
-				//"color_dye_normal = color_dye_normal * 2.0 - 1.0;",
-				//"normal = normal + color_dye_normal.xy;",
-				"#endif",
-
-				"#ifdef USE_DESTINY",
-				"vec4 blendColorUncorrected = mix(diffuseColor, blend_overlay(diffuseColor, dyeColor), gearstackColor.r);",
-				"diffuseColor = blendColorUncorrected;",
-
-				// Worn Color
-				//"vec4 detailColor = vec4(wornColor, 1.0);",
-				//"vec4 blendDetail = mix(diffuseColor, blend_overlay(diffuseColor, detailColor), dyeAmbientColor.b);",
-				//"diffuseColor = blendDetail;",
-
-				//"vec4 decalColor = vec4(1.0, 0.0, 1.0, 1.0);",
-				//"vec4 blendDecal = mix(diffuseColor, blend_multiply(diffuseColor, decalColor), gearstackColor.b);",
-				//"diffuseColor = blendDecal;",
-				"#endif",
-
-				"#ifdef USE_DESTINY2",
-				// Gearstack Textures
-				// Notes from https://twitter.com/HashtagVeegie/status/929245226207649792
-				// Red is AO, Green is smoothness, Blue is encoded alpha test and emissive.
-				// Alpha is encoded dye mask, non-dyed metalness, and wear mask.
-
-				// Nice overview of PBR
-				// http://blog.teamtreehouse.com/beginners-guide-physically-based-rendering-unity
-				"vec4 wearColor = vec4(wornColor, 1.0);",
-
-				"float gearstackB = gearstackColor.b * 255.0;",
-				"float gearstackA = gearstackColor.a * 255.0;",
-
-				"float gearstackAO = gearstackColor.r;",
-				"float gearstackSmoothness = gearstackColor.g;",
-				"float gearstackAlphaTest = gearstackB / 32.0;",
-				"float gearstackEmissive = saturate((gearstackColor.b - (40.0/255.0)) * (255.0 / (255.0-40.0)));",
-				//"float gearstackMetalness = saturate(gearstackColor.a - ((255.0-32.0)/255.0) * (32.0/255.0));",
-				//"float gearstackMetalness = max(gearstackA, 32.0) / 32.0;",
-				"float gearstackMetalness = gearstackA / 32.0;",
-				"float gearstackDyeMask = step(40.0 / 255.0, gearstackA);",
-				"float gearstackWearMask = saturate((gearstackColor.a - (48.0/255.0)) * (255.0 / (255.0-48.0)));",
-
-				"vec4 blendColorUncorrected = diffuseColor;",
-				"#ifdef USE_DYE",
-				"blendColorUncorrected = mix(diffuseColor, blend_overlay(diffuseColor, dyeColor), gearstackDyeMask);",
-				"#endif",
-				"vec4 blendWearColorUncorrected = mix(blendColorUncorrected, blend_multiply(blendColorUncorrected, wearColor), gearstackWearMask);",
-				//"vec4 blendWearColorUncorrected = mix(blendColorUncorrected, blend_overlay(blendColorUncorrected, wearColor), gearstackWearMask);",
-				"diffuseColor = blendColorUncorrected;",
-				"diffuseColor = blendWearColorUncorrected;",
-				"#endif",
-
-				"diffuseColor = vec4(pow(diffuseColor.xyz, vec3(gamma_correction_power_inverse)), 1.0);",
-
-				"#ifdef USE_DECAL",
-				//"diffuseColor = texture2D(decalMap, vUv);",
-				"#endif",
-
-				"#ifdef USE_ALPHATESTSTACK",
-				"#ifdef USE_DESTINY",
-				//"diffuseColor.a = gearstackColor.b;",
-				"diffuseColor.a = diffuseColor.g;",
-				"if (diffuseColor.a < 1.0 - gearstackColor.b) discard;",
-				"#endif",
-
-				"#ifdef USE_DESTINY2",
-				//"float gearstackB = gearstackColor.b * 255.0;",
-				"if (gearstackB < 32.0) {",
-				"vec4 alphaTestMask = blend_overlay(diffuseColor, vec4(1.0, 0.5, 0.0, 1.0));",
-				//"vec4 alphaTestMask = vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0);",
-				//"diffuseColor = mix(diffuseColor, alphaTestMask, gearstackDyeMask*(1.0-(gearstackB / 32.0)));",
-
-				"diffuseColor.a = mix(1.0, gearstackB / 32.0, gearstackDyeMask);",
-
-				//"diffuseColor = mix(diffuseColor, vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0), gearstackColor.b);",
-				//"diffuseColor.a = gearstackB / 32.0;",
-
-
-
-				//"diffuseColor.a *= mix(1.0, gearstackB / 32.0, gearstackDyeMask);",
-				//"diffuseColor.a = mix(0.0, 1.0, gearstackDyeMask*(gearstackB / 32.0));",
-
-				"}",
-				//"if (gearstackB < 32.0) {",
-				//"diffuseColor = mix(diffuseColor, vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0), 1.0-(gearstackB/32.0));",
-				//"diffuseColor.a = gearstackB / 32.0;",
-				//"}",
-				//"float gearstackAlpha = 32.0 / 255.0;",
-				//"if (gearstackB < 32) {",
-				//"diffuseColor.a = saturate((gearstackColor.b - (32.0/255.0)) * (255.0/(255.0/32.0)));",
-				//"if (gearstackColor.b < gearstackAlpha) {",
-				//	"diffuseColor.a = gearstackColor.b * 255.0;",
-				"if (diffuseColor.a < 0.5) {",
-				"discard;",
-				"}",
-				//"}",
-				"#endif",
-				"#endif",
-			];
-			fragmentShader = this.insertAfter('#include <map_fragment>', fragmentShader, gearstackFragment);
-
-			var emissiveFragment = [
-				"#ifdef USE_DESTINY2",
-				//"float gearstackEmissive = gearstackColor.b * 255.0;",
-				"if (gearstackB > 40.0) {",
-				//"float emissiveValue = saturate((gearstackColor.b - (40.0/255.0)) * (255.0 / (255.0-40.0)));",
-
-				"totalEmissiveRadiance *= gearstackEmissive;",
-				//"diffuseColor = mix(diffuseColor, vec4(0.0, 1.0, 1.0, 1.0), gearstackDyeMask);",
-				"}",
-				"#endif"
-			];
-			fragmentShader = this.insertAfter('#include <emissivemap_fragment>', fragmentShader, emissiveFragment);
+		fragmentShader = this.insertAfter('#include <map_pars_fragment>', fragmentShader, [chunks.common_pars_fragment, chunks.gearstack_pars_fragment]);
 
-			var roughnessFragment = [
-				"#ifdef USE_DESTINY2\n",
-				"\troughnessFactor = 1.0-gearstackColor.g;\n",
-				"#endif\n"
-			];
-			fragmentShader = this.insertAfter('#include <roughnessmap_fragment>', fragmentShader, roughnessFragment);
-
-			var metalnessFragment = [
-				"#ifdef USE_DESTINY2",
-				//"metalnessFactor = 0.0;",
-				//"metalnessFactor = float(int(gearstackColor.a * 255.0) & 0x3F) / 32.0;",
-				//"int gearstackAlpha = int(gearstackColor.a * 255.0);",
-				//"metalnessFactor = float(bitwise_and(gearstackAlpha, 0x3F)) / 32.0;",
-				//"float gearstackA = gearstackColor.a * 255.0;",
-				//"diffuseColor = mix(diffuseColor, vec4(1.0, 0.0, 0.0, 1.0), gearstackColor.a);",
-				//"if (gearstackA < 32.0) {",
-				//"diffuseColor = mix(diffuseColor, vec4(0.0, gearstackMetalness, 0.0, 1.0), gearstackDyeMask);",
-				//"diffuseColor = mix(diffuseColor, blend_overlay(diffuseColor, vec4(0.0, gearstackMetalness, 0.0, 0.2)), gearstackDyeMask);",
-
-				//"diffuseColor = mix(diffuseColor, vec4(0.0, 1.0, 0.0, 1.0), gearstackDyeMask);",
-
-				"if (gearstackA < 32.0) {",
-				"metalnessFactor = gearstackA / 32.0;",
-				"} else {",
-				"metalnessFactor = usePrimaryColor ? primaryParams.w : secondaryParams.w;",
-				"}",
-
-				//"metalnessFactor = mix(0.0, gearstackMetalness, gearstackDyeMask);",
-				//"metalnessFactor = saturate(gearstackA / 32.0);",
-				//"}",
-				//"} else {",
-				//"metalnessFactor = 0.0;",
-				//"}",
-				//"metalnessFactor = gearstackColor.a * metalness;",
-				"#endif"
-			];
-			fragmentShader = this.insertAfter('#include <metalnessmap_fragment>', fragmentShader, metalnessFragment);
+		// TODO Fix normal detail
+		//fragmentShader = this.replace('#include <normalmap_pars_fragment>', fragmentShader, chunks.gearstack_normal_fragment);
+		var gearstackFragment = [
+			// diffuseColor is already linear here, three decodes the sRGB diffuse map and encodes the output
+			"vec4 gearstackColor = vec4(1.0, 1.0, 1.0, 1.0);",
+			"vec4 dyeColor = usePrimaryColor ? vec4(primaryColor, 1.0) : vec4(secondaryColor, 1.0);",
 
-			var alphaFragment = [
-				"#ifdef USE_ALPHATESTSTACK",
-				"#ifdef USE_DESTINY",
-				//"diffuseColor.a = gearstackColor.b;",
-				//"diffuseColor.a = 0.5;",
+			"#ifdef USE_GEARSTACKMAP",
+			"gearstackColor = texture2D(gearstackMap, vTGXUv);",
+			"#endif",
 
-				"#endif",
-				"#endif"
-			];
-			//fragmentShader = this.insertAfter('#include <alphamap_fragment>', fragmentShader, alphaFragment);
-
-			// Vertex Colors
-			// Doesn't appear to be a standard color, possibly flags?
-			var colorFragment = [
-				"#ifdef USE_COLOR",
-				"vec3 vtxColor = vColor;",
-				//"diffuseColor = vec4(vColor, 1.0);",
-				//"diffuseColor = mix(diffuseColor, blend_overlay(diffuseColor, vec4(primaryColor, 1.0)), vColor.r);",
-				"#endif"
-			];
-			fragmentShader = this.replace('#include <color_fragment>', fragmentShader, colorFragment);
-
-			// Gearstack Specular Fragment
-			//var specularFragment = [
-			//	"specularStrength = 1.0;",
-			//
-			//	"#ifdef USE_GEARSTACKMAP",
-			//		"vec4 gearstackSpecular = texture2D(gearstackMap, vUv);",
-			//		"specularStrength = gearstackSpecular.g * 0.4;",
-			//	"#endif",
-			//	"#ifdef NO_SHINE",
-			//		"specularStrength = 0.0;",
-			//	"#endif",
-			//];
-			var specularFragment = [
-				"#ifndef USE_SPECULARMAP",
-				"specularStrength = 1.0;",
-				"#ifdef USE_DESTINY",
-				"specularStrength = gearstackColor.g * 0.2;",
-				"#endif",
-				//"#ifdef NO_SHINE",
-				//	"specularStrength = 0.0;",
-				//"#endif",
-				"#endif"
-			];
+			// Dye Textures (Detail)
+			"#ifdef USE_DETAIL",
+			"vec4 color_dye_diffuse_texture = texture2D(detailMap, vUv2);",
+			//"vec4 color_dye_diffuse_texture = texture2D(u_texture_dye_diffuse, v_texcoord2);",
+
+			"float dye_alpha = color_dye_diffuse_texture.w;",
+			"float dye_color_normalize = (1.0 - dye_alpha) * 0.5;",
+			"vec4 color_dye_diffuse = pow(vec4("
+			+ "color_dye_diffuse_texture.x * dye_alpha + dye_color_normalize, "
+			+ "color_dye_diffuse_texture.y * dye_alpha + dye_color_normalize, "
+			+ "color_dye_diffuse_texture.z * dye_alpha + dye_color_normalize, 1.0), "
+			+ "vec4(gamma_correction_power));",
+			"diffuseColor = blend_overlay(color_dye_diffuse, diffuseColor);",
+
+			// TODO figure out how to make decals look worn
+			"#ifdef USE_DECAL",
+			//"vec4 decalColor = texture2D(detailDecalMap, vUv2);",
+			//"diffuseColor = blend_multiply(decalColor, diffuseColor);",
+			"#endif",
 
-			fragmentShader = this.insertAfter('#include <specularmap_fragment>', fragmentShader, specularFragment);
+			//"vec4 color_dye_normal = texture2D(dyeNormal, vUv2);",
+			//"color_dye_normal = color_dye_normal * 2.0 - 1.0;",
+			//"normal = normal + color_dye_normal.xy;",
+			"#endif",
 
-			//console.log('VertexShader', vertexShader);
-			//console.log('FragmentShader', fragmentShader);
-		}
-		this.defines = defines;
-		this.uniforms = uniforms;
-		this.vertexShader = vertexShader;
-		this.fragmentShader = fragmentShader;
+			"#ifdef USE_DESTINY",
+			"vec4 blendColorUncorrected = mix(diffuseColor, blend_overlay(diffuseColor, dyeColor), gearstackColor.r);",
+			"diffuseColor = blendColorUncorrected;",
+
+			// Worn Color
+			//"vec4 detailColor = vec4(wornColor, 1.0);",
+			//"vec4 blendDetail = mix(diffuseColor, blend_overlay(diffuseColor, detailColor), dyeAmbientColor.b);",
+			//"diffuseColor = blendDetail;",
+
+			//"vec4 decalColor = vec4(1.0, 0.0, 1.0, 1.0);",
+			//"vec4 blendDecal = mix(diffuseColor, blend_multiply(diffuseColor, decalColor), gearstackColor.b);",
+			//"diffuseColor = blendDecal;",
+			"#endif",
+
+			"#ifdef USE_DESTINY2",
+			// Gearstack Textures
+			// Notes from https://twitter.com/HashtagVeegie/status/929245226207649792
+			// Red is AO, Green is smoothness, Blue is encoded alpha test and emissive.
+			// Alpha is encoded dye mask, non-dyed metalness, and wear mask.
+
+			// Nice overview of PBR
+			// http://blog.teamtreehouse.com/beginners-guide-physically-based-rendering-unity
+			"vec4 wearColor = vec4(wornColor, 1.0);",
+
+			"float gearstackB = gearstackColor.b * 255.0;",
+			"float gearstackA = gearstackColor.a * 255.0;",
+
+			"float gearstackAO = gearstackColor.r;",
+			"float gearstackSmoothness = gearstackColor.g;",
+			"float gearstackAlphaTest = gearstackB / 32.0;",
+			"float gearstackEmissive = saturate((gearstackColor.b - (40.0/255.0)) * (255.0 / (255.0-40.0)));",
+			//"float gearstackMetalness = saturate(gearstackColor.a - ((255.0-32.0)/255.0) * (32.0/255.0));",
+			//"float gearstackMetalness = max(gearstackA, 32.0) / 32.0;",
+			"float gearstackMetalness = gearstackA / 32.0;",
+			"float gearstackDyeMask = step(40.0 / 255.0, gearstackA);",
+			"float gearstackWearMask = saturate((gearstackColor.a - (48.0/255.0)) * (255.0 / (255.0-48.0)));",
+
+			"vec4 blendColorUncorrected = diffuseColor;",
+			"#ifdef USE_DYE",
+			"blendColorUncorrected = mix(diffuseColor, blend_overlay(diffuseColor, dyeColor), gearstackDyeMask);",
+			"#endif",
+			"vec4 blendWearColorUncorrected = mix(blendColorUncorrected, blend_multiply(blendColorUncorrected, wearColor), gearstackWearMask);",
+			//"vec4 blendWearColorUncorrected = mix(blendColorUncorrected, blend_overlay(blendColorUncorrected, wearColor), gearstackWearMask);",
+			"diffuseColor = blendColorUncorrected;",
+			"diffuseColor = blendWearColorUncorrected;",
+			"#endif",
+
+			"diffuseColor.a = 1.0;",
+
+			"#ifdef USE_DECAL",
+			//"diffuseColor = texture2D(decalMap, vUv);",
+			"#endif",
+
+			"#ifdef USE_ALPHATESTSTACK",
+			"#ifdef USE_DESTINY",
+			//"diffuseColor.a = gearstackColor.b;",
+			"diffuseColor.a = diffuseColor.g;",
+			"if (diffuseColor.a < 1.0 - gearstackColor.b) discard;",
+			"#endif",
+
+			"#ifdef USE_DESTINY2",
+			//"float gearstackB = gearstackColor.b * 255.0;",
+			"if (gearstackB < 32.0) {",
+			"vec4 alphaTestMask = blend_overlay(diffuseColor, vec4(1.0, 0.5, 0.0, 1.0));",
+			//"vec4 alphaTestMask = vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0);",
+			//"diffuseColor = mix(diffuseColor, alphaTestMask, gearstackDyeMask*(1.0-(gearstackB / 32.0)));",
+
+			"diffuseColor.a = mix(1.0, gearstackB / 32.0, gearstackDyeMask);",
+
+			//"diffuseColor = mix(diffuseColor, vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0), gearstackColor.b);",
+			//"diffuseColor.a = gearstackB / 32.0;",
+
+
+
+			//"diffuseColor.a *= mix(1.0, gearstackB / 32.0, gearstackDyeMask);",
+			//"diffuseColor.a = mix(0.0, 1.0, gearstackDyeMask*(gearstackB / 32.0));",
+
+			"}",
+			//"if (gearstackB < 32.0) {",
+			//"diffuseColor = mix(diffuseColor, vec4(diffuseColor.r, diffuseColor.g, diffuseColor.b, 0.0), 1.0-(gearstackB/32.0));",
+			//"diffuseColor.a = gearstackB / 32.0;",
+			//"}",
+			//"float gearstackAlpha = 32.0 / 255.0;",
+			//"if (gearstackB < 32) {",
+			//"diffuseColor.a = saturate((gearstackColor.b - (32.0/255.0)) * (255.0/(255.0/32.0)));",
+			//"if (gearstackColor.b < gearstackAlpha) {",
+			//	"diffuseColor.a = gearstackColor.b * 255.0;",
+			"if (diffuseColor.a < 0.5) {",
+			"discard;",
+			"}",
+			//"}",
+			"#endif",
+			"#endif",
+		];
+		fragmentShader = this.insertAfter('#include <map_fragment>', fragmentShader, gearstackFragment);
+
+		var emissiveFragment = [
+			"#ifdef USE_DESTINY2",
+			//"float gearstackEmissive = gearstackColor.b * 255.0;",
+			"if (gearstackB > 40.0) {",
+			//"float emissiveValue = saturate((gearstackColor.b - (40.0/255.0)) * (255.0 / (255.0-40.0)));",
+
+			"totalEmissiveRadiance *= gearstackEmissive;",
+			//"diffuseColor = mix(diffuseColor, vec4(0.0, 1.0, 1.0, 1.0), gearstackDyeMask);",
+			"}",
+			"#endif"
+		];
+		fragmentShader = this.insertAfter('#include <emissivemap_fragment>', fragmentShader, emissiveFragment);
+
+		var roughnessFragment = [
+			"#ifdef USE_DESTINY2\n",
+			"\troughnessFactor = 1.0-gearstackColor.g;\n",
+			"#endif\n",
+			// Destiny 1 only stores a specular strength in green
+			"#ifdef USE_DESTINY\n",
+			"\troughnessFactor = 1.0-(gearstackColor.g * 0.2);\n",
+			"#endif\n"
+		];
+		fragmentShader = this.insertAfter('#include <roughnessmap_fragment>', fragmentShader, roughnessFragment);
+
+		var metalnessFragment = [
+			"#ifdef USE_DESTINY2",
+			//"metalnessFactor = 0.0;",
+			//"metalnessFactor = float(int(gearstackColor.a * 255.0) & 0x3F) / 32.0;",
+			//"int gearstackAlpha = int(gearstackColor.a * 255.0);",
+			//"metalnessFactor = float(bitwise_and(gearstackAlpha, 0x3F)) / 32.0;",
+			//"float gearstackA = gearstackColor.a * 255.0;",
+			//"diffuseColor = mix(diffuseColor, vec4(1.0, 0.0, 0.0, 1.0), gearstackColor.a);",
+			//"if (gearstackA < 32.0) {",
+			//"diffuseColor = mix(diffuseColor, vec4(0.0, gearstackMetalness, 0.0, 1.0), gearstackDyeMask);",
+			//"diffuseColor = mix(diffuseColor, blend_overlay(diffuseColor, vec4(0.0, gearstackMetalness, 0.0, 0.2)), gearstackDyeMask);",
+
+			//"diffuseColor = mix(diffuseColor, vec4(0.0, 1.0, 0.0, 1.0), gearstackDyeMask);",
+
+			"if (gearstackA < 32.0) {",
+			"metalnessFactor = gearstackA / 32.0;",
+			"} else {",
+			"metalnessFactor = usePrimaryColor ? primaryParams.w : secondaryParams.w;",
+			"}",
+
+			//"metalnessFactor = mix(0.0, gearstackMetalness, gearstackDyeMask);",
+			//"metalnessFactor = saturate(gearstackA / 32.0);",
+			//"}",
+			//"} else {",
+			//"metalnessFactor = 0.0;",
+			//"}",
+			//"metalnessFactor = gearstackColor.a * metalness;",
+			"#endif"
+		];
+		fragmentShader = this.insertAfter('#include <metalnessmap_fragment>', fragmentShader, metalnessFragment);
+
+		var alphaFragment = [
+			"#ifdef USE_ALPHATESTSTACK",
+			"#ifdef USE_DESTINY",
+			//"diffuseColor.a = gearstackColor.b;",
+			//"diffuseColor.a = 0.5;",
+
+			"#endif",
+			"#endif"
+		];
+		//fragmentShader = this.insertAfter('#include <alphamap_fragment>', fragmentShader, alphaFragment);
+
+		// Vertex Colors
+		// Doesn't appear to be a standard color, possibly flags?
+		var colorFragment = [
+			"#ifdef USE_COLOR",
+			"vec3 vtxColor = vColor;",
+			//"diffuseColor = vec4(vColor, 1.0);",
+			//"diffuseColor = mix(diffuseColor, blend_overlay(diffuseColor, vec4(primaryColor, 1.0)), vColor.r);",
+			"#endif"
+		];
+		fragmentShader = this.replace('#include <color_fragment>', fragmentShader, colorFragment);
+
+		//console.log('VertexShader', vertexShader);
+		//console.log('FragmentShader', fragmentShader);
+		shader.vertexShader = vertexShader;
+		shader.fragmentShader = fragmentShader;
 	};
 	TGXMaterial.prototype.insertBefore = function (search, shader, insertCode) {
 		search += "\n";
@@ -4037,7 +4212,6 @@ Object.assign(THREE.TGXLoader.prototype, {
 		common_pars_fragment: [
 			//"#define saturate(value) clamp(value, 0.0, 1.0)",
 			"const float gamma_correction_power = 2.2;",
-			"const float gamma_correction_power_inverse = 1.0/2.2;",
 
 			// Blend Functions
 			"vec4 blend_overlay(vec4 back, vec4 front) {",
@@ -4087,9 +4261,19 @@ Object.assign(THREE.TGXLoader.prototype, {
 			"return result;",
 			"}"
 		],
+		gearstack_pars_vertex: [
+			"#ifdef USE_GEARSTACKMAP",
+			"\tvarying vec2 vTGXUv;",
+			"#endif"
+		],
+		gearstack_vertex: [
+			"#ifdef USE_GEARSTACKMAP",
+			"\tvTGXUv = uv;",
+			"#endif"
+		],
 		detail_pars_vertex: [
 			"#ifdef USE_DETAIL",
-			"\tattribute vec2 uv2;",
+			"\tattribute vec2 detailUv;",
 			"\tvarying vec2 vUv2;",
 			"\tuniform vec4 detailDiffuseTransform;",
 			"\tuniform vec4 detailNormalTransform;",
@@ -4097,7 +4281,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 		],
 		detail_vertex: [
 			"#ifdef USE_DETAIL",
-			"\tvUv2 = (uv2 * detailDiffuseTransform.xy) + detailDiffuseTransform.zw;",
+			"\tvUv2 = (detailUv * detailDiffuseTransform.xy) + detailDiffuseTransform.zw;",
 			// vertexShader.push("v_texcoord2 = ((texcoord * a_texcoord2) * u_detail_transform.xy) + u_detail_transform.zw;"),
 			"#endif"
 		],
@@ -4105,6 +4289,7 @@ Object.assign(THREE.TGXLoader.prototype, {
 			// Gearstack Fragment Vars
 			"#ifdef USE_GEARSTACKMAP",
 			"\tuniform sampler2D gearstackMap;",
+			"\tvarying vec2 vTGXUv;",
 			"#endif",
 
 			"#ifdef USE_DESTINY",
@@ -4181,105 +4366,210 @@ Object.assign(THREE.TGXLoader.prototype, {
 })();
 
 // A pure javascript loader for querying the mobile manifest.
-// It's dependent on the following libraries:
+// Its worker (public/workers/manifest.worker.js) depends on the following libraries:
 // - zip.js (http://gildas-lormeau.github.io/zip.js/)
 // - sql.js (https://github.com/kripken/sql.js)
 (function () {
-	var manifestBlob = null;
+	var manifestDb = null;
+	var manifestResponse = null;
+	var worldContentDb = null;
+	var worldContentCallbacks = null;
+	var loadCallbacks = null; // Callers waiting on a running load(), null when none is running
+	var locale = 'en';
 	var apiKey = THREE.TGXLoader.APIKey;
 	var apiBasepath = THREE.TGXLoader.APIBasepath;
 	var basepath = THREE.TGXLoader.Basepath;
 
-	// https://github.com/DestinyItemManager/DIM/blob/master/src/scripts/services/dimManifestService.factory.js
-	// This manifest loader is based on DIM's code
-	function loadDatabase(response, onLoad, onProgress, onError) {
-		var assetDatabases = response.Response.mobileGearAssetDataBases;
-		if (assetDatabases.length > 0) {
-			var assetDatabase = assetDatabases[assetDatabases.length - 1];
-			var assetDatabaseUrl = basepath + assetDatabase.path;
-
-			//console.log('Database', assetDatabaseUrl);
+	// Downloaded databases persist in IndexedDB, keyed by manifest version. A new Bungie release replaces them.
+	var CACHE_DB_NAME = 'TGXManifestCache';
+	var CACHE_STORE = 'databases';
+	var useCache = true;
+	var manifestVersion = null;
+	var cacheOpen = null;
+
+	function openCache() {
+		if (!cacheOpen) {
+			cacheOpen = new Promise(function (resolve) {
+				if (!useCache || typeof indexedDB === 'undefined') {
+					resolve(null);
+					return;
+				}
+				var request = indexedDB.open(CACHE_DB_NAME, 1);
+				request.onupgradeneeded = function () {
+					request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+				};
+				request.onsuccess = function () {
+					resolve(request.result);
+				};
+				request.onerror = function () {
+					console.warn('[TGXManifest] Cache unavailable:', request.error);
+					resolve(null);
+				};
+			});
+		}
+		return cacheOpen;
+	}
 
-			// http://gildas-lormeau.github.io/zip.js/
-			// Updated for zip.js v2.x (Promise-based)
-			try {
-				const reader = new zip.ZipReader(new zip.HttpReader(assetDatabaseUrl));
-				reader.getEntries().then(function (entries) {
-					if (entries.length == 0) {
-						console.error('Empty Database');
-						return;
+	// Calls back with the data cached under key, or null when it's missing or from another manifest version.
+	// Like TGXContentCache.get, cache failures are misses and the callback runs outside the read's error handling.
+	function readCache(key, callback) {
+		openCache().then(function (db) {
+			if (!db || !manifestVersion) return null;
+			return new Promise(function (resolve) {
+				var request = db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).get(key);
+				request.onsuccess = function () {
+					var record = request.result;
+					if (record && record.version === manifestVersion) {
+						console.log('[TGXManifest] Cache hit:', key, manifestVersion);
+						resolve(record.data);
+					} else {
+						resolve(null);
 					}
-					return entries[0].getData(new zip.BlobWriter());
-				}).then(function (blob) {
-					if (!blob) return;
-					var blobReader = new FileReader();
-					blobReader.addEventListener("error", onError);
-					blobReader.addEventListener("load", function () {
-						reader.close().then(function () {
-							manifestBlob = new Uint8Array(blobReader.result);
-							// Expose manifestBlob globally for TGXLoader access
-							THREE.TGXManifest.manifestBlob = manifestBlob;
-							console.log('[TGXManifest] manifestBlob loaded and exposed globally');
-							if (onLoad) onLoad();
-						});
-					});
-					blobReader.readAsArrayBuffer(blob);
-				}).catch(function (error) {
-					console.error("Zip Error:", error);
-					if (onError) onError(error);
-				});
+				};
+				request.onerror = function () {
+					resolve(null);
+				};
+			});
+		}).catch(function (e) {
+			console.error('[TGXManifest] Cache read error:', key, e);
+			return null;
+		}).then(callback);
+	}
+
+	function writeCache(key, data) {
+		openCache().then(function (db) {
+			if (!db || !manifestVersion) return;
+			var transaction = db.transaction(CACHE_STORE, 'readwrite');
+			transaction.objectStore(CACHE_STORE).put({ key: key, version: manifestVersion, data: data });
+			transaction.onerror = function () { // Usually the storage quota
+				console.warn('[TGXManifest] Cache write failed:', key, transaction.error);
+			};
+		});
+	}
+
+	// Drops databases cached for older manifest versions
+	function pruneCache() {
+		openCache().then(function (db) {
+			if (!db || !manifestVersion) return;
+			var request = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).openCursor();
+			request.onsuccess = function () {
+				var cursor = request.result;
+				if (!cursor) return;
+				if (cursor.value.version !== manifestVersion) {
+					console.log('[TGXManifest] Cache evict:', cursor.value.key, cursor.value.version);
+					cursor.delete();
+				}
+				cursor.continue();
+			};
+		});
+	}
+
+	// Unzipping and SQLite run in a worker (public/workers/manifest.worker.js) so they don't freeze rendering.
+	// Requests are {id, type, ...} messages, replies come back tagged with the same id.
+	var worker = null;
+	var workerRequests = {};
+	var workerRequestId = 0;
+
+	function callWorker(message, transfer, onLoad, onError) {
+		if (!worker) {
+			worker = new Worker(THREE.TGXManifest.WorkerPath);
+			worker.onmessage = function (event) {
+				var request = workerRequests[event.data.id];
+				delete workerRequests[event.data.id];
+				if (event.data.error !== undefined) {
+					if (request.onError) request.onError(new Error(event.data.error));
+				} else {
+					request.onLoad(event.data.result);
+				}
+			};
+			worker.onerror = function (event) { // The worker script itself failed, nothing pending will be answered
+				var error = new Error('Manifest worker failed: ' + (event.message || THREE.TGXManifest.WorkerPath));
+				var requests = workerRequests;
+				workerRequests = {};
+				for (var id in requests) {
+					if (requests[id].onError) requests[id].onError(error);
+				}
+			};
+		}
+		message.id = ++workerRequestId;
+		workerRequests[message.id] = { onLoad: onLoad, onError: onError };
+		try {
+			worker.postMessage(message, transfer);
+		} catch (e) { // Never reaches the worker, so nothing will answer it
+			delete workerRequests[message.id];
+			throw e;
+		}
+	}
+
+	// Main thread handle on a database opened in the worker
+	function ManifestDatabase(name) {
+		this.name = name;
+	}
+	Object.assign(ManifestDatabase.prototype, {
+		// Calls onLoad with the definition for hash, or null when the table or the row is missing
+		get: function (table, hash, onLoad, onError) {
+			this.getMany(table, [hash], function (rows) {
+				onLoad(rows[hash] !== undefined ? rows[hash] : null);
+			}, onError);
+		},
+		// Calls onLoad with the definitions keyed by unsigned hash, hashes that aren't in the table are left out
+		getMany: function (table, hashes, onLoad, onError) {
+			callWorker({ type: 'getMany', name: this.name, table: table, hashes: hashes }, [], onLoad, onError);
+		}
+	});
+
+	// Opens a zipped manifest database in the worker, from the IndexedDB cache when this version is there
+	function openDatabase(name, url, cacheKey, onLoad, onError) {
+		function fail(error) {
+			onError(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.MANIFEST, error, { url: url }));
+		}
+		readCache(cacheKey, function (data) {
+			if (!data) console.log('[TGXManifest] Downloading ' + name + ' database:', url);
+			var message = data ? { type: 'open', name: name, data: data } : { type: 'open', name: name, url: url };
+			try { // new Worker (SecurityError) and postMessage (DataCloneError) throw instead of calling back
+				callWorker(message, data ? [data.buffer] : [], function (result) {
+					if (result.data) writeCache(cacheKey, result.data);
+					console.log('[TGXManifest] ' + name + ' database ready' + (data ? ' (cached)' : '') + ', tables:', result.tables);
+					onLoad(new ManifestDatabase(name));
+				}, fail);
 			} catch (e) {
-				console.error("Zip Init Error:", e);
-				if (onError) onError(e);
+				fail(e);
 			}
-		} else {
+		});
+	}
+
+	// https://github.com/DestinyItemManager/DIM/blob/master/src/scripts/services/dimManifestService.factory.js
+	// This manifest loader is based on DIM's code
+	function loadDatabase(response, onLoad, onProgress, onError) {
+		var assetDatabases = response.Response.mobileGearAssetDataBases;
+		if (assetDatabases.length == 0) {
 			console.error('Empty Database');
+			if (onError) onError(new THREE.TGXLoaderError(THREE.TGXLoaderError.MANIFEST, 'Manifest lists no mobile gear asset databases'));
+			return;
 		}
+		var assetDatabase = assetDatabases[assetDatabases.length - 1];
+		openDatabase('gearAssets', basepath + assetDatabase.path, 'gearAssets', function (database) {
+			manifestDb = database;
+			if (onLoad) onLoad();
+		}, function (error) {
+			console.error('[TGXManifest] Gear asset database error:', error);
+			if (onError) onError(error);
+		});
 	}
 
 	// Load the world content manifest for dye definitions
 	// This manifest contains DestinyGearDyeDefinition and other definition tables
-	var worldContentBlob = null;
 	function loadWorldContentDatabase(path, onLoad, onProgress, onError) {
-		var url = basepath + path;
-		console.log('[TGXManifest] Loading world content database:', url);
-
-		try {
-			const reader = new zip.ZipReader(new zip.HttpReader(url));
-			reader.getEntries().then(function (entries) {
-				if (entries.length === 0) {
-					console.error('[TGXManifest] Empty world content database');
-					if (onLoad) onLoad();
-					return;
-				}
-				return entries[0].getData(new zip.BlobWriter());
-			}).then(function (blob) {
-				if (!blob) return;
-				var blobReader = new FileReader();
-				blobReader.addEventListener("error", onError);
-				blobReader.addEventListener("load", function () {
-					reader.close().then(function () {
-						worldContentBlob = new Uint8Array(blobReader.result);
-						THREE.TGXManifest.worldContentBlob = worldContentBlob;
-						console.log('[TGXManifest] World content database loaded, size:', worldContentBlob.length);
-						if (onLoad) onLoad();
-					});
-				});
-				blobReader.readAsArrayBuffer(blob);
-			}).catch(function (error) {
-				console.error('[TGXManifest] World content zip error:', error);
-				if (onError) onError(error);
-			});
-		} catch (e) {
-			console.error('[TGXManifest] World content init error:', e);
-			if (onError) onError(e);
-		}
+		openDatabase('worldContent', basepath + path, 'worldContent:' + path, onLoad, function (error) {
+			console.error('[TGXManifest] World content database error:', error);
+			if (onError) onError(error);
+		});
 	}
 
 	// Load the asset_sql_content database (mobileAssetContentPath)
 	// This contains gearAssetDefinition table with SHADER data (custom_dyes, material_properties)
 	// Thanks to Sol_Unshadowed from Paracausal for pointing this out!
-	var assetContentBlob = null;
+	var assetContentDb = null;
 	function loadAssetContentDatabase(response, onLoad, onProgress, onError) {
 		var assetPath = response.Response.mobileAssetContentPath;
 		if (!assetPath) {
@@ -4287,84 +4577,84 @@ Object.assign(THREE.TGXLoader.prototype, {
 			if (onLoad) onLoad();
 			return;
 		}
+		openDatabase('assetContent', basepath + assetPath, 'assetContent', function (database) {
+			assetContentDb = database;
+			if (onLoad) onLoad();
+		}, function (error) {
+			console.error('[TGXManifest] Asset content database error:', error);
+			if (onLoad) onLoad(); // Continue even on error
+		});
+	}
 
-		var url = basepath + assetPath;
-		console.log('[TGXManifest] Loading asset_sql_content database:', url);
-
-		try {
-			const reader = new zip.ZipReader(new zip.HttpReader(url));
-			reader.getEntries().then(function (entries) {
-				if (entries.length === 0) {
-					console.error('[TGXManifest] Empty asset content database');
-					if (onLoad) onLoad();
-					return;
+	// DestinyArtDyeReferenceDefinition from the JSON world components, maps the dyeHash of profile dyes to art dyes
+	var artDyeCallbacks = [];
+	var artDyeError = null;
+	function loadArtDyeDefinitions(response) {
+		var dyeDefPath = response.Response.jsonWorldComponentContentPaths &&
+			response.Response.jsonWorldComponentContentPaths[locale] &&
+			response.Response.jsonWorldComponentContentPaths[locale].DestinyArtDyeReferenceDefinition;
+
+		function done(error) {
+			artDyeError = error || null;
+			var callbacks = artDyeCallbacks;
+			artDyeCallbacks = [];
+			for (var i = 0; i < callbacks.length; i++) {
+				if (error) {
+					if (callbacks[i].onError) callbacks[i].onError(error);
+				} else {
+					callbacks[i].onLoad(THREE.TGXManifest.artDyeDefinitions);
 				}
-				return entries[0].getData(new zip.BlobWriter());
-			}).then(function (blob) {
-				if (!blob) return;
-				var blobReader = new FileReader();
-				blobReader.addEventListener("error", onError);
-				blobReader.addEventListener("load", function () {
-					reader.close().then(function () {
-						assetContentBlob = new Uint8Array(blobReader.result);
-						THREE.TGXManifest.assetContentBlob = assetContentBlob;
-						console.log('[TGXManifest] asset_sql_content database loaded, size:', assetContentBlob.length);
-
-						// Log tables in the database
-						try {
-							var db = new SQL.Database(assetContentBlob);
-							var res = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
-							console.log('[TGXManifest] asset_sql_content tables:', res.length > 0 ? res[0].values.map(v => v[0]) : 'none');
-							db.close();
-						} catch (e) {
-							console.warn('[TGXManifest] Error listing tables:', e);
-						}
-
-						if (onLoad) onLoad();
-					});
-				});
-				blobReader.readAsArrayBuffer(blob);
-			}).catch(function (error) {
-				console.error('[TGXManifest] Asset content zip error:', error);
-				if (onLoad) onLoad(); // Continue even on error
-			});
-		} catch (e) {
-			console.error('[TGXManifest] Asset content init error:', e);
-			if (onLoad) onLoad(); // Continue even on error
+			}
 		}
-	}
 
-	// Get shader data from asset_sql_content database (gearAssetDefinition table)
-	TGXManifest.getShaderAsset = function (shaderHash, callback) {
-		if (!assetContentBlob) {
-			console.warn('[TGXManifest] assetContentBlob not loaded yet');
-			if (callback) callback(null);
+		if (!dyeDefPath) {
+			done(new THREE.TGXLoaderError(THREE.TGXLoaderError.MANIFEST, 'Manifest lists no DestinyArtDyeReferenceDefinition'));
 			return;
 		}
 
-		try {
-			var db = new SQL.Database(assetContentBlob);
-			var key = 'id';
-			var where = ' WHERE ' + key + '=' + shaderHash + ' OR ' + key + '=' + (shaderHash - 4294967296);
-			var res = db.exec("SELECT * FROM gearAssetDefinition" + where);
-
-			if (res.length > 0) {
-				var data = JSON.parse(res[0].values[0][1]);
-				console.log('[TGXManifest] Found shader in gearAssetDefinition:', shaderHash, data);
-				db.close();
-				if (callback) callback(data);
+		var cacheKey = 'artDyes:' + locale;
+		readCache(cacheKey, function (dyeData) {
+			if (dyeData) {
+				THREE.TGXManifest.artDyeDefinitions = dyeData;
+				done();
 				return;
 			}
 
-			console.log('[TGXManifest] Shader not found in gearAssetDefinition:', shaderHash);
-			db.close();
-			if (callback) callback(null);
-		} catch (e) {
-			console.error('[TGXManifest] Error querying shader:', e);
-			if (callback) callback(null);
-		}
-	};
+			var dyeUrl = 'https://www.bungie.net' + dyeDefPath;
+			console.log('[TGXManifest] Fetching dye definitions from:', dyeUrl);
+			fetch(dyeUrl)
+				.then(function (r) { return r.json(); })
+				.then(function (dyeData) {
+					THREE.TGXManifest.artDyeDefinitions = dyeData;
+					writeCache(cacheKey, dyeData);
+					console.log('[TGXManifest] Dye definitions loaded, count:', Object.keys(dyeData).length);
+					done();
+				})
+				.catch(function (e) {
+					console.error('[TGXManifest] Failed to load dye definitions:', e);
+					done(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.MANIFEST, e, { url: dyeUrl }));
+				});
+		});
+	}
 
+	// Shader plugs may still have gear asset entries (gear files with custom_dyes) in either asset database
+	function queryShaderGearAsset(shaderHash, onLoad) {
+		var databases = [manifestDb, assetContentDb].filter(Boolean);
+		function next(i) {
+			if (i >= databases.length) {
+				onLoad(null);
+				return;
+			}
+			databases[i].get('DestinyGearAssetsDefinition', shaderHash, function (gearAsset) {
+				if (gearAsset) onLoad(gearAsset);
+				else next(i + 1);
+			}, function (error) {
+				console.warn('[TGXManifest] Shader gear asset lookup failed:', error);
+				next(i + 1);
+			});
+		}
+		next(0);
+	}
 
 	function TGXManifest(manager, options) {
 		this.manager = (manager !== undefined) ? manager : THREE.DefaultLoadingManager;
@@ -4372,131 +4662,289 @@ Object.assign(THREE.TGXLoader.prototype, {
 		if (options.apiKey !== undefined) apiKey = options.apiKey;
 		if (options.apiBasepath !== undefined) apiBasepath = options.apiBasepath;
 		if (options.basepath !== undefined) basepath = options.basepath;
-
+		if (options.locale !== undefined) locale = options.locale;
+		if (options.cache !== undefined) useCache = options.cache;
 	}
+	// zip.js and sql.js are loaded by the worker
+	TGXManifest.WorkerPath = '/workers/manifest.worker.js';
 	TGXManifest.isCapable = function () {
-		var isCapable = true;
-		if (!window.zip) {
-			console.warn('Missing zip.js library.');
-			isCapable = false;
-		}
-		if (!window.SQL) {
-			console.warn('Missing sql.js library.');
-			isCapable = false;
+		if (typeof Worker === 'undefined') {
+			console.warn('Web Workers are not supported.');
+			return false;
 		}
-		return isCapable;
+		return true;
+	};
+	// Removes every cached database, the next load downloads them again
+	TGXManifest.clearCache = function (onDone) {
+		openCache().then(function (db) {
+			if (!db) {
+				if (onDone) onDone();
+				return;
+			}
+			var transaction = db.transaction(CACHE_STORE, 'readwrite');
+			transaction.objectStore(CACHE_STORE).clear();
+			transaction.oncomplete = function () {
+				if (onDone) onDone();
+			};
+		});
 	};
 	Object.assign(TGXManifest.prototype, {
+		// Fetches the manifest and opens its databases once. Callers arriving while that runs (every lookup below
+		// calls load() while the gear asset database isn't open yet) wait for the same load instead of starting another.
 		load: function (onLoad, onProgress, onError) {
 			var scope = this;
+			if (manifestDb) {
+				if (onLoad) onLoad(scope);
+				return;
+			}
+			if (loadCallbacks) {
+				loadCallbacks.push({ onLoad: onLoad, onError: onError });
+				return;
+			}
+			loadCallbacks = [{ onLoad: onLoad, onError: onError }];
+
+			function done(error) {
+				var callbacks = loadCallbacks;
+				loadCallbacks = null;
+				for (var i = 0; i < callbacks.length; i++) {
+					if (error) {
+						if (callbacks[i].onError) callbacks[i].onError(error);
+					} else if (callbacks[i].onLoad) {
+						callbacks[i].onLoad(scope);
+					}
+				}
+			}
+
 			var manifestUrl = apiBasepath + '/Manifest/';
 			var loader = new THREE.BungieNetLoader(this.manager);
 			loader.load(manifestUrl, apiKey, function (response) {
-				response = JSON.parse(response);
+				try {
+					response = JSON.parse(response);
+				} catch (e) { // Otherwise the waiting callers would never hear back
+					done(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.MANIFEST, e, { url: manifestUrl }));
+					return;
+				}
 				//console.log('Manifest', response);
 				if (response.ErrorCode == 1) {
+					manifestResponse = response;
+					manifestVersion = response.Response.version;
+					pruneCache();
 					loadDatabase(response, function () {
-						if (onLoad) onLoad(scope);
-					}, onProgress, onError);
+						done();
+					}, onProgress, done);
 
 					// Also load the asset_sql_content database for shader data
 					// This contains gearAssetDefinition table with shader custom_dyes
 					loadAssetContentDatabase(response, function () {
 						console.log('[TGXManifest] asset_sql_content ready for shader lookups');
-					}, onProgress, onError);
+					}, onProgress);
 
 
 					// Load dye definitions from Bungie JSON API
 					// SQLite manifests don't contain dye tables - they're only available via JSON
-					var dyeDefPath = response.Response.jsonWorldComponentContentPaths &&
-						response.Response.jsonWorldComponentContentPaths.en &&
-						response.Response.jsonWorldComponentContentPaths.en.DestinyArtDyeReferenceDefinition;
-					if (dyeDefPath) {
-						var dyeUrl = 'https://www.bungie.net' + dyeDefPath;
-						console.log('[TGXManifest] Fetching dye definitions from:', dyeUrl);
-						fetch(dyeUrl)
-							.then(function (r) { return r.json(); })
-							.then(function (dyeData) {
-
-								THREE.TGXManifest.artDyeDefinitions = dyeData;
-								console.log('[TGXManifest] Dye definitions loaded, count:', Object.keys(dyeData).length);
-
-								// Log sample dye to see structure
-								var sampleKeys = Object.keys(dyeData).slice(0, 3);
-								sampleKeys.forEach(function (key) {
-									console.log('[TGXManifest] Sample dye definition:', key, dyeData[key]);
-								});
-							})
-
-							.catch(function (e) {
-								console.error('[TGXManifest] Failed to load dye definitions:', e);
-							});
-					}
+					loadArtDyeDefinitions(response);
 				} else {
 					console.error('Bungie Error Response', response);
+					done(new THREE.TGXLoaderError(THREE.TGXLoaderError.MANIFEST, 'Bungie error ' + response.ErrorCode + ': ' + response.Message, { url: manifestUrl }));
 				}
-			}, onProgress, onError);
+			}, onProgress, function (error) {
+				done(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.MANIFEST, error, { url: manifestUrl }));
+			});
 		},
 		getAsset: function (id, onLoad, onProgress, onError) {
 			var scope = this;
-			if (!manifestBlob) {
+			if (!manifestDb) {
 				scope.load(function () {
 					scope.getAsset(id, onLoad, onProgress, onError);
 				}, onProgress, onError);
 				return;
 			}
-			//console.log(manifestBlob);
-			// https://github.com/kripken/sql.js
-			var db = new SQL.Database(manifestBlob);
-
-			var res = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
-			console.log('[TGXManifest] Available tables:', res.length > 0 ? res[0].values.map(v => v[0]) : 'none');
-
+			manifestDb.get('DestinyGearAssetsDefinition', id, function (gearAsset) {
+				if (gearAsset) {
+					onLoad({
+						requestedId: id,
+						gearAsset: gearAsset
+					});
+					return;
+				}
+				console.error('Item Not Found', id);
+				if (onError) onError(new THREE.TGXLoaderError(THREE.TGXLoaderError.GEAR_ASSET, 'Item not found in gear asset database: ' + id, { itemHash: id }));
+			}, function (error) {
+				if (onError) onError(THREE.TGXLoaderError.wrap(THREE.TGXLoaderError.GEAR_ASSET, error, { itemHash: id }));
+			});
+		},
+		// Waits for DestinyArtDyeReferenceDefinition, which load() fetches alongside the databases
+		getArtDyeDefinitions: function (onLoad, onProgress, onError) {
+			var scope = this;
+			if (THREE.TGXManifest.artDyeDefinitions) {
+				onLoad(THREE.TGXManifest.artDyeDefinitions);
+				return;
+			}
+			if (artDyeError) {
+				if (onError) onError(artDyeError);
+				return;
+			}
+			artDyeCallbacks.push({ onLoad: onLoad, onError: onError });
+			if (!manifestResponse && artDyeCallbacks.length == 1) {
+				scope.load(function () {}, onProgress, function (error) {
+					// The manifest itself failed, so the dye definitions never will arrive
+					var callbacks = artDyeCallbacks;
+					artDyeCallbacks = [];
+					for (var i = 0; i < callbacks.length; i++) {
+						if (callbacks[i].onError) callbacks[i].onError(error);
+					}
+				});
+			}
+		},
+		// Opens the world content database (mobileWorldContentPaths) once, concurrent callers wait for the same download
+		loadWorldContent: function (onLoad, onProgress, onError) {
+			var scope = this;
+			if (worldContentDb) {
+				onLoad(worldContentDb);
+				return;
+			}
+			if (!manifestResponse) {
+				scope.load(function () {
+					scope.loadWorldContent(onLoad, onProgress, onError);
+				}, onProgress, onError);
+				return;
+			}
+			if (worldContentCallbacks) {
+				worldContentCallbacks.push({ onLoad: onLoad, onError: onError });
+				return;
+			}
+			worldContentCallbacks = [{ onLoad: onLoad, onError: onError }];
+
+			function done(error) {
+				var callbacks = worldContentCallbacks;
+				worldContentCallbacks = null;
+				for (var i = 0; i < callbacks.length; i++) {
+					if (error) {
+						if (callbacks[i].onError) callbacks[i].onError(error);
+					} else {
+						callbacks[i].onLoad(worldContentDb);
+					}
+				}
+			}
 
-			var key = 'id';
-			var where = ' WHERE ' + key + '=' + id + ' OR ' + key + '=' + (id - 4294967296);
-			var res = db.exec("SELECT * FROM DestinyGearAssetsDefinition" + where);
-			if (res.length > 0) {
-				var data = {
-					requestedId: id,
-					gearAsset: JSON.parse(res[0].values[0][1])
-				};
-				onLoad(data);
+			var paths = manifestResponse.Response.mobileWorldContentPaths || {};
+			var path = paths[locale] || paths.en;
+			if (!path) {
+				done(new THREE.TGXLoaderError(THREE.TGXLoaderError.MANIFEST, 'Manifest lists no mobile world content database'));
 				return;
 			}
-			console.error('Item Not Found', id);
+			loadWorldContentDatabase(path, function (database) {
+				worldContentDb = database;
+				done();
+			}, onProgress, done);
+		},
+		// Looks up a world content definition, e.g. getDefinition('DestinyInventoryItemDefinition', itemHash, ...)
+		// Calls onLoad with null when the hash isn't in the table
+		getDefinition: function (table, hash, onLoad, onProgress, onError) {
+			this.loadWorldContent(function (db) {
+				db.get(table, hash, onLoad, onError);
+			}, onProgress, onError);
+		},
+		// Batched getDefinition, calls onLoad with the definitions keyed by hash (missing hashes are left out).
+		// DestinyGearAssetsDefinition is read from the gear asset database, every other table from world content.
+		getMany: function (table, hashes, onLoad, onProgress, onError) {
+			var scope = this;
+			if (table == 'DestinyGearAssetsDefinition') {
+				if (!manifestDb) {
+					scope.load(function () {
+						scope.getMany(table, hashes, onLoad, onProgress, onError);
+					}, onProgress, onError);
+					return;
+				}
+				manifestDb.getMany(table, hashes, onLoad, onError);
+				return;
+			}
+			this.loadWorldContent(function (db) {
+				db.getMany(table, hashes, onLoad, onError);
+			}, onProgress, onError);
+		},
+		// Batched DestinyGearDyeDefinition lookup in both gear asset databases, calls onLoad with the gear dyes
+		// (slot_type_index, material_properties, textures) keyed by hash. Hashes neither database has are left out.
+		getDyeDefinitions: function (dyeHashes, onLoad, onProgress, onError) {
+			var scope = this;
+			if (!manifestDb) {
+				scope.load(function () {
+					scope.getDyeDefinitions(dyeHashes, onLoad, onProgress, onError);
+				}, onProgress, onError);
+				return;
+			}
+			var databases = [manifestDb, assetContentDb].filter(Boolean);
+			var dyeDefinitions = {};
+			function next(i) {
+				if (i >= databases.length) {
+					onLoad(dyeDefinitions);
+					return;
+				}
+				databases[i].getMany('DestinyGearDyeDefinition', dyeHashes, function (rows) {
+					for (var hash in rows) {
+						if (dyeDefinitions[hash] === undefined) dyeDefinitions[hash] = rows[hash];
+					}
+					next(i + 1);
+				}, onError);
+			}
+			next(0);
+		},
+		// Resolves a shader plug to the dyes it applies. The world content DestinyInventoryItemDefinition holds the
+		// translationBlock (customDyes/lockedDyes as {channelHash, dyeHash}), the gear asset, when one exists,
+		// holds the material properties of those dyes.
+		getShader: function (shaderHash, onLoad, onProgress, onError) {
+			var scope = this;
+			if (!manifestDb) {
+				scope.load(function () {
+					scope.getShader(shaderHash, onLoad, onProgress, onError);
+				}, onProgress, onError);
+				return;
+			}
+			scope.getDefinition('DestinyInventoryItemDefinition', shaderHash, function (definition) {
+				if (!definition) {
+					if (onError) onError(new THREE.TGXLoaderError(THREE.TGXLoaderError.GEAR_ASSET, 'Shader not found in world content database: ' + shaderHash, { itemHash: shaderHash }));
+					return;
+				}
+				queryShaderGearAsset(shaderHash, function (gearAsset) {
+					var translationBlock = definition.translationBlock || {};
+					var shader = {
+						requestedId: shaderHash,
+						name: definition.displayProperties ? definition.displayProperties.name : '',
+						translationBlock: {
+							customDyes: translationBlock.customDyes || [],
+							lockedDyes: translationBlock.lockedDyes || []
+						},
+						gearAsset: gearAsset
+					};
+					console.log('[TGXManifest] Shader resolved:', shaderHash, shader.name, shader.translationBlock);
+					onLoad(shader);
+				});
+			}, onProgress, onError);
 		}
 	});
 
 	// Add helper function to look up dye definitions by hash
 	TGXManifest.prototype.getDyeDefinition = function (dyeHash, onLoad) {
 		var scope = this;
-		if (!manifestBlob) {
+		if (!manifestDb) {
 			scope.load(function () {
 				scope.getDyeDefinition(dyeHash, onLoad);
 			});
 			return;
 		}
 
-		var db = new SQL.Database(manifestBlob);
-		var id = dyeHash;
-		var where = ' WHERE id=' + id + ' OR id=' + (id - 4294967296);
-
-		// Try DestinyGearDyeDefinition table first
-		var res = db.exec("SELECT * FROM DestinyGearDyeDefinition" + where);
-		if (res.length > 0 && res[0].values && res[0].values[0]) {
-			try {
-				var json = JSON.parse(res[0].values[0][1]);
+		manifestDb.get('DestinyGearDyeDefinition', dyeHash, function (json) {
+			if (json) {
 				console.log('[getDyeDefinition] Found dye:', dyeHash, json);
 				onLoad(json);
 				return;
-			} catch (e) {
-				console.error('[getDyeDefinition] JSON parse error', e);
 			}
-		}
-
-		console.warn('[getDyeDefinition] Dye not found:', dyeHash);
-		onLoad(null);
+			console.warn('[getDyeDefinition] Dye not found:', dyeHash);
+			onLoad(null);
+		}, function (error) {
+			console.error('[getDyeDefinition] Lookup failed', error);
+			onLoad(null);
+		});
 	};
 
 	THREE.TGXManifest = TGXManifest;
@@ -1,25 +1,26 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import basicSsl from '@vitejs/plugin-basic-ssl';
+import { bungieAuthPlugin } from './server/bungieAuth.js';
+import { bungieProxyPlugin } from './server/bungieProxy.js';
 
-export default defineConfig({
-    plugins: [basicSsl()],
-    server: {
-        port: 55555,
-        https: true,
-        proxy: {
-            '/bungie': {
-                target: 'https://www.bungie.net',
-                changeOrigin: true,
-                rewrite: (path) => path.replace(/^\/bungie/, ''),
-                secure: false,
-                configure: (proxy, _options) => {
-                    proxy.on('proxyReq', (proxyReq, req, _res) => {
-                        // ELIMINAR Rastros de Origen: Hacemos creer a Bungie que es una petición directa de servidor
-                        proxyReq.removeHeader('Origin');
-                        proxyReq.removeHeader('Referer');
-                    });
+export default defineConfig(({ mode }) => {
+    // All variables, not only VITE_ ones: the OAuth backend needs BUNGIE_CLIENT_SECRET, which must stay out of the bundle
+    const env = loadEnv(mode, process.cwd(), '');
+
+    return {
+        // /bungie and /auth run through the same middlewares as the production server (server/index.js)
+        plugins: [basicSsl(), bungieProxyPlugin(env), bungieAuthPlugin(env)],
+        build: {
+            rollupOptions: {
+                input: {
+                    main: 'index.html',
+                    callback: 'callback.html'
                 }
             }
+        },
+        server: {
+            port: 55555,
+            https: true
         }
-    }
+    };
 });